@@ -0,0 +1,27 @@
+// api/account/api-keys/[keyId].js — revoke an API key
+// DELETE /api/account/api-keys/:keyId  →  204 (the key stops working at once; it stays listed as revoked)
+import { verifyAuthToken } from "../../../lib/auth.js";
+import { applyCors, rejectMethod, routeParam } from "../../../lib/http.js";
+import { revokeApiKey } from "../../../lib/api-keys.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'DELETE, OPTIONS')) return;
+  if (rejectMethod(req, res, ["DELETE"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "admin");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to manage API keys." });
+    }
+    const keyId = routeParam(req, 'keyId', /^\/api\/account\/api-keys\/([^/]+)\/?$/);
+
+    const revoked = await revokeApiKey(userId, keyId);
+    if (!revoked) return res.status(404).json({ error: "API key not found." });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('❌ API key revoke failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not revoke the API key. Please try again." });
+  }
+}
@@ -0,0 +1,38 @@
+// api/account/api-keys/index.js — API keys for scripts and scheduled jobs
+// GET  /api/account/api-keys                                  →  { apiKeys }
+// POST /api/account/api-keys { name, scopes, expiresAt? }     →  201 { apiKey, key }  (the key is shown only once)
+import { verifyAuthToken } from "../../../lib/auth.js";
+import { applyCors, readJson, rejectMethod, sendStoreError } from "../../../lib/http.js";
+import { createApiKey, listApiKeys, toApiKeyResource } from "../../../lib/api-keys.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, POST, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET", "POST"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "admin");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to manage API keys." });
+    }
+
+    if (req.method === "GET") {
+      const apiKeys = await listApiKeys(userId);
+      return res.status(200).json({ apiKeys: apiKeys.map(toApiKeyResource) });
+    }
+
+    const body = await readJson(req);
+    const { apiKey, key } = await createApiKey(userId, {
+      name: body?.name,
+      scopes: body?.scopes,
+      expiresAt: body?.expiresAt ?? null
+    });
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(201).json({ apiKey: toApiKeyResource(apiKey), key });
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ API key request failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not manage API keys. Please try again." });
+  }
+}
@@ -0,0 +1,44 @@
+// api/account/data.js — privacy requests for the signed-in user
+// GET    /api/account/data                     →  JSON download of everything stored about the user
+// DELETE /api/account/data { confirm: true }   →  { deleted } (all account data erased in one transaction)
+import { verifyAuthToken } from "../../lib/auth.js";
+import { applyCors, readJson, rejectMethod } from "../../lib/http.js";
+import { exportUserData, deleteUserData } from "../../lib/privacy.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, DELETE, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET", "DELETE"])) return;
+
+  const userId = await verifyAuthToken(req, "admin");
+  if (!userId) {
+    return res.status(401).json({ error: "Sign in to manage your data." });
+  }
+
+  if (req.method === "GET") {
+    try {
+      const data = await exportUserData(userId);
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="my-data-${new Date().toISOString().slice(0, 10)}.json"`);
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).end(JSON.stringify(data, null, 2));
+    } catch (err) {
+      console.error('❌ Data export failed:', err?.message || err);
+      return res.status(500).json({ error: "Could not export your data. Please try again." });
+    }
+  }
+
+  // Irreversible - make the client say so explicitly
+  const body = await readJson(req);
+  if (body?.confirm !== true) {
+    return res.status(400).json({ error: "Deleting your data cannot be undone. Send { \"confirm\": true } to proceed." });
+  }
+  try {
+    const deleted = await deleteUserData(userId);
+    return res.status(200).json({ deleted });
+  } catch (err) {
+    console.error('❌ Data deletion failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not delete your data. Nothing was removed - please try again." });
+  }
+}
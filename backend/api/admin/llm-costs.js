@@ -0,0 +1,44 @@
+// api/admin/llm-costs.js — LLM token usage and cost across all users, for operators
+// GET /api/admin/llm-costs?days=7&runawayRetries=3&limit=20
+//   →  { since, runawayRetries, byQuestionType, byStage, topUsers, runaway }
+// Only users listed in ADMIN_USER_IDS (comma-separated Supabase user ids) may call it.
+import { verifyAuthToken } from "../../lib/auth.js";
+import { applyCors, rejectMethod, queryParams, parseLimit, sendStoreError } from "../../lib/http.js";
+import { llmCostReport } from "../../lib/costs.js";
+
+export const config = { runtime: "nodejs" };
+
+const adminUserIds = () =>
+  (process.env.ADMIN_USER_IDS || "").split(",").map(id => id.trim()).filter(Boolean);
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "admin");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to view LLM costs." });
+    }
+    if (!adminUserIds().includes(userId)) {
+      return res.status(403).json({ error: "LLM cost reports are only available to operators." });
+    }
+
+    const params = queryParams(req);
+    const limit = parseLimit(params.get("limit"), 20, 100);
+    if (limit === null) {
+      return res.status(400).json({ error: "Invalid limit: must be an integer between 1 and 100" });
+    }
+    const report = await llmCostReport({
+      days: params.has("days") ? Number(params.get("days")) : undefined,
+      runawayRetries: params.has("runawayRetries") ? Number(params.get("runawayRetries")) : undefined,
+      limit
+    });
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(report);
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ LLM cost report failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not build the LLM cost report. Please try again." });
+  }
+}
@@ -0,0 +1,64 @@
+// api/conversations/[conversationId]/export.js — download a conversation
+// GET /api/conversations/:conversationId/export?format=markdown            →  text/markdown (active branch)
+// GET /api/conversations/:conversationId/export?format=json                →  JSON archive (re-importable)
+// GET /api/conversations/:conversationId/export?format=csv&messageId=…     →  text/csv of that answer's result rows
+import { verifyAuthToken } from "../../../lib/auth.js";
+import { applyCors, rejectMethod, routeParam, queryParams, sendStoreError } from "../../../lib/http.js";
+import { getConversationStore } from "../../../conversations/conversation-store.js";
+import { exportConversation, toMarkdown, toResultCsv } from "../../../conversations/export.js";
+
+export const config = { runtime: "nodejs" };
+
+const FORMATS = ["markdown", "json", "csv"];
+
+function sendFile(res, contentType, filename, body) {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).end(body);
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to export conversations." });
+    }
+    const conversationId = routeParam(req, 'conversationId', /^\/api\/conversations\/([^/]+)\/export\/?$/);
+    const params = queryParams(req);
+    const format = params.get("format") || "markdown";
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format: use one of ${FORMATS.join(", ")}` });
+    }
+    const store = getConversationStore();
+    const name = `conversation-${String(conversationId).slice(0, 8)}`;
+
+    if (format === "csv") {
+      const messageId = params.get("messageId");
+      if (!messageId) {
+        return res.status(400).json({ error: "CSV exports one answer's results: pass ?messageId= of the answer." });
+      }
+      const message = await store.getMessage(userId, conversationId, messageId);
+      if (!message) return res.status(404).json({ error: "Message not found." });
+      const csv = toResultCsv(message);
+      if (csv === null) {
+        return res.status(404).json({ error: "No result rows are stored with this message." });
+      }
+      return sendFile(res, "text/csv; charset=utf-8", `${name}-${messageId.slice(0, 8)}.csv`, csv);
+    }
+
+    const archive = await exportConversation(store, userId, conversationId);
+    if (!archive) return res.status(404).json({ error: "Conversation not found." });
+
+    if (format === "json") {
+      return sendFile(res, "application/json; charset=utf-8", `${name}.json`, JSON.stringify(archive, null, 2));
+    }
+    return sendFile(res, "text/markdown; charset=utf-8", `${name}.md`, toMarkdown(archive));
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ Conversation export failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not export the conversation. Please try again." });
+  }
+}
@@ -0,0 +1,62 @@
+// api/conversations/[conversationId]/index.js — one conversation owned by the caller
+// GET    /api/conversations/:conversationId           →  { conversation } (with stats)
+// PATCH  /api/conversations/:conversationId { title?, activeBranchId? } →  { conversation }
+// DELETE /api/conversations/:conversationId           →  204 (messages cascade)
+import { verifyAuthToken } from "../../../lib/auth.js";
+import { applyCors, readJson, rejectMethod, routeParam, sendStoreError } from "../../../lib/http.js";
+import { getConversationStore } from "../../../conversations/conversation-store.js";
+import { toConversationResource } from "../../../conversations/conversation-manager.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, PATCH, DELETE, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET", "PATCH", "DELETE"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to manage conversations." });
+    }
+    const conversationId = routeParam(req, 'conversationId', /^\/api\/conversations\/([^/]+)\/?$/);
+    const store = getConversationStore();
+
+    if (req.method === "GET") {
+      const conversation = await store.getConversationDetails(userId, conversationId);
+      if (!conversation) return res.status(404).json({ error: "Conversation not found." });
+      return res.status(200).json({ conversation: toConversationResource(conversation) });
+    }
+
+    if (req.method === "PATCH") {
+      const body = await readJson(req);
+      const hasTitle = body?.title !== undefined;
+      const hasBranch = body?.activeBranchId !== undefined;
+      if (!hasTitle && !hasBranch) {
+        return res.status(400).json({ error: "Provide a 'title' and/or an 'activeBranchId'." });
+      }
+      const title = typeof body.title === "string" ? body.title.trim() : "";
+      if (hasTitle && (!title || title.length > 200)) {
+        return res.status(400).json({ error: "Provide a 'title' of 1-200 characters." });
+      }
+
+      let conversation;
+      if (hasBranch) {
+        // Switch branches: later questions follow on from that branch's newest message
+        conversation = await store.activateBranch(userId, conversationId, body.activeBranchId);
+      }
+      if (hasTitle) {
+        conversation = await store.updateConversationTitle(userId, conversationId, title);
+      }
+      if (!conversation) return res.status(404).json({ error: "Conversation not found." });
+      return res.status(200).json({ conversation: toConversationResource(conversation) });
+    }
+
+    const deleted = await store.deleteConversation(userId, conversationId);
+    if (!deleted) return res.status(404).json({ error: "Conversation not found." });
+    return res.status(204).end();
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ Conversation request failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not update the conversation. Please try again." });
+  }
+}
@@ -0,0 +1,44 @@
+// api/conversations/[conversationId]/messages/[messageId]/index.js — one message
+// PATCH  /api/conversations/:conversationId/messages/:messageId { question }  →  same response as /api/query
+//        (edits a question: the new question and its answer start a branch next to the original)
+// DELETE /api/conversations/:conversationId/messages/:messageId               →  204
+import { verifyAuthToken } from "../../../../../lib/auth.js";
+import { applyCors, readJson, rejectMethod, routeParam, sendStoreError } from "../../../../../lib/http.js";
+import { getConversationStore } from "../../../../../conversations/conversation-store.js";
+import queryHandler from "../../../../query.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'PATCH, DELETE, OPTIONS')) return;
+  if (rejectMethod(req, res, ["PATCH", "DELETE"])) return;
+
+  const conversationId = routeParam(req, 'conversationId', /^\/api\/conversations\/([^/]+)\/messages\/[^/]+\/?$/);
+  const messageId = routeParam(req, 'messageId', /^\/api\/conversations\/[^/]+\/messages\/([^/]+)\/?$/);
+
+  if (req.method === "PATCH") {
+    const body = await readJson(req);
+    if (typeof body?.question !== "string" || !body.question.trim()) {
+      return res.status(400).json({ error: "Provide the edited 'question'." });
+    }
+    // Answered by the query pipeline, on a branch forked at the edited message
+    req.body = { ...body, conversationId, editMessageId: messageId };
+    req.method = "POST"; // the query handler only accepts POST/GET
+    return queryHandler(req, res);
+  }
+
+  try {
+    const userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to manage conversations." });
+    }
+
+    const deleted = await getConversationStore().deleteMessage(userId, conversationId, messageId);
+    if (!deleted) return res.status(404).json({ error: "Message not found." });
+    return res.status(204).end();
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ Message delete failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not delete the message. Please try again." });
+  }
+}
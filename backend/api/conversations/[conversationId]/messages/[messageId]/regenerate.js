@@ -0,0 +1,19 @@
+// api/conversations/[conversationId]/messages/[messageId]/regenerate.js — answer a question again
+// POST /api/conversations/:conversationId/messages/:messageId/regenerate  →  same response as /api/query
+// The new answer starts a branch next to the previous one; body options (stream, presentationHint) pass through.
+import { applyCors, readJson, rejectMethod, routeParam } from "../../../../../lib/http.js";
+import queryHandler from "../../../../query.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'POST, OPTIONS')) return;
+  if (rejectMethod(req, res, ["POST"])) return;
+
+  const conversationId = routeParam(req, 'conversationId', /^\/api\/conversations\/([^/]+)\/messages\/[^/]+\/regenerate\/?$/);
+  const messageId = routeParam(req, 'messageId', /^\/api\/conversations\/[^/]+\/messages\/([^/]+)\/regenerate\/?$/);
+
+  const body = await readJson(req);
+  req.body = { ...body, question: undefined, conversationId, regenerateMessageId: messageId };
+  return queryHandler(req, res);
+}
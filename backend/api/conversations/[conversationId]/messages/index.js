@@ -0,0 +1,42 @@
+// api/conversations/[conversationId]/messages/index.js — a conversation's messages
+// GET /api/conversations/:conversationId/messages?limit=50&cursor=…  →  { messages, nextCursor }
+// The first page holds the newest messages; nextCursor fetches older ones. Each page is chronological.
+import { verifyAuthToken } from "../../../../lib/auth.js";
+import { applyCors, rejectMethod, routeParam, queryParams, parseLimit, sendStoreError } from "../../../../lib/http.js";
+import { getConversationStore } from "../../../../conversations/conversation-store.js";
+import { toMessageResource } from "../../../../conversations/conversation-manager.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to manage conversations." });
+    }
+    const conversationId = routeParam(req, 'conversationId', /^\/api\/conversations\/([^/]+)\/messages\/?$/);
+    const params = queryParams(req);
+    const limit = parseLimit(params.get("limit"), 50);
+    if (limit === null) {
+      return res.status(400).json({ error: "Invalid limit: must be an integer between 1 and 200" });
+    }
+
+    const page = await getConversationStore().getMessagesPage(userId, conversationId, {
+      limit,
+      cursor: params.get("cursor")
+    });
+    if (!page) return res.status(404).json({ error: "Conversation not found." });
+
+    return res.status(200).json({
+      messages: page.messages.map(toMessageResource),
+      nextCursor: page.nextCursor
+    });
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ Messages request failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not load messages. Please try again." });
+  }
+}
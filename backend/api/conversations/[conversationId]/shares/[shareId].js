@@ -0,0 +1,29 @@
+// api/conversations/[conversationId]/shares/[shareId].js — revoke a share link
+// DELETE /api/conversations/:conversationId/shares/:shareId  →  204
+import { verifyAuthToken } from "../../../../lib/auth.js";
+import { applyCors, rejectMethod, routeParam, sendStoreError } from "../../../../lib/http.js";
+import { getConversationStore } from "../../../../conversations/conversation-store.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'DELETE, OPTIONS')) return;
+  if (rejectMethod(req, res, ["DELETE"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to manage shared links." });
+    }
+    const conversationId = routeParam(req, 'conversationId', /^\/api\/conversations\/([^/]+)\/shares\/[^/]+\/?$/);
+    const shareId = routeParam(req, 'shareId', /^\/api\/conversations\/[^/]+\/shares\/([^/]+)\/?$/);
+
+    const revoked = await getConversationStore().revokeShare(userId, conversationId, shareId);
+    if (!revoked) return res.status(404).json({ error: "Share not found." });
+    return res.status(204).end();
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ Share revoke failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not revoke the link. Please try again." });
+  }
+}
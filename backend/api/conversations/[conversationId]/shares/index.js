@@ -0,0 +1,45 @@
+// api/conversations/[conversationId]/shares/index.js — read-only share links for a conversation
+// GET  /api/conversations/:conversationId/shares               →  { shares }
+// POST /api/conversations/:conversationId/shares { expiresAt? } →  201 { share, token, url }  (the token is shown only once)
+import { verifyAuthToken } from "../../../../lib/auth.js";
+import { applyCors, readJson, rejectMethod, routeParam, sendStoreError } from "../../../../lib/http.js";
+import { getConversationStore } from "../../../../conversations/conversation-store.js";
+import { toShareResource } from "../../../../conversations/conversation-manager.js";
+import { shareConversation } from "../../../../conversations/shares.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, POST, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET", "POST"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to share conversations." });
+    }
+    const conversationId = routeParam(req, 'conversationId', /^\/api\/conversations\/([^/]+)\/shares\/?$/);
+    const store = getConversationStore();
+
+    if (req.method === "GET") {
+      const shares = await store.listShares(userId, conversationId);
+      if (!shares) return res.status(404).json({ error: "Conversation not found." });
+      return res.status(200).json({ shares: shares.map(toShareResource) });
+    }
+
+    const body = await readJson(req);
+    const created = await shareConversation(store, userId, conversationId, { expiresAt: body?.expiresAt ?? null });
+    if (!created) return res.status(404).json({ error: "Conversation not found." });
+
+    const origin = new URL(req.url, `https://${req.headers.host || 'localhost'}`).origin;
+    return res.status(201).json({
+      share: toShareResource(created.share),
+      token: created.token,
+      url: `${origin}/api/shared/${created.token}`
+    });
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ Share request failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not share the conversation. Please try again." });
+  }
+}
@@ -0,0 +1,80 @@
+// api/conversations/[conversationId]/title.js — regenerate a conversation's title
+// POST /api/conversations/:conversationId/title  →  { conversationId, title }  (429 when the query quota is used up)
+import { verifyAuthToken } from "../../../lib/auth.js";
+import { applyCors, routeParam, sendStoreError } from "../../../lib/http.js";
+import { getConversationStore } from "../../../conversations/conversation-store.js";
+import { regenerateConversationTitle } from "../../../conversations/titles.js";
+import { getLlmProvider } from "../../../lib/llm.js";
+import { getRequestId } from "../../../lib/fixtures.js";
+import { CostMeter, recordLlmUsage } from "../../../lib/costs.js";
+import { checkQueryQuota, getClientIp, quotaExceededBody, recordApiUsage, setQuotaHeaders } from "../../../lib/quota.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'POST, OPTIONS')) return;
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+
+  const requestId = getRequestId(req);
+  res.setHeader("X-Request-Id", requestId);
+
+  // 💲 The title completion is metered like /api/query's calls
+  const meter = new CostMeter();
+  const startedAt = Date.now();
+  let userId = null;
+  try {
+    userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to manage conversations." });
+    }
+
+    const conversationId = routeParam(req, 'conversationId', /^\/api\/conversations\/([^/]+)\/title\/?$/);
+
+    // 🎟️ Every regeneration is a model call, so it draws on the same allowance as /api/query
+    const quota = await checkQueryQuota(userId, getClientIp(req));
+    setQuotaHeaders(res, quota);
+    if (!quota.allowed) {
+      return res.status(429).json(quotaExceededBody(quota));
+    }
+
+    let conversation;
+    try {
+      conversation = await regenerateConversationTitle(meter.wrap(getLlmProvider()), getConversationStore(), userId, conversationId);
+    } catch (e) {
+      if (sendStoreError(res, e)) return;
+      throw e;
+    }
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+
+    return res.status(200).json({
+      conversationId: conversation.conversation_id,
+      title: conversation.title
+    });
+  } catch (err) {
+    console.error('❌ Title regeneration failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not regenerate the title. Please try again." });
+  } finally {
+    if (meter.calls.length) {
+      await recordLlmUsage({
+        requestId,
+        userId,
+        intent: null,
+        source: "conversation_title",
+        statusCode: res.statusCode,
+        totals: meter.totals()
+      });
+      await recordApiUsage(userId, {
+        endpoint: new URL(req.url, `https://${req.headers.host || 'localhost'}`).pathname,
+        method: req.method,
+        statusCode: res.statusCode,
+        responseTimeMs: Date.now() - startedAt
+      });
+    }
+  }
+}
@@ -0,0 +1,28 @@
+// api/conversations/import.js — recreate a conversation from a JSON export
+// POST /api/conversations/import { format: "defi-conversation", version: 1, conversation, messages }  →  201 { conversation }
+import { verifyAuthToken } from "../../lib/auth.js";
+import { applyCors, readJson, rejectMethod, sendStoreError } from "../../lib/http.js";
+import { getConversationStore } from "../../conversations/conversation-store.js";
+import { toConversationResource } from "../../conversations/conversation-manager.js";
+import { importConversation } from "../../conversations/export.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'POST, OPTIONS')) return;
+  if (rejectMethod(req, res, ["POST"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to import conversations." });
+    }
+    const archive = await readJson(req);
+    const conversation = await importConversation(getConversationStore(), userId, archive);
+    return res.status(201).json({ conversation: toConversationResource(conversation) });
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ Conversation import failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not import the conversation. Please try again." });
+  }
+}
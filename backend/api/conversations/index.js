@@ -0,0 +1,47 @@
+// api/conversations/index.js — list and create the caller's conversations
+// GET  /api/conversations?limit=20&cursor=…  →  { conversations, nextCursor }
+// POST /api/conversations { title? }        →  201 { conversation }
+import { verifyAuthToken } from "../../lib/auth.js";
+import { applyCors, readJson, rejectMethod, queryParams, parseLimit, sendStoreError } from "../../lib/http.js";
+import { getConversationStore } from "../../conversations/conversation-store.js";
+import { toConversationResource } from "../../conversations/conversation-manager.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, POST, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET", "POST"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to manage conversations." });
+    }
+    const store = getConversationStore();
+
+    if (req.method === "GET") {
+      const params = queryParams(req);
+      const limit = parseLimit(params.get("limit"), 20);
+      if (limit === null) {
+        return res.status(400).json({ error: "Invalid limit: must be an integer between 1 and 200" });
+      }
+      const { conversations, nextCursor } = await store.listConversationsPage(userId, {
+        limit,
+        cursor: params.get("cursor")
+      });
+      return res.status(200).json({
+        conversations: conversations.map(toConversationResource),
+        nextCursor
+      });
+    }
+
+    const body = await readJson(req);
+    const title = typeof body?.title === "string" ? body.title.trim().slice(0, 200) : null;
+    const conversation = await store.createConversation(userId, { title: title || null });
+    return res.status(201).json({ conversation: toConversationResource(conversation) });
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ Conversations request failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not load conversations. Please try again." });
+  }
+}
@@ -0,0 +1,47 @@
+// api/conversations/search.js — full-text search over the caller's conversations
+// GET /api/conversations/search?q=morpho&role=assistant&from=2025-01-01&to=2025-02-01&limit=20&cursor=…
+//   →  { results, nextCursor }, best match first
+import { verifyAuthToken } from "../../lib/auth.js";
+import { applyCors, rejectMethod, queryParams, parseLimit, sendStoreError } from "../../lib/http.js";
+import { getConversationStore } from "../../conversations/conversation-store.js";
+import { toSearchResultResource } from "../../conversations/conversation-manager.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET"])) return;
+
+  try {
+    const userId = await verifyAuthToken(req, "conversations");
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to search conversations." });
+    }
+
+    const params = queryParams(req);
+    const q = (params.get("q") || "").trim();
+    if (!q) {
+      return res.status(400).json({ error: "Missing search text: use ?q=" });
+    }
+    const limit = parseLimit(params.get("limit"), 20, 100);
+    if (limit === null) {
+      return res.status(400).json({ error: "Invalid limit: must be an integer between 1 and 100" });
+    }
+
+    const { results, nextCursor } = await getConversationStore().searchMessages(userId, q, {
+      role: params.get("role") || null,
+      from: params.get("from") || null,
+      to: params.get("to") || null,
+      limit,
+      cursor: params.get("cursor")
+    });
+    return res.status(200).json({
+      results: results.map(toSearchResultResource),
+      nextCursor
+    });
+  } catch (err) {
+    if (sendStoreError(res, err)) return;
+    console.error('❌ Conversation search failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not search conversations. Please try again." });
+  }
+}
@@ -1,67 +1,144 @@
 // api/query.js — Vercel Node serverless handler (ESM)
-import OpenAI from "openai";
-import pg from "pg";
-import { planQuery, retryPlan, generateAnswerFromResults, isQuestionInDataScope, handleGeneralKnowledgeQuestion, detectQueryIntent } from "../lib/instructions.js";
-import { verifyAuthToken } from "../lib/auth.js";
+import { planQuery, retryPlan, generateAnswerFromResults, isQuestionInDataScope, handleGeneralKnowledgeQuestion, detectQueryIntent, rewriteFollowUpQuestion, buildFilteredSchemaDoc, buildPlannerMessages } from "../lib/instructions.js";
+import { authenticate } from "../lib/auth.js";
 import { logQuery, ensureUserExists } from "../lib/query-logger.js";
+import { guardSql, isGuardError, formatGuardError } from "../lib/guard.js";
+import { fetchSchema } from "../lib/schema.js";
+import { getDbPool, runReadOnlyQuery } from "../lib/db.js";
+import { getConversationStore } from "../conversations/conversation-store.js";
+import { applyCors, readJson, sendStoreError } from "../lib/http.js";
+import { summarizeResult, captureResult, buildTurnHistory, fitTurnsToBudget, excludeSummarized } from "../conversations/conversation-manager.js";
+import { maybeSummarizeConversation } from "../conversations/summarizer.js";
+import { maybeTitleConversation } from "../conversations/titles.js";
+import { createTokenBudget, historyAllowance, recordStage, budgetReport } from "../lib/context-budget.js";
+import { countTokens } from "../lib/tokens.js";
+import { getLlmProvider } from "../lib/llm.js";
+import { checkQueryQuota, setQuotaHeaders, quotaExceededBody, recordApiUsage, getClientIp } from "../lib/quota.js";
+import { FixtureRecorder, getRequestId } from "../lib/fixtures.js";
+import { CostMeter, recordLlmUsage } from "../lib/costs.js";
 
 export const config = { runtime: "nodejs" }; // optionally: { runtime: "nodejs", regions: ["iad1"] }
 
 
-// Create and cache the database connection pool
-let dbPool = null;
-
-function getDbPool() {
-  if (!dbPool) {
-    const url = new URL(process.env.DATABASE_URL);
-    dbPool = new pg.Pool({
-      host: url.hostname, // e.g., aws-1-us-east-2.pooler.supabase.com
-      port: Number(url.port || 5432),
-      user: decodeURIComponent(url.username),
-      password: decodeURIComponent(url.password),
-      database: url.pathname.replace(/^\//, ""), // "postgres"
-      // Force TLS but relax CA validation to avoid SELF_SIGNED_CERT_IN_CHAIN in Vercel
-      ssl: { rejectUnauthorized: false },
-      // Improved connection pool configuration for high-volume usage and stability
-      max: 10, // Reduced from 20 to avoid Supabase connection limits
-      min: 2, // Keep minimum connections open for faster responses
-      idleTimeoutMillis: 20000, // Reduce idle timeout to 20 seconds
-      connectionTimeoutMillis: 5000, // Increase connection timeout to 5 seconds
-      query_timeout: 30000, // 30 second query timeout
-      keepAlive: true, // Keep connections alive to prevent EADDRNOTAVAIL errors
-      application_name: 'thallos-llm-service' // Help identify connections in Supabase logs
-    });
+// Table/column allow-list for the SQL guard: registry tables + live columns from information_schema
+let allowListPromise = null;
+
+function getAllowList() {
+  if (!allowListPromise) {
+    allowListPromise = (async () => {
+      try {
+        return await fetchSchema(getDbPool());
+      } catch (e) {
+        console.error('⚠️  Live schema lookup failed, using registry columns only:', e.message);
+        allowListPromise = null; // try the live lookup again on the next request
+        return fetchSchema();
+      }
+    })();
   }
-  return dbPool;
+  return allowListPromise;
 }
 
-// Read JSON safely whether req.body exists or not
-async function readJson(req) {
-  if (req.body && typeof req.body === "object") return req.body;
-  const chunks = [];
-  for await (const c of req) chunks.push(c);
-  const raw = Buffer.concat(chunks).toString("utf8") || "{}";
-  try {
-    return JSON.parse(raw);
-  } catch {
-    // Non-JSON caller (e.g., GET or webhook without body)
-    return {};
-  }
+// Load the live allow-list at startup so the first request doesn't pay for it
+if (process.env.DATABASE_URL) getAllowList().catch(() => {});
+
+// How much prior conversation the planner sees (messages loaded / turns kept)
+const HISTORY_MESSAGES = Number(process.env.CONVERSATION_HISTORY_MESSAGES || 20);
+const HISTORY_TURNS = Number(process.env.CONVERSATION_HISTORY_TURNS || 5);
+
+/**
+ * Housekeeping once a turn is saved: name new conversations after their first exchange and
+ * fold older turns into the rolling summary. Both are best-effort and never throw.
+ * @returns {Promise<string|null>} - The conversation's new title, if it was just titled
+ */
+async function afterTurnSaved(llm, userId, conversationId) {
+  const store = getConversationStore();
+  const [title] = await Promise.all([
+    maybeTitleConversation(llm, store, userId, conversationId),
+    maybeSummarizeConversation(llm, store, userId, conversationId, { keepTurns: HISTORY_TURNS })
+  ]);
+  return title;
 }
 
+/**
+ * Everything the pipeline reads from or writes to the outside world. lib/fixtures.js wraps these to
+ * record a request (FIXTURE_RECORD_DIR) and replaces them to replay one offline.
+ */
+export function liveServices() {
+  return {
+    authenticate,
+    checkQuota: checkQueryQuota,
+    ensureUserExists,
+    // Conversation history reads; the store (and its pool) is only created when a conversation is continued
+    store: {
+      getMessage: (...args) => getConversationStore().getMessage(...args),
+      getContext: (...args) => getConversationStore().getContext(...args)
+    },
+    getAllowList,
+    llm: getLlmProvider(),
+    connect: () => getDbPool().connect(),
+    runSql: runReadOnlyQuery,
+    logQuery,
+    afterTurnSaved
+  };
+}
+
+// Guard rejections go back to the retry planner with the allowed tables/columns spelled out
+const describeError = (e) => (isGuardError(e) ? formatGuardError(e) : String(e));
+
 export default async function handler(req, res) {
-  // Set CORS headers FIRST for ALL requests including OPTIONS
-  const origin = req.headers.origin;
-  res.setHeader('Access-Control-Allow-Origin', origin || '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  
-  // Handle preflight OPTIONS request EARLY
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+  // Set CORS headers FIRST for ALL requests; preflight OPTIONS is answered here
+  if (applyCors(req, res, 'POST, GET, OPTIONS')) return;
+
+  const requestId = getRequestId(req);
+  res.setHeader("X-Request-Id", requestId);
+
+  // 🎞️ Debug recording: the whole request (LLM calls, SQL rows, response) → <FIXTURE_RECORD_DIR>/<requestId>.json
+  const recorder = process.env.FIXTURE_RECORD_DIR
+    ? new FixtureRecorder(requestId, req, process.env.FIXTURE_RECORD_DIR)
+    : null;
+  const services = recorder ? recorder.wrap(liveServices(), res) : liveServices();
+
+  // 💲 Tokens and cost of every LLM call → debug block + "user".llm_usage
+  const meter = new CostMeter();
+  services.llm = meter.wrap(services.llm);
+
+  // 📊 Every request of a signed-in user ends up in user_api_usage (status + latency)
+  const usage = { userId: null, startedAt: Date.now(), meter, intent: null, source: null };
+  try {
+    return await answerQuery(req, res, usage, services);
+  } finally {
+    await recorder?.save(res.statusCode);
+    if (meter.calls.length) {
+      await recordLlmUsage({
+        requestId,
+        userId: usage.userId,
+        intent: usage.intent,
+        source: usage.source,
+        statusCode: res.statusCode,
+        totals: meter.totals()
+      });
+    }
+    if (usage.userId) {
+      await recordApiUsage(usage.userId, {
+        endpoint: new URL(req.url, `https://${req.headers.host || 'localhost'}`).pathname,
+        method: req.method,
+        statusCode: res.statusCode,
+        responseTimeMs: Date.now() - usage.startedAt
+      });
+    }
   }
-  
+}
+
+/**
+ * The question → SQL → answer pipeline behind the handler
+ * @param {Object} req - Vercel-style request
+ * @param {Object} res - Vercel-style response
+ * @param {Object} usage - Filled with the caller's userId, the intent and the answer source for usage
+ *   metering; its CostMeter (if any) supplies the LLM cost totals in the response
+ * @param {Object} services - Outside dependencies (liveServices(), or a fixture replay)
+ */
+export async function answerQuery(req, res, usage, services) {
+  const { llm } = services;
   let intent = 'standard_query'; // Initialize early to prevent undefined errors in catch block
   
   try {
@@ -76,13 +153,22 @@ export default async function handler(req, res) {
     const qsQuestion = urlObj.searchParams.get("q") || urlObj.searchParams.get("question");
 
     const body = await readJson(req);
-    const question = body?.question || qsQuestion;
+    let question = body?.question || qsQuestion;
     const minimal =
       body?.minimal === true || urlObj.searchParams.get("minimal") === "true";
     const presentationHint = body?.presentationHint;
     const stream = body?.stream === true || urlObj.searchParams.get("stream") === "true";
+    const conversationId = body?.conversationId || urlObj.searchParams.get("conversationId") || null;
+    // Branching: ask an edited version of an earlier question, or answer the same question again
+    const editMessageId = body?.editMessageId || null;
+    const regenerateMessageId = body?.regenerateMessageId || null;
+    const branchTargetId = regenerateMessageId || editMessageId;
+
+    if (branchTargetId && !conversationId) {
+      return res.status(400).json({ error: "Editing or regenerating a message requires a 'conversationId'." });
+    }
 
-    if (!question) {
+    if (!question && !regenerateMessageId) {
       return res.status(400).json({
         error:
           "Missing 'question'. Provide JSON body {\"question\":\"...\"} or use ?q= in the URL.",
@@ -92,17 +178,90 @@ export default async function handler(req, res) {
       });
     }
 
-    // 🔐 Verify authentication (optional - returns null if not authenticated)
-    const userId = await verifyAuthToken(req);
+    // 🔐 Verify authentication (optional - no credentials means anonymous, bad credentials are rejected)
+    const auth = await services.authenticate(req, "query");
+    if (auth.status === "invalid") {
+      return res.status(401).json({ error: "Invalid or expired credentials. Sign in again or send no Authorization header." });
+    }
+    if (auth.status === "forbidden") {
+      return res.status(403).json({ error: auth.reason });
+    }
+    if (auth.status === "unavailable") {
+      return res.status(503).json({ error: "Sign-in could not be verified right now. Please try again." });
+    }
+    const userId = auth.userId;
+    usage.userId = userId;
     if (userId) {
       // Ensure user exists in database
-      await ensureUserExists(userId);
+      await services.ensureUserExists(userId);
     }
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    // 🎟️ Free plan: monthly allowance; anonymous callers: daily allowance per IP
+    const quota = await services.checkQuota(userId, getClientIp(req), { plan: auth.plan });
+    setQuotaHeaders(res, quota);
+    if (!quota.allowed) {
+      return res.status(429).json(quotaExceededBody(quota));
+    }
+
+    // 🧮 Token budget shared by every prompt in this request (history, schema, result rows)
+    const tokenBudget = createTokenBudget({ model: llm.modelFor("planner") });
+
+    // 💬 Load prior turns when continuing a conversation (the active branch, or the
+    // branch leading up to the question being edited/regenerated)
+    let turns = [];
+    let summary = null;
+    let branch = null; // where the new messages attach when editing or regenerating
+    if (conversationId) {
+      if (!userId) {
+        return res.status(401).json({ error: "Sign in to continue a conversation." });
+      }
+      let context;
+      try {
+        if (branchTargetId) {
+          const target = await services.store.getMessage(userId, conversationId, branchTargetId);
+          if (!target) {
+            return res.status(404).json({ error: "Message not found." });
+          }
+          if (target.role !== 'user') {
+            return res.status(400).json({ error: "Only questions can be edited or regenerated." });
+          }
+          // Branch up to and including the target; its history is everything before it
+          context = await services.store.getContext(userId, conversationId, { limit: HISTORY_MESSAGES + 1, leafId: target.message_id });
+          context.messages = context.messages.slice(0, -1);
+          if (context.summary?.lastMessageId === target.message_id) context.summary = null;
+
+          if (regenerateMessageId) {
+            question = target.content;
+            branch = { replyToMessageId: target.message_id };
+          } else {
+            branch = { parentId: context.messages[context.messages.length - 1]?.messageId ?? null };
+          }
+        } else {
+          context = await services.store.getContext(userId, conversationId, { limit: HISTORY_MESSAGES });
+        }
+      } catch (e) {
+        if (sendStoreError(res, e)) return;
+        throw e;
+      }
+      if (!context) {
+        return res.status(404).json({ error: "Conversation not found." });
+      }
+      // Older turns may already be folded into the rolling summary - it stands in for them
+      summary = context.summary;
+      turns = buildTurnHistory(excludeSummarized(context.messages, summary), HISTORY_TURNS);
+    }
+    const rewriteHistory = fitTurnsToBudget(turns, tokenBudget.maxHistoryTokens, tokenBudget.model, summary).text;
+
+    // ✍️ Rewrite context-dependent follow-ups ("and for USDT?") into standalone questions.
+    // Routing, schema filtering, planning and answering all use the rewritten text.
+    const standaloneQuestion = await rewriteFollowUpQuestion(llm, question, rewriteHistory);
+    const questionInfo = {
+      question,
+      rewrittenQuestion: standaloneQuestion !== question ? standaloneQuestion : null
+    };
 
     // Check if question is within data scope or needs general knowledge handling
-    const inDataScope = await isQuestionInDataScope(question);
+    const inDataScope = await isQuestionInDataScope(standaloneQuestion);
     
     if (inDataScope === 'meta') {
       // Handle meta questions about service capabilities
@@ -128,50 +287,87 @@ Try asking:
 • "Show me WETH-USDC pool rates"
 • "What's the current price of BTC?"`;
       
+      usage.source = "meta_response";
       return res.status(200).json({ 
         answer, 
         source: "meta_response",
+        ...questionInfo,
         note: "Service capabilities overview"
       });
     }
     
     if (!inDataScope) {
       // Handle as general knowledge question
-      const answer = await handleGeneralKnowledgeQuestion(openai, question);
+      const answer = await handleGeneralKnowledgeQuestion(llm, standaloneQuestion);
+      usage.source = "general_knowledge";
       return res.status(200).json({ 
         answer, 
         source: "general_knowledge",
+        ...questionInfo,
         note: "This question was answered using general knowledge rather than database queries."
       });
     }
 
     // Detect query intent for backtesting/forecasting
-    intent = detectQueryIntent(question);
+    intent = detectQueryIntent(standaloneQuestion);
+    usage.intent = intent;
     
     // Handle special intents that need general knowledge responses
     if (intent === 'portfolio_optimization' || intent === 'general_prediction') {
-      const answer = await handleGeneralKnowledgeQuestion(openai, question);
+      const answer = await handleGeneralKnowledgeQuestion(llm, standaloneQuestion);
+      usage.source = "general_knowledge";
       return res.status(200).json({ 
         answer, 
         source: "general_knowledge",
+        ...questionInfo,
         intent: intent
       });
     }
 
 
+    // Fit history into whatever the planner prompt leaves free once the schema doc is in. The prompt is
+    // measured in its follow-up form (a one-character history), so the text around the history is paid for too
+    const plannerDoc = await buildFilteredSchemaDoc(standaloneQuestion);
+    const plannerHistory = fitTurnsToBudget(
+      turns,
+      historyAllowance(tokenBudget, await buildPlannerMessages(standaloneQuestion, plannerDoc, '-')),
+      tokenBudget.model,
+      summary
+    );
+    const history = plannerHistory.text;
+    const [plannerSystem, plannerUser] = await buildPlannerMessages(standaloneQuestion, plannerDoc, history);
+    const schemaTokens = countTokens(plannerDoc, tokenBudget.model);
+    recordStage(tokenBudget, 'planner', {
+      system: countTokens(plannerSystem.content, tokenBudget.model) - schemaTokens,
+      schema: schemaTokens,
+      question: countTokens(plannerUser.content, tokenBudget.model) - plannerHistory.tokens,
+      history: plannerHistory.tokens
+    }, {
+      history_turns: {
+        summarized: plannerHistory.summarized,
+        kept: plannerHistory.kept,
+        condensed: plannerHistory.condensed,
+        dropped: plannerHistory.dropped
+      }
+    });
+
     // All queries use general LLM planning - no hardcoded functions
-    const result = await planQuery(openai, question, null, intent);
+    const result = await planQuery(llm, standaloneQuestion, plannerDoc, intent, history);
     let sql = result.sql;
 
-    // 2) Execute SQL (with optional statement timeout)
-    const pool = getDbPool();
+    // 2) Execute SQL (read-only transaction, per-statement timeouts, least-privilege role)
+    // Every statement goes through the AST guard before it reaches Postgres
+    const { tables: allowedTables, colsByTable } = await services.getAllowList();
+    const maxLimit = Number(process.env.SQL_MAX_LIMIT || 500);
+    const guard = (candidate) => guardSql(candidate, allowedTables, colsByTable, maxLimit);
+
     let rows = [];
     let sqlTried = sql;
     let retryCount = 0; // Track retry attempts for debugging
 
     let client;
     try {
-      client = await pool.connect();
+      client = await services.connect();
     } catch (connectionError) {
       console.error('Database connection failed:', connectionError.message);
       return res.status(503).json({ 
@@ -181,17 +377,15 @@ Try asking:
     }
     
     try {
-      // Standard timeout for all queries
-      const ms = Number(process.env.DB_QUERY_TIMEOUT_MS || 30000);  // 30 seconds for all queries
-      await client.query(`SET statement_timeout TO ${ms}`);
-
       // 🧠 SMART RETRY SYSTEM with Progressive Learning
       const maxRetries = 3;
       let lastError = null;
       
       // First attempt
       try {
-        const r = await client.query(sql);
+        sql = await guard(sql);
+        sqlTried = sql;
+        const r = await services.runSql(client, sql);
         rows = r.rows || [];
       } catch (e1) {
         lastError = e1;
@@ -202,12 +396,14 @@ Try asking:
             console.log(`🔄 Retry #${retryCount}: Learning from error - ${String(lastError).substring(0, 100)}...`);
             
             // Learn from the specific error and adapt strategy
-            const retry = await retryPlan(openai, question, sql, String(lastError), null, intent, retryCount);
+            const retry = await retryPlan(llm, standaloneQuestion, sql, describeError(lastError), null, intent, retryCount, history);
             sql = retry.sql;
             sqlTried = sql;
             
             // Attempt the improved query
-            const r = await client.query(sql);
+            sql = await guard(sql);
+            sqlTried = sql;
+            const r = await services.runSql(client, sql);
             rows = r.rows || [];
             
             console.log(`✅ Success on retry #${retryCount}! Query learned and adapted.`);
@@ -224,6 +420,7 @@ Try asking:
               err.detail = retryError.detail;
               err.hint = retryError.hint;
               err.position = retryError.position;
+              err.guard = retryError.guard;
               err.sql = sqlTried;
               err.retryCount = retryCount;
               err.originalError = String(e1);
@@ -238,8 +435,22 @@ Try asking:
     }
 
 
+    usage.source = "database_query";
+
+    // Stored with the turn so follow-up questions can build on this SQL and result;
+    // the rows themselves are kept with the answer for exports
+    const turnMetadata = {
+      intent,
+      sql,
+      rows: rows.length,
+      resultSummary: summarizeResult(rows),
+      result: captureResult(rows),
+      retryCount,
+      rewrittenQuestion: questionInfo.rewrittenQuestion
+    };
+
     // 4) Respond (JSON only)
-    if (minimal) return res.status(200).json({ sql, rows, source: "database_query", intent });
+    if (minimal) return res.status(200).json({ sql, rows, source: "database_query", intent, ...questionInfo });
 
     // Handle streaming response
     if (stream) {
@@ -250,21 +461,37 @@ Try asking:
       });
 
       // Send initial data (SQL and rows)
+      res.write(`data: ${JSON.stringify({ type: 'question', ...questionInfo })}\n\n`);
       res.write(`data: ${JSON.stringify({ type: 'sql', sql })}\n\n`);
       res.write(`data: ${JSON.stringify({ type: 'rows', rows: rows.slice(0, 10), totalRows: rows.length })}\n\n`);
       res.write(`data: ${JSON.stringify({ type: 'answer_start' })}\n\n`);
 
       try {
-        const answerStream = await generateAnswerFromResults(openai, question, rows, presentationHint, intent, retryCount, true);
+        const answerStream = await generateAnswerFromResults(llm, standaloneQuestion, rows, presentationHint, intent, retryCount, true, tokenBudget);
+        let streamedAnswer = '';
         
-        for await (const chunk of answerStream) {
-          const content = chunk.choices[0]?.delta?.content || '';
-          if (content) {
+        if (typeof answerStream === 'string') {
+          // Empty results return a canned answer instead of a stream
+          streamedAnswer = answerStream;
+          res.write(`data: ${JSON.stringify({ type: 'answer_chunk', content: answerStream })}\n\n`);
+        } else {
+          for await (const content of answerStream) {
+            streamedAnswer += content;
             res.write(`data: ${JSON.stringify({ type: 'answer_chunk', content })}\n\n`);
           }
         }
         
-        res.write(`data: ${JSON.stringify({ type: 'done', retryCount, intent })}\n\n`);
+        // 📝 Persist the turn to the conversation (authenticated users only)
+        const savedConversationId = userId
+          ? await services.logQuery(userId, question, streamedAnswer, turnMetadata, conversationId, branch)
+          : null;
+        
+        const conversationTitle = savedConversationId
+          ? await services.afterTurnSaved(llm, userId, savedConversationId)
+          : null;
+        
+        const llmUsage = usage.meter?.totals() ?? null;
+        res.write(`data: ${JSON.stringify({ type: 'done', retryCount, intent, conversationId: savedConversationId, conversationTitle, llmUsage })}\n\n`);
         res.end();
       } catch (error) {
         res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
@@ -274,18 +501,24 @@ Try asking:
     }
 
     // Generate answer from results
-    const answer = await generateAnswerFromResults(openai, question, rows, presentationHint, intent, retryCount, false);
+    const answer = await generateAnswerFromResults(llm, standaloneQuestion, rows, presentationHint, intent, retryCount, false, tokenBudget);
     
-    // 📝 Log question and answer if user is authenticated
-    if (userId) {
-      await logQuery(userId, question, answer, { intent, sql: sql.substring(0, 500), rows: rows.length });
-    }
+    // 📝 Log question and answer to the conversation if user is authenticated
+    const savedConversationId = userId
+      ? await services.logQuery(userId, question, answer, turnMetadata, conversationId, branch)
+      : null;
+    
+    const conversationTitle = savedConversationId
+      ? await services.afterTurnSaved(llm, userId, savedConversationId)
+      : null;
     
     // Always include debug info for troubleshooting
     const debugInfo = {
       sql: sql,
       raw_data_sample: rows.slice(0, 5), // First 5 rows
-      total_rows: rows.length
+      total_rows: rows.length,
+      token_budget: budgetReport(tokenBudget),
+      llm_usage: usage.meter?.totals() ?? null
     };
     
     return res.status(200).json({ 
@@ -294,7 +527,10 @@ Try asking:
       answer, 
       source: "database_query", 
       intent, 
+      ...questionInfo,
       retryCount: retryCount,
+      conversationId: savedConversationId,
+      conversationTitle,
       debug: debugInfo 
     });
   } catch (err) {
@@ -322,7 +558,9 @@ Try asking:
         hint: err?.hint,
         position: err?.position,
       },
+      guard: err?.guard, // structured SQL guard rejection (if any)
       sql: err?.sql, // which SQL failed (if any)
+      llm_usage: usage.meter?.totals() ?? null, // what the failed attempts cost (retries included)
     };
     res.setHeader("content-type", "application/json");
     return res.status(500).end(JSON.stringify(payload));
@@ -0,0 +1,27 @@
+// api/shared/[token].js — public, read-only view of a shared conversation (no authentication)
+// GET /api/shared/:token  →  { conversation: { title, createdAt, sharedAt, expiresAt, messages } }
+import { applyCors, rejectMethod, routeParam } from "../../lib/http.js";
+import { getConversationStore } from "../../conversations/conversation-store.js";
+import { getSharedConversation } from "../../conversations/shares.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, OPTIONS')) return;
+  if (rejectMethod(req, res, ["GET"])) return;
+
+  // Revoking must take effect immediately, so nothing may cache the snapshot
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const token = routeParam(req, 'token', /^\/api\/shared\/([^/]+)\/?$/);
+    const conversation = await getSharedConversation(getConversationStore(), token);
+    if (!conversation) {
+      return res.status(404).json({ error: "This link is invalid, expired or has been revoked." });
+    }
+    return res.status(200).json({ conversation });
+  } catch (err) {
+    console.error('❌ Shared conversation lookup failed:', err?.message || err);
+    return res.status(500).json({ error: "Could not load the shared conversation. Please try again." });
+  }
+}
@@ -2,11 +2,18 @@
  * Conversation Manager
  * High-level interface for managing conversations and preparing context for LLM
  * 
- * Note: This module expects a Supabase client or database connection to be passed in.
- * For now, queries are returned as strings to be executed via MCP or direct connection.
+ * Query builders return parameterized statements ({ text, values }).
+ * Run them with executeQuery() (shared pool from lib/db.js) or pass them to any pg client.
+ * For multi-step flows (create + first message, question/answer turns) use ConversationStore
+ * from conversation-store.js.
  */
 
 import * as queries from './db-queries.js';
+import { getDbPool } from '../lib/db.js';
+import { countTokens, countMessageTokens, truncateToTokens } from '../lib/tokens.js';
+
+// Result rows kept with each answer (the SQL guard caps queries at SQL_MAX_LIMIT rows anyway)
+const RESULT_ROWS_STORED = Number(process.env.CONVERSATION_RESULT_ROWS || 500);
 
 /**
  * Format conversation messages for LLM prompt
@@ -42,11 +49,14 @@ function formatConversationContext(conversationData) {
 
 /**
  * Build a complete prompt with conversation history
+ * Follows the branch of the newest message; when the conversation has a rolling summary,
+ * it replaces the messages it covers
  * @param {Array} messages - Formatted messages array
  * @param {string} systemPrompt - Optional system prompt to prepend
+ * @param {Object|null} summary - Conversation summary (conversation metadata.summary)
  * @returns {Array} - Complete message array for LLM
  */
-function buildPromptWithHistory(messages, systemPrompt = null) {
+function buildPromptWithHistory(messages, systemPrompt = null, summary = null) {
   const promptMessages = [];
   
   if (systemPrompt) {
@@ -56,98 +66,45 @@ function buildPromptWithHistory(messages, systemPrompt = null) {
     });
   }
   
-  // Add all historical messages
-  promptMessages.push(...messages);
+  if (summary?.text) {
+    promptMessages.push({
+      role: 'system',
+      content: formatConversationSummary(summary)
+    });
+  }
+  
+  // Add the active branch's messages not covered by the summary
+  promptMessages.push(...excludeSummarized(followBranch(messages), summary));
   
   return promptMessages;
 }
 
 /**
  * Truncate conversation history to fit within token limit
- * Keeps most recent messages and system messages
+ * Keeps system messages and the most recent other messages; oldest are dropped first
  * @param {Array} messages - Array of messages
  * @param {number} maxMessages - Maximum number of messages to keep
+ * @param {Object} options
+ * @param {number|null} options.maxTokens - Prompt token limit for the kept messages (null = count only)
+ * @param {string} options.model - Model used for token counting
  * @returns {Array} - Truncated messages
  */
-function truncateHistory(messages, maxMessages = 50) {
+function truncateHistory(messages, maxMessages = 50, { maxTokens = null, model = 'gpt-4.1' } = {}) {
   // Separate system messages from others
   const systemMessages = messages.filter(m => m.role === 'system');
   const otherMessages = messages.filter(m => m.role !== 'system');
   
   // Keep all system messages + most recent other messages
-  const recentMessages = otherMessages.slice(-maxMessages);
+  let recentMessages = otherMessages.slice(-maxMessages);
   
-  return [...systemMessages, ...recentMessages];
-}
-
-/**
- * Get conversation workflow
- * Returns SQL queries in the order they should be executed
- * @param {string} userId - UUID of the user
- * @param {string} conversationId - UUID of the conversation (optional, creates new if not provided)
- */
-function getConversationWorkflow(userId, conversationId = null) {
-  const workflow = {
-    // Step 1: Ensure user exists
-    ensureUser: queries.getOrCreateUser(userId),
-    
-    // Step 2: Get or create conversation
-    getConversation: conversationId 
-      ? queries.getConversation(conversationId, userId)
-      : queries.createConversation(userId, 'New Conversation'),
-    
-    // Step 3: Get conversation messages (if conversation exists)
-    getMessages: conversationId 
-      ? queries.getConversationMessages(conversationId, userId)
-      : null,
-    
-    // Step 4: Get full context for model
-    getFullContext: conversationId
-      ? queries.getFullConversationForModel(conversationId, userId)
-      : null
-  };
+  if (maxTokens != null) {
+    while (recentMessages.length > 0 &&
+           countMessageTokens([...systemMessages, ...recentMessages], model) > maxTokens) {
+      recentMessages = recentMessages.slice(1);
+    }
+  }
   
-  return workflow;
-}
-
-/**
- * Add message workflow
- * Returns SQL queries to add a new message and get updated context
- * @param {string} userId - UUID of the user
- * @param {string} conversationId - UUID of the conversation
- * @param {string} role - Message role ('user', 'assistant', 'system')
- * @param {string} content - Message content
- * @param {Object} metadata - Optional metadata
- */
-function addMessageWorkflow(userId, conversationId, role, content, metadata = {}) {
-  return {
-    // Step 1: Add the message
-    addMessage: queries.addMessage(conversationId, userId, role, content, metadata),
-    
-    // Step 2: Get updated conversation context
-    getUpdatedContext: queries.getConversationContext(conversationId, userId)
-  };
-}
-
-/**
- * New conversation workflow
- * Creates a new conversation and adds initial message
- * @param {string} userId - UUID of the user
- * @param {string} initialMessage - First user message
- * @param {string} title - Optional conversation title
- */
-function newConversationWorkflow(userId, initialMessage, title = null) {
-  return {
-    // Step 1: Ensure user exists
-    ensureUser: queries.getOrCreateUser(userId),
-    
-    // Step 2: Create conversation
-    createConversation: queries.createConversation(userId, title),
-    
-    // Note: After creating conversation, get the conversation_id from the result
-    // Then use addMessageWorkflow with that conversation_id
-    instructions: 'After executing createConversation, extract conversation_id from result and use addMessageWorkflow'
-  };
+  return [...systemMessages, ...recentMessages];
 }
 
 /**
@@ -166,21 +123,378 @@ function simplifyMessages(dbMessages) {
  * Prepare context string for model
  * Formats conversation history as a readable context string
  * @param {Array} messages - Array of messages
+ * @param {Object} options
+ * @param {number|null} options.maxTokens - Token limit for the whole string; oldest messages are dropped first
+ * @param {string} options.model - Model used for token counting
+ * @param {Object|null} options.summary - Rolling summary, shown in place of the messages it covers
+ * @param {string|null} options.activeLeafId - Tip of the branch to show (default: newest message)
  * @returns {string} - Formatted context string
  */
-function prepareContextString(messages) {
-  if (!messages || messages.length === 0) {
+function prepareContextString(messages, { maxTokens = null, model = 'gpt-4.1', summary = null, activeLeafId = null } = {}) {
+  messages = excludeSummarized(followBranch(messages, activeLeafId), summary);
+  if ((!messages || messages.length === 0) && !summary?.text) {
     return 'No previous conversation history.';
   }
   
-  let contextString = '=== Conversation History ===\n\n';
-  
-  messages.forEach((msg, index) => {
+  const header = summary?.text
+    ? `=== Conversation History ===\n\n${formatConversationSummary(summary)}\n\n`
+    : '=== Conversation History ===\n\n';
+  const entries = messages.map(msg => {
     const roleLabel = msg.role.charAt(0).toUpperCase() + msg.role.slice(1);
-    contextString += `[${roleLabel}]: ${msg.content}\n\n`;
+    return `[${roleLabel}]: ${msg.content}\n\n`;
   });
   
-  return contextString;
+  if (maxTokens != null) {
+    let used = countTokens(header, model);
+    let start = entries.length;
+    while (start > 0 && used + countTokens(entries[start - 1], model) <= maxTokens) {
+      start -= 1;
+      used += countTokens(entries[start], model);
+    }
+    if (start > 0) {
+      return `${header}[${start} earlier message(s) omitted]\n\n${entries.slice(start).join('')}`;
+    }
+  }
+  
+  return header + entries.join('');
+}
+
+// ========================================
+// BRANCHES
+// ========================================
+
+/**
+ * Keep only the messages on one branch of a conversation
+ * Each message's metadata.parentId points at the message before it on its branch; editing a
+ * question or regenerating an answer starts a new branch from that point. Messages written before
+ * branching existed have no parentId and follow each other in order.
+ * @param {Array} messages - Chronological messages (messageId or message_id, metadata)
+ * @param {string|null} leafId - Last message of the branch to follow (null = newest message)
+ * @returns {Array} - Messages from the root (or start of the list) to the leaf, oldest first
+ */
+function followBranch(messages, leafId = null) {
+  const list = messages || [];
+  const idOf = (m) => m.messageId || m.message_id;
+  const hasParent = (m) => Boolean(m.metadata) && Object.prototype.hasOwnProperty.call(m.metadata, 'parentId');
+  // Plain linear history (no branch metadata) passes through untouched
+  if (!leafId && !list.some(hasParent)) return list;
+
+  const indexById = new Map(list.map((m, i) => [idOf(m), i]));
+  let index = leafId ? indexById.get(leafId) : list.length - 1;
+  const path = [];
+  while (index !== undefined && index >= 0) {
+    const msg = list[index];
+    path.push(msg);
+    if (hasParent(msg)) {
+      index = msg.metadata.parentId ? indexById.get(msg.metadata.parentId) : undefined;
+    } else {
+      index -= 1;
+    }
+  }
+  return path.reverse();
+}
+
+// ========================================
+// MULTI-TURN PLANNER HISTORY
+// ========================================
+
+/**
+ * Summarize query results for storage in message metadata
+ * Keeps the shape (row count, columns) and a few sample rows - not the full result
+ * @param {Array} rows - Result rows
+ * @param {number} sampleSize - Number of sample rows to keep
+ * @returns {Object} - { rowCount, columns, sample }
+ */
+function summarizeResult(rows, sampleSize = 3) {
+  const list = Array.isArray(rows) ? rows : [];
+  return {
+    rowCount: list.length,
+    columns: list.length ? Object.keys(list[0]) : [],
+    sample: list.slice(0, sampleSize)
+  };
+}
+
+/**
+ * Capture query results for storage with the answer (exports, CSV downloads)
+ * Unlike summarizeResult() this keeps the rows themselves, up to maxRows.
+ * @param {Array} rows - Result rows
+ * @param {number} maxRows - Rows to keep
+ * @returns {Object} - { columns, rows, rowCount, truncated }
+ */
+function captureResult(rows, maxRows = RESULT_ROWS_STORED) {
+  const list = Array.isArray(rows) ? rows : [];
+  return {
+    columns: list.length ? Object.keys(list[0]) : [],
+    rows: list.slice(0, maxRows),
+    rowCount: list.length,
+    truncated: list.length > maxRows
+  };
+}
+
+/**
+ * Condense stored messages into question/answer turns for the planner
+ * Previous SQL and result summaries come from the message metadata written by logQuery.
+ * Only the branch ending at activeLeafId (default: the newest message) is used.
+ * @param {Array} messages - Chronological messages (role, content, metadata)
+ * @param {number} maxTurns - Number of most recent turns to keep
+ * @param {Object} options
+ * @param {string|null} options.activeLeafId - Tip of the active branch
+ * @returns {Array} - [{ question, answer, sql, resultSummary }]
+ */
+function buildTurnHistory(messages, maxTurns = 5, { activeLeafId = null } = {}) {
+  const turns = [];
+  let open = null;
+
+  for (const msg of followBranch(messages, activeLeafId)) {
+    if (msg.role === 'user') {
+      // Prefer the standalone rewrite of elliptical follow-ups ("and for USDT?")
+      open = { question: msg.metadata?.rewrittenQuestion || msg.content, answer: null, sql: null, resultSummary: null };
+      turns.push(open);
+    } else if (msg.role === 'assistant' && open) {
+      open.answer = msg.content;
+      open.sql = msg.metadata?.sql || null;
+      open.resultSummary = msg.metadata?.resultSummary || null;
+      open = null;
+    }
+  }
+
+  return turns.slice(-maxTurns);
+}
+
+/**
+ * Render turn history as compact prompt text
+ * @param {Array} turns - Output of buildTurnHistory()
+ * @param {number} maxAnswerChars - Truncate long answers to this many characters
+ * @returns {string} - Empty string when there is no history
+ */
+function formatTurnHistory(turns, maxAnswerChars = 400) {
+  if (!turns || turns.length === 0) return '';
+
+  return turns.map((turn, index) => {
+    const lines = [`Turn ${index + 1}`, `Q: ${turn.question}`];
+    if (turn.sql) lines.push(`SQL: ${turn.sql.replace(/\s+/g, ' ').trim()}`);
+    if (turn.resultSummary) {
+      const { rowCount, columns = [], sample = [] } = turn.resultSummary;
+      lines.push(`Result: ${rowCount} rows; columns: ${columns.join(', ')}; sample: ${JSON.stringify(sample)}`);
+    }
+    if (turn.answer) {
+      const answer = turn.answer.length > maxAnswerChars
+        ? `${turn.answer.slice(0, maxAnswerChars)}…`
+        : turn.answer;
+      lines.push(`A: ${answer}`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Fit planner turn history into a token budget
+ * A rolling summary (if any) goes first and may use up to half the budget. Newest turns are
+ * kept verbatim; older turns that don't fit are condensed into a one-line recap of their
+ * questions, and dropped entirely once even the recap doesn't fit.
+ * @param {Array} turns - Output of buildTurnHistory() (oldest first)
+ * @param {number} maxTokens - Token budget for the rendered history
+ * @param {string} model - Model used for token counting
+ * @param {Object|null} summary - Conversation summary (conversation metadata.summary)
+ * @returns {Object} - { text, tokens, kept, condensed, dropped, summarized }
+ */
+function fitTurnsToBudget(turns, maxTokens, model = 'gpt-4.1', summary = null) {
+  const summaryText = summary?.text && maxTokens > 0
+    ? truncateToTokens(formatConversationSummary(summary), Math.floor(maxTokens / 2), model)
+    : '';
+  if (summaryText) {
+    const rest = fitTurnsToBudget(turns, maxTokens - countTokens(summaryText, model) - 2, model);
+    const text = rest.text ? `${summaryText}\n\n${rest.text}` : summaryText;
+    return { ...rest, text, tokens: countTokens(text, model), summarized: summary.turnCount || 0 };
+  }
+
+  const list = turns || [];
+  const empty = { text: '', tokens: 0, kept: 0, condensed: 0, dropped: list.length, summarized: 0 };
+  if (list.length === 0 || maxTokens <= 0) return empty;
+
+  // Newest first until the verbatim history no longer fits
+  let keptFrom = list.length;
+  while (keptFrom > 0 &&
+         countTokens(formatTurnHistory(list.slice(keptFrom - 1)), model) <= maxTokens) {
+    keptFrom -= 1;
+  }
+
+  const kept = list.slice(keptFrom);
+  const older = list.slice(0, keptFrom);
+  let text = formatTurnHistory(kept);
+  let condensed = 0;
+
+  if (older.length > 0) {
+    const remaining = maxTokens - countTokens(text, model) - 2;
+    const recap = `Earlier turns (condensed): ${older.map(t => `"${t.question}"`).join('; ')}`;
+    const fitted = remaining > 10 ? truncateToTokens(recap, remaining, model) : '';
+    if (fitted) {
+      text = text ? `${fitted}\n\n${text}` : fitted;
+      condensed = older.length;
+    }
+  }
+
+  return {
+    text,
+    tokens: countTokens(text, model),
+    kept: kept.length,
+    condensed,
+    dropped: older.length - condensed,
+    summarized: 0
+  };
+}
+
+// ========================================
+// API RESOURCES
+// ========================================
+
+/**
+ * Shape a conversation row for the REST API (camelCase, counts as numbers)
+ * @param {Object} row - Conversation row (optionally with message_count / stats)
+ * @returns {Object}
+ */
+function toConversationResource(row) {
+  const resource = {
+    conversationId: row.conversation_id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    metadata: row.metadata || {}
+  };
+  if (row.message_count != null) resource.messageCount = Number(row.message_count);
+  if (row.stats) {
+    resource.stats = {
+      totalMessages: Number(row.stats.total_messages),
+      userMessages: Number(row.stats.user_messages),
+      assistantMessages: Number(row.stats.assistant_messages),
+      systemMessages: Number(row.stats.system_messages),
+      firstMessageAt: row.stats.first_message_at,
+      lastMessageAt: row.stats.last_message_at
+    };
+  }
+  return resource;
+}
+
+/**
+ * Shape a message row for the REST API
+ * @param {Object} row - Message row
+ * @returns {Object}
+ */
+function toMessageResource(row) {
+  return {
+    messageId: row.message_id,
+    conversationId: row.conversation_id,
+    role: row.role,
+    content: row.content,
+    createdAt: row.created_at,
+    metadata: row.metadata || {}
+  };
+}
+
+/**
+ * Shape a share link row for the REST API (the token itself is only returned at creation)
+ * @param {Object} row - Share row
+ * @returns {Object}
+ */
+function toShareResource(row) {
+  const expired = row.expires_at != null && new Date(row.expires_at) <= new Date();
+  return {
+    shareId: row.share_id,
+    conversationId: row.conversation_id,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at || null,
+    revokedAt: row.revoked_at || null,
+    active: !row.revoked_at && !expired
+  };
+}
+
+/**
+ * Shape a search hit for the REST API
+ * The snippet comes back as plain text; matched words are listed as [start, end) offsets
+ * so clients can highlight them without rendering any markup from stored content.
+ * @param {Object} row - Row from searchUserMessages / store.searchMessages
+ * @returns {Object}
+ */
+function toSearchResultResource(row) {
+  const highlights = [];
+  let snippet = '';
+  let start = null;
+  for (const ch of String(row.snippet || '')) {
+    if (ch === queries.HIGHLIGHT_START) {
+      start = snippet.length;
+    } else if (ch === queries.HIGHLIGHT_STOP) {
+      if (start !== null && snippet.length > start) highlights.push({ start, end: snippet.length });
+      start = null;
+    } else {
+      snippet += ch;
+    }
+  }
+  return {
+    type: row.match_type,
+    conversationId: row.conversation_id,
+    conversationTitle: row.conversation_title,
+    messageId: row.message_id || null,
+    role: row.role || null,
+    createdAt: row.created_at,
+    rank: Number(row.rank),
+    snippet,
+    highlights
+  };
+}
+
+// ========================================
+// ROLLING SUMMARY
+// ========================================
+
+/**
+ * Render a rolling summary (conversation metadata.summary) as prompt text
+ * @param {Object|null} summary - { text, entities: { tokens, protocols, chains }, turnCount }
+ * @returns {string} - Empty string when there is no summary
+ */
+function formatConversationSummary(summary) {
+  if (!summary?.text) return '';
+
+  const label = summary.turnCount ? `Summary of ${summary.turnCount} earlier turn(s)` : 'Summary of earlier turns';
+  const lines = [`${label}: ${summary.text}`];
+  const entities = summary.entities || {};
+  const parts = ['tokens', 'protocols', 'chains']
+    .filter(key => entities[key]?.length)
+    .map(key => `${key}: ${entities[key].join(', ')}`);
+  if (parts.length) lines.push(`Discussed so far - ${parts.join('; ')}`);
+  return lines.join('\n');
+}
+
+/**
+ * Drop messages already folded into the rolling summary
+ * Messages are chronological; everything up to and including summary.lastMessageId is covered.
+ * If that message isn't in the list, the list starts after it and nothing is dropped.
+ * @param {Array} messages - Chronological messages (messageId or message_id)
+ * @param {Object|null} summary - Conversation summary
+ * @returns {Array} - Messages the summary doesn't cover
+ */
+function excludeSummarized(messages, summary) {
+  const list = messages || [];
+  if (!summary?.lastMessageId) return list;
+  const index = list.findIndex(m => (m.messageId || m.message_id) === summary.lastMessageId);
+  return index === -1 ? list : list.slice(index + 1);
+}
+
+// ========================================
+// QUERY EXECUTION
+// ========================================
+
+/**
+ * Execute a parameterized query and return its rows
+ * @param {{text: string, values: Array}} query - Statement from db-queries.js / safeQueries
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client (defaults to shared pool)
+ * @returns {Promise<Array>} - Result rows
+ */
+async function executeQuery(query, db = getDbPool()) {
+  if (!query || typeof query.text !== 'string' || !Array.isArray(query.values)) {
+    throw new Error('executeQuery expects a parameterized query { text, values }');
+  }
+  const result = await db.query(query);
+  return result.rows;
 }
 
 // ========================================
@@ -239,7 +553,15 @@ const safeQueries = {
       throw new Error('Content must be a string');
     }
     return queries.addMessage(conversationId, userId, role, content, metadata);
-  }
+  },
+
+  /**
+   * Execute a validated query against the shared pool
+   * @param {{text: string, values: Array}} query - Result of one of the generators above
+   * @param {import('pg').Pool|import('pg').PoolClient} db - Optional pool or client
+   * @example await safeQueries.execute(safeQueries.createConversation(userId, 'Chat'))
+   */
+  execute: (query, db) => executeQuery(query, db)
 };
 
 /**
@@ -263,6 +585,9 @@ export {
   // Safe query generators
   safeQueries,
   
+  // Execution
+  executeQuery,
+  
   // Formatting utilities
   formatMessagesForLLM,
   formatConversationContext,
@@ -271,10 +596,25 @@ export {
   simplifyMessages,
   prepareContextString,
   
-  // Workflows
-  getConversationWorkflow,
-  addMessageWorkflow,
-  newConversationWorkflow,
+  // Branches
+  followBranch,
+  
+  // Multi-turn planner history
+  summarizeResult,
+  captureResult,
+  buildTurnHistory,
+  formatTurnHistory,
+  fitTurnsToBudget,
+  
+  // API resources
+  toConversationResource,
+  toMessageResource,
+  toSearchResultResource,
+  toShareResource,
+  
+  // Rolling summary
+  formatConversationSummary,
+  excludeSummarized,
   
   // Validation
   isValidUUID
@@ -0,0 +1,1103 @@
+/**
+ * Conversation Store
+ * Executable persistence layer for conversations and messages.
+ *
+ * ConversationStore runs the parameterized builders from db-queries.js against a pg pool,
+ * wrapping multi-step operations in transactions. InMemoryConversationStore implements the
+ * same async interface without a database (for tests and local experiments).
+ */
+
+import { randomUUID } from 'crypto';
+import * as queries from './db-queries.js';
+import { isValidUUID, followBranch } from './conversation-manager.js';
+import { getDbPool } from '../lib/db.js';
+
+const ROLES = ['user', 'assistant', 'system'];
+
+/**
+ * Build an Error with a machine-readable code (same shape as pg / guard errors)
+ * @param {string} code - Error code
+ * @param {string} message - Human-readable message
+ */
+function storeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function assertUUID(value, name) {
+  if (!isValidUUID(value)) {
+    throw storeError('INVALID_INPUT', `Invalid ${name}: must be a valid UUID`);
+  }
+}
+
+function assertMessage(role, content) {
+  if (!ROLES.includes(role)) {
+    throw storeError('INVALID_INPUT', 'Invalid role: must be "user", "assistant", or "system"');
+  }
+  if (typeof content !== 'string') {
+    throw storeError('INVALID_INPUT', 'Content must be a string');
+  }
+}
+
+function notFound() {
+  return storeError('CONVERSATION_NOT_FOUND', 'Conversation not found');
+}
+
+function messageNotFound() {
+  return storeError('MESSAGE_NOT_FOUND', 'Message not found');
+}
+
+// Messages from before branching have no branchId; they are on the main branch, named after the conversation
+const branchOf = (message) => message?.metadata?.branchId || message?.conversation_id;
+
+/**
+ * Summary from conversation metadata, if it applies to the branch being read
+ * A summary built on another branch (the path forked before its last message) is ignored.
+ * @param {Object|null} summary - metadata.summary
+ * @param {Array} path - Branch messages, oldest first
+ * @param {boolean} complete - Whether path reaches the root
+ * @returns {Object|null|undefined} - The summary, null if it doesn't apply, undefined if path is too short to tell
+ */
+function summaryForPath(summary, path, complete) {
+  if (!summary?.lastMessageId) return null;
+  if (path.some(m => m.message_id === summary.lastMessageId)) return summary;
+  return complete ? null : undefined;
+}
+
+// ========================================
+// PAGINATION
+// ========================================
+
+const MAX_PAGE_SIZE = 200;
+
+function assertPageSize(limit) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw storeError('INVALID_INPUT', `Invalid limit: must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+}
+
+/**
+ * Opaque keyset cursor: base64url JSON of the last row's sort timestamp and id
+ */
+function encodeCursor(ts, id) {
+  return Buffer.from(JSON.stringify({ ts, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (cursor == null || cursor === '') return null;
+  try {
+    const { ts, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof ts === 'string' && !Number.isNaN(Date.parse(ts)) && isValidUUID(id)) return { ts, id };
+  } catch {
+    // fall through
+  }
+  throw storeError('INVALID_INPUT', 'Invalid cursor');
+}
+
+/**
+ * Ranked results (search) have no stable sort key to resume from, so their cursor is an offset
+ */
+function encodeOffsetCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeOffsetCursor(cursor) {
+  if (cursor == null || cursor === '') return 0;
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch {
+    // fall through
+  }
+  throw storeError('INVALID_INPUT', 'Invalid cursor');
+}
+
+/**
+ * Split a limit+1 result into the page and the cursor for the next one
+ * @param {Array} rows - Up to limit + 1 rows, each with cursor_ts and the id column
+ * @param {number} limit - Page size
+ * @param {string} idColumn - 'conversation_id' or 'message_id'
+ */
+function toPage(rows, limit, idColumn) {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit && last ? encodeCursor(last.cursor_ts, last[idColumn]) : null;
+  return {
+    items: page.map(({ cursor_ts, ...row }) => row),
+    nextCursor
+  };
+}
+
+// ========================================
+// SEARCH
+// ========================================
+
+const MAX_SEARCH_PAGE_SIZE = 100;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+/**
+ * Validate search text and filters
+ * @returns {{role: string|null, from: string|null, to: string|null}} - Filters with dates as ISO strings
+ */
+function assertSearch(query, { role = null, from = null, to = null, limit }) {
+  if (typeof query !== 'string' || !query.trim() || query.length > MAX_SEARCH_QUERY_LENGTH) {
+    throw storeError('INVALID_INPUT', `Search query must be 1-${MAX_SEARCH_QUERY_LENGTH} characters`);
+  }
+  if (role !== null && !ROLES.includes(role)) {
+    throw storeError('INVALID_INPUT', 'Invalid role: must be "user", "assistant", or "system"');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_PAGE_SIZE) {
+    throw storeError('INVALID_INPUT', `Invalid limit: must be an integer between 1 and ${MAX_SEARCH_PAGE_SIZE}`);
+  }
+  const toDate = (value, name) => {
+    if (value === null) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw storeError('INVALID_INPUT', `Invalid ${name}: must be an ISO 8601 date`);
+    return date.toISOString();
+  };
+  return { role, from: toDate(from, 'from'), to: toDate(to, 'to') };
+}
+
+/**
+ * In-memory stand-in for ts_rank/ts_headline: every term must appear; the snippet is a window
+ * around the first match with matches wrapped in the same markers Postgres uses
+ * @param {string} text
+ * @param {string[]} terms - Lowercase words
+ * @returns {{rank: number, snippet: string}|null}
+ */
+function matchTerms(text, terms) {
+  const lower = String(text || '').toLowerCase();
+  if (!terms.length || !terms.every(t => lower.includes(t))) return null;
+  const first = Math.min(...terms.map(t => lower.indexOf(t)));
+  const start = Math.max(0, first - 80);
+  const end = Math.min(text.length, first + 120);
+  const pattern = new RegExp(terms.join('|'), 'gi');
+  const snippet = (start > 0 ? '… ' : '') +
+    text.slice(start, end).replace(pattern, (w) => `${queries.HIGHLIGHT_START}${w}${queries.HIGHLIGHT_STOP}`) +
+    (end < text.length ? ' …' : '');
+  return { rank: (lower.match(pattern) || []).length / (lower.split(/\s+/).length || 1), snippet };
+}
+
+// Share row as returned by the owner-facing queries (no token hash, no snapshot)
+const shareRow = ({ share_id, conversation_id, created_at, expires_at, revoked_at }) =>
+  ({ share_id, conversation_id, created_at, expires_at, revoked_at });
+
+/**
+ * Shape a conversation + its messages the way the LLM context builders expect
+ * (same fields as formatConversationContext, plus per-message ids and metadata)
+ */
+function toContext(conversation, messageRows, summary = null) {
+  const messages = messageRows.map(m => ({
+    messageId: m.message_id,
+    role: m.role,
+    content: m.content,
+    timestamp: m.created_at,
+    metadata: m.metadata || {}
+  }));
+  return {
+    conversationId: conversation.conversation_id,
+    title: conversation.title,
+    createdAt: conversation.created_at,
+    metadata: conversation.metadata || {},
+    summary,
+    messages,
+    messageCount: messages.length
+  };
+}
+
+// ========================================
+// POSTGRES STORE
+// ========================================
+
+class ConversationStore {
+  /**
+   * @param {import('pg').Pool} pool - pg pool (e.g. getDbPool() from lib/db.js)
+   */
+  constructor(pool) {
+    if (!pool) throw new Error('ConversationStore requires a pg pool');
+    this.pool = pool;
+  }
+
+  /**
+   * Run fn(client) inside BEGIN/COMMIT, rolling back on error
+   */
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async rows(query, db = this.pool) {
+    const result = await db.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Lock the conversation row for the rest of the transaction, verifying ownership
+   */
+  async lockConversation(client, userId, conversationId) {
+    const [conversation] = await this.rows({
+      text: `${queries.getConversation(conversationId, userId).text} FOR UPDATE`,
+      values: [conversationId, userId]
+    }, client);
+    if (!conversation) throw notFound();
+    return conversation;
+  }
+
+  /**
+   * Insert a message at a point in the branch tree and make it the active tip
+   * (also bumps the conversation's updated_at)
+   */
+  async insertMessage(client, userId, conversationId, role, content, metadata, { parentId, branchId }) {
+    const [message] = await this.rows(
+      queries.addMessage(conversationId, userId, role, content, { ...metadata, parentId, branchId }),
+      client
+    );
+    await this.rows(queries.setActiveBranch(conversationId, userId, message.message_id, branchId), client);
+    return message;
+  }
+
+  /**
+   * Work out where a new message attaches
+   * parentId undefined = after the active tip. Attaching anywhere else (editing an earlier
+   * question, regenerating an answer) starts a new branch.
+   * @returns {Promise<{parentId: string|null, branchId: string}>}
+   */
+  async resolveParent(client, userId, conversation, parentId) {
+    const conversationId = conversation.conversation_id;
+    let leafId = conversation.metadata?.activeLeafId || null;
+    if (!leafId) {
+      const [latest] = await this.rows(queries.getRecentMessages(conversationId, userId, 1), client);
+      leafId = latest?.message_id || null;
+    }
+    if (parentId === undefined) parentId = leafId;
+
+    if (parentId === null) {
+      return { parentId: null, branchId: leafId ? randomUUID() : conversationId };
+    }
+    assertUUID(parentId, 'parentId');
+    const [parent] = await this.rows(queries.getMessage(conversationId, parentId, userId), client);
+    if (!parent) throw messageNotFound();
+    return { parentId, branchId: parentId === leafId ? branchOf(parent) : randomUUID() };
+  }
+
+  /**
+   * Ensure the user row exists
+   * @param {string} userId - UUID of the user
+   */
+  async ensureUser(userId) {
+    assertUUID(userId, 'userId');
+    await this.rows(queries.getOrCreateUser(userId));
+  }
+
+  /**
+   * Create a conversation (and the user row if needed), optionally with a first message
+   * @param {string} userId - UUID of the user
+   * @param {Object} options
+   * @param {string|null} options.title - Optional title
+   * @param {{role: string, content: string, metadata?: Object}|null} options.initialMessage - Optional first message
+   * @returns {Promise<Object>} - Conversation row (with `messages` if an initial message was added)
+   */
+  async createConversation(userId, { title = null, initialMessage = null } = {}) {
+    assertUUID(userId, 'userId');
+    if (title !== null && typeof title !== 'string') {
+      throw storeError('INVALID_INPUT', 'Title must be a string');
+    }
+    if (initialMessage) assertMessage(initialMessage.role, initialMessage.content);
+
+    return this.transaction(async (client) => {
+      await this.rows(queries.getOrCreateUser(userId), client);
+      const [conversation] = await this.rows(queries.createConversation(userId, title), client);
+      if (!initialMessage) return conversation;
+
+      const message = await this.insertMessage(
+        client, userId, conversation.conversation_id,
+        initialMessage.role, initialMessage.content, initialMessage.metadata || {},
+        { parentId: null, branchId: conversation.conversation_id }
+      );
+      return { ...conversation, messages: [message] };
+    });
+  }
+
+  /**
+   * Get a conversation owned by the user
+   * @returns {Promise<Object|null>}
+   */
+  async getConversation(userId, conversationId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    const [conversation] = await this.rows(queries.getConversation(conversationId, userId));
+    return conversation || null;
+  }
+
+  /**
+   * Append a single message, by default after the active tip
+   * @param {Object} options
+   * @param {string|null} options.parentId - Message to attach to (null = new root); other than the tip starts a branch
+   * @returns {Promise<Object>} - Inserted message row
+   */
+  async appendMessage(userId, conversationId, role, content, metadata = {}, { parentId } = {}) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertMessage(role, content);
+
+    return this.transaction(async (client) => {
+      const conversation = await this.lockConversation(client, userId, conversationId);
+      const position = await this.resolveParent(client, userId, conversation, parentId);
+      return this.insertMessage(client, userId, conversationId, role, content, metadata, position);
+    });
+  }
+
+  /**
+   * Append a question/answer pair atomically (both messages or neither)
+   * @param {Object} options
+   * @param {string|null} options.parentId - Where the question attaches (see appendMessage)
+   * @param {Object} options.answerMetadata - Extra metadata for the answer only (e.g. result rows)
+   * @returns {Promise<{userMessage: Object, assistantMessage: Object}>}
+   */
+  async appendTurn(userId, conversationId, question, answer, metadata = {}, { parentId, answerMetadata = {} } = {}) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertMessage('user', question);
+    assertMessage('assistant', answer);
+
+    return this.transaction(async (client) => {
+      const conversation = await this.lockConversation(client, userId, conversationId);
+      const position = await this.resolveParent(client, userId, conversation, parentId);
+      const userMessage = await this.insertMessage(client, userId, conversationId, 'user', question, metadata, position);
+      const assistantMessage = await this.insertMessage(client, userId, conversationId, 'assistant', answer, { ...metadata, ...answerMetadata }, {
+        parentId: userMessage.message_id,
+        branchId: position.branchId
+      });
+      return { userMessage, assistantMessage };
+    });
+  }
+
+  /**
+   * Get one message of a conversation
+   * @returns {Promise<Object|null>}
+   */
+  async getMessage(userId, conversationId, messageId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(messageId, 'messageId');
+    const [message] = await this.rows(queries.getMessage(conversationId, messageId, userId));
+    return message || null;
+  }
+
+  /**
+   * Get the most recent messages of the active branch in chronological order, with conversation info
+   * `summary` is the rolling summary when it applies to that branch, otherwise null.
+   * @param {Object} options
+   * @param {number} options.limit - Number of recent messages to include
+   * @param {string|null} options.leafId - Read the branch ending here instead (null = no messages)
+   * @returns {Promise<Object|null>} - Context object, or null if the conversation doesn't exist
+   */
+  async getContext(userId, conversationId, { limit = 50, leafId } = {}) {
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation) return null;
+    if (leafId === null) return toContext(conversation, []);
+
+    const leaf = leafId === undefined ? conversation.metadata?.activeLeafId || null : leafId;
+    if (leaf !== null) assertUUID(leaf, 'leafId');
+    const path = await this.rows(queries.getBranchMessages(conversationId, userId, leaf, limit));
+
+    const stored = conversation.metadata?.summary || null;
+    let summary = summaryForPath(stored, path, path.length < limit);
+    if (summary === undefined) {
+      const longer = await this.rows(queries.getBranchMessages(conversationId, userId, leaf, 500));
+      summary = summaryForPath(stored, longer, true);
+    }
+    return toContext(conversation, path, summary);
+  }
+
+  /**
+   * Make a branch active: its newest message becomes the tip new messages attach to
+   * @returns {Promise<Object>} - Updated conversation row
+   */
+  async activateBranch(userId, conversationId, branchId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(branchId, 'branchId');
+
+    return this.transaction(async (client) => {
+      await this.lockConversation(client, userId, conversationId);
+      const [tip] = await this.rows(queries.getBranchTip(conversationId, userId, branchId), client);
+      if (!tip) throw storeError('BRANCH_NOT_FOUND', 'Branch not found');
+      const [conversation] = await this.rows(
+        queries.setActiveBranch(conversationId, userId, tip.message_id, branchId),
+        client
+      );
+      return conversation;
+    });
+  }
+
+  /**
+   * List a user's conversations, most recently updated first
+   */
+  async listConversations(userId, { limit = 50 } = {}) {
+    assertUUID(userId, 'userId');
+    return this.rows(queries.getUserConversations(userId, limit));
+  }
+
+  /**
+   * Page through the user's conversations, most recently updated first
+   * @param {Object} options
+   * @param {number} options.limit - Page size (1-200)
+   * @param {string|null} options.cursor - nextCursor from the previous page
+   * @returns {Promise<{conversations: Array, nextCursor: string|null}>}
+   */
+  async listConversationsPage(userId, { limit = 20, cursor = null } = {}) {
+    assertUUID(userId, 'userId');
+    assertPageSize(limit);
+    const rows = await this.rows(queries.getUserConversationsPage(userId, limit + 1, decodeCursor(cursor)));
+    const { items, nextCursor } = toPage(rows, limit, 'conversation_id');
+    return { conversations: items, nextCursor };
+  }
+
+  /**
+   * Conversation row plus message statistics
+   * @returns {Promise<Object|null>} - { ...conversation, stats }, or null if not found
+   */
+  async getConversationDetails(userId, conversationId) {
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation) return null;
+    const [stats] = await this.rows(queries.getConversationStats(conversationId, userId));
+    return { ...conversation, stats: stats || null };
+  }
+
+  /**
+   * Page through a conversation's messages, newest page first (each page in chronological order)
+   * @param {Object} options
+   * @param {number} options.limit - Page size (1-200)
+   * @param {string|null} options.cursor - nextCursor from the previous page (older messages)
+   * @returns {Promise<{messages: Array, nextCursor: string|null}|null>} - null if the conversation doesn't exist
+   */
+  async getMessagesPage(userId, conversationId, { limit = 50, cursor = null } = {}) {
+    assertPageSize(limit);
+    const decoded = decodeCursor(cursor);
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation) return null;
+    const rows = await this.rows(queries.getConversationMessagesPage(conversationId, userId, limit + 1, decoded));
+    const { items, nextCursor } = toPage(rows, limit, 'message_id');
+    return { messages: items.reverse(), nextCursor };
+  }
+
+  /**
+   * Full-text search over the user's messages and conversation titles, best match first
+   * @param {string} query - Search text (websearch syntax: "phrases", -exclusions, OR)
+   * @param {Object} options
+   * @param {string|null} options.role - Only messages with this role (title matches are left out)
+   * @param {string|null} options.from - Only matches at or after this date
+   * @param {string|null} options.to - Only matches before this date
+   * @param {number} options.limit - Page size (1-100)
+   * @param {string|null} options.cursor - nextCursor from the previous page
+   * @returns {Promise<{results: Array, nextCursor: string|null}>} - Rows with highlight-marked `snippet`
+   */
+  async searchMessages(userId, query, { role = null, from = null, to = null, limit = 20, cursor = null } = {}) {
+    assertUUID(userId, 'userId');
+    const filters = assertSearch(query, { role, from, to, limit });
+    const offset = decodeOffsetCursor(cursor);
+    const rows = await this.rows(queries.searchUserMessages(userId, query.trim(), filters, limit + 1, offset));
+    return {
+      results: rows.slice(0, limit),
+      nextCursor: rows.length > limit ? encodeOffsetCursor(offset + limit) : null
+    };
+  }
+
+  /**
+   * Delete one message from a conversation
+   * Its replies are re-attached to its parent, and the active tip moves back if it was the tip.
+   * @returns {Promise<boolean>} - Whether anything was deleted
+   * @throws {Error} - CONVERSATION_NOT_FOUND
+   */
+  async deleteMessage(userId, conversationId, messageId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(messageId, 'messageId');
+
+    return this.transaction(async (client) => {
+      const conversation = await this.lockConversation(client, userId, conversationId);
+
+      // [parent, message] - also resolves the implicit parent of pre-branching messages
+      const path = await this.rows(queries.getBranchMessages(conversationId, userId, messageId, 2), client);
+      const message = path[path.length - 1];
+      if (!message || message.message_id !== messageId) return false;
+      const parent = path.length > 1 ? path[0] : null;
+
+      await this.rows(queries.reparentMessages(conversationId, userId, messageId, parent?.message_id || null), client);
+      await this.rows(queries.deleteConversationMessage(conversationId, messageId, userId), client);
+      if (conversation.metadata?.activeLeafId === messageId) {
+        await this.rows(queries.setActiveBranch(
+          conversationId, userId, parent?.message_id || null, parent ? branchOf(parent) : conversationId
+        ), client);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Messages after a given message, oldest first (all messages when afterMessageId is null)
+   * @returns {Promise<Array>} - Message rows
+   */
+  async getMessagesAfter(userId, conversationId, afterMessageId = null, { limit = 200 } = {}) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    if (afterMessageId !== null) assertUUID(afterMessageId, 'afterMessageId');
+    return this.rows(queries.getMessagesAfter(conversationId, userId, afterMessageId, limit));
+  }
+
+  /**
+   * Merge keys into the conversation's metadata
+   * @returns {Promise<Object|null>} - Updated row, or null if not found
+   */
+  async updateConversationMetadata(userId, conversationId, metadata) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    const [conversation] = await this.rows(queries.updateConversationMetadata(conversationId, userId, metadata));
+    return conversation || null;
+  }
+
+  /**
+   * Replace the rolling summary (metadata.summary) if it hasn't changed since it was read
+   * @param {Object} summary - { text, entities, lastMessageId, branchId, turnCount, updatedAt }
+   * @param {string|null} expectedLastMessageId - lastMessageId of the summary being replaced (null = none)
+   * @returns {Promise<Object|null>} - Updated row, or null if not found / superseded
+   */
+  async updateConversationSummary(userId, conversationId, summary, expectedLastMessageId = null) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(summary?.lastMessageId, 'summary.lastMessageId');
+    const [conversation] = await this.rows(
+      queries.updateConversationSummary(conversationId, userId, summary, expectedLastMessageId)
+    );
+    return conversation || null;
+  }
+
+  /**
+   * Rename a conversation
+   * @returns {Promise<Object|null>} - Updated row, or null if not found
+   */
+  async updateConversationTitle(userId, conversationId, title) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    if (typeof title !== 'string') throw storeError('INVALID_INPUT', 'Title must be a string');
+    const [conversation] = await this.rows(queries.updateConversationTitle(conversationId, userId, title));
+    return conversation || null;
+  }
+
+  /**
+   * Delete a conversation (messages cascade)
+   * @returns {Promise<boolean>} - Whether anything was deleted
+   */
+  async deleteConversation(userId, conversationId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    const deleted = await this.rows(queries.deleteConversation(conversationId, userId));
+    return deleted.length > 0;
+  }
+
+  // ---------- Shares ----------
+
+  /**
+   * Conversation row with every message (messageId, role, content, timestamp, metadata)
+   * @returns {Promise<Object|null>} - null if the conversation doesn't exist or has no messages
+   */
+  async getFullConversation(userId, conversationId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    const [conversation] = await this.rows(queries.getFullConversationForModel(conversationId, userId));
+    return conversation || null;
+  }
+
+  /**
+   * Store a share link for a conversation
+   * @param {Object} share
+   * @param {string} share.tokenHash - SHA-256 hex of the share token
+   * @param {Object} share.snapshot - Public snapshot
+   * @param {string|null} share.expiresAt - ISO timestamp, or null for no expiry
+   * @returns {Promise<Object|null>} - Share row (without snapshot), or null if the conversation doesn't exist
+   */
+  async createShare(userId, conversationId, { tokenHash, snapshot, expiresAt = null }) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    const [share] = await this.rows(queries.createConversationShare(conversationId, userId, tokenHash, snapshot, expiresAt));
+    return share || null;
+  }
+
+  /**
+   * List a conversation's share links, newest first (revoked and expired ones included)
+   * @returns {Promise<Array|null>} - null if the conversation doesn't exist
+   */
+  async listShares(userId, conversationId) {
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation) return null;
+    return this.rows(queries.getConversationShares(conversationId, userId));
+  }
+
+  /**
+   * Revoke a share link
+   * @returns {Promise<Object|null>} - Revoked share row, or null if there is no such share
+   */
+  async revokeShare(userId, conversationId, shareId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(shareId, 'shareId');
+    const [share] = await this.rows(queries.revokeConversationShare(shareId, conversationId, userId));
+    return share || null;
+  }
+
+  /**
+   * Snapshot of a live share, looked up by token hash (public - no user involved)
+   * @returns {Promise<Object|null>} - { snapshot, created_at, expires_at }, or null if unknown, revoked or expired
+   */
+  async getSharedSnapshot(tokenHash) {
+    const [share] = await this.rows(queries.getSharedSnapshot(tokenHash));
+    return share || null;
+  }
+}
+
+// ========================================
+// IN-MEMORY STORE
+// ========================================
+
+class InMemoryConversationStore {
+  constructor() {
+    this.users = new Map();          // user_id -> user row
+    this.conversations = new Map();  // conversation_id -> conversation row
+    this.messages = [];              // message rows, insertion order
+    this.shares = [];                // conversation_shares rows
+    this.clock = 0;
+  }
+
+  // Strictly increasing timestamps so ordering is deterministic within the same millisecond
+  now() {
+    this.clock = Math.max(this.clock + 1, Date.now());
+    return new Date(this.clock);
+  }
+
+  owned(userId, conversationId) {
+    const conversation = this.conversations.get(conversationId);
+    return conversation && conversation.user_id === userId ? conversation : null;
+  }
+
+  conversationMessages(conversationId) {
+    return this.messages.filter(m => m.conversation_id === conversationId);
+  }
+
+  insertMessage(userId, conversationId, role, content, metadata, { parentId, branchId }) {
+    const createdAt = this.now();
+    const message = {
+      message_id: randomUUID(),
+      conversation_id: conversationId,
+      user_id: userId,
+      role,
+      content,
+      created_at: createdAt,
+      metadata: { ...metadata, parentId, branchId }
+    };
+    this.messages.push(message);
+    const conversation = this.conversations.get(conversationId);
+    conversation.updated_at = createdAt;
+    conversation.metadata = { ...conversation.metadata, activeLeafId: message.message_id, activeBranchId: branchId };
+    return { ...message, metadata: { ...message.metadata } };
+  }
+
+  resolveParent(conversation, parentId) {
+    const conversationId = conversation.conversation_id;
+    const leafId = conversation.metadata?.activeLeafId ||
+      this.conversationMessages(conversationId).at(-1)?.message_id || null;
+    if (parentId === undefined) parentId = leafId;
+
+    if (parentId === null) {
+      return { parentId: null, branchId: leafId ? randomUUID() : conversationId };
+    }
+    assertUUID(parentId, 'parentId');
+    const parent = this.conversationMessages(conversationId).find(m => m.message_id === parentId);
+    if (!parent) throw messageNotFound();
+    return { parentId, branchId: parentId === leafId ? branchOf(parent) : randomUUID() };
+  }
+
+  async ensureUser(userId) {
+    assertUUID(userId, 'userId');
+    if (!this.users.has(userId)) {
+      const now = this.now();
+      this.users.set(userId, { user_id: userId, metadata: {}, created_at: now, updated_at: now });
+    }
+  }
+
+  async createConversation(userId, { title = null, initialMessage = null } = {}) {
+    assertUUID(userId, 'userId');
+    if (title !== null && typeof title !== 'string') {
+      throw storeError('INVALID_INPUT', 'Title must be a string');
+    }
+    if (initialMessage) assertMessage(initialMessage.role, initialMessage.content);
+
+    await this.ensureUser(userId);
+    const now = this.now();
+    const conversation = {
+      conversation_id: randomUUID(),
+      user_id: userId,
+      title: title || null,
+      created_at: now,
+      updated_at: now,
+      metadata: {}
+    };
+    this.conversations.set(conversation.conversation_id, conversation);
+    if (!initialMessage) return { ...conversation };
+
+    const message = this.insertMessage(
+      userId, conversation.conversation_id,
+      initialMessage.role, initialMessage.content, initialMessage.metadata || {},
+      { parentId: null, branchId: conversation.conversation_id }
+    );
+    return { ...conversation, messages: [message] };
+  }
+
+  async getConversation(userId, conversationId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    const conversation = this.owned(userId, conversationId);
+    return conversation ? { ...conversation } : null;
+  }
+
+  async appendMessage(userId, conversationId, role, content, metadata = {}, { parentId } = {}) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertMessage(role, content);
+    const conversation = this.owned(userId, conversationId);
+    if (!conversation) throw notFound();
+    const position = this.resolveParent(conversation, parentId);
+    return this.insertMessage(userId, conversationId, role, content, metadata, position);
+  }
+
+  async appendTurn(userId, conversationId, question, answer, metadata = {}, { parentId, answerMetadata = {} } = {}) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertMessage('user', question);
+    assertMessage('assistant', answer);
+    const conversation = this.owned(userId, conversationId);
+    if (!conversation) throw notFound();
+    const position = this.resolveParent(conversation, parentId);
+    const userMessage = this.insertMessage(userId, conversationId, 'user', question, metadata, position);
+    const assistantMessage = this.insertMessage(userId, conversationId, 'assistant', answer, { ...metadata, ...answerMetadata }, {
+      parentId: userMessage.message_id,
+      branchId: position.branchId
+    });
+    return { userMessage, assistantMessage };
+  }
+
+  async getMessage(userId, conversationId, messageId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(messageId, 'messageId');
+    const message = this.conversationMessages(conversationId)
+      .find(m => m.message_id === messageId && m.user_id === userId);
+    return message ? { ...message } : null;
+  }
+
+  async getContext(userId, conversationId, { limit = 50, leafId } = {}) {
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation) return null;
+    if (leafId === null) return toContext(conversation, []);
+
+    const leaf = leafId === undefined ? conversation.metadata?.activeLeafId || null : leafId;
+    if (leaf !== null) assertUUID(leaf, 'leafId');
+    const messages = this.conversationMessages(conversationId);
+    if (leaf && !messages.some(m => m.message_id === leaf)) return toContext(conversation, []);
+
+    const path = followBranch(messages, leaf).map(m => ({ ...m }));
+    const summary = summaryForPath(conversation.metadata?.summary || null, path, true);
+    return toContext(conversation, path.slice(-limit), summary);
+  }
+
+  async activateBranch(userId, conversationId, branchId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(branchId, 'branchId');
+    const conversation = this.owned(userId, conversationId);
+    if (!conversation) throw notFound();
+    const tip = this.conversationMessages(conversationId).filter(m => branchOf(m) === branchId).at(-1);
+    if (!tip) throw storeError('BRANCH_NOT_FOUND', 'Branch not found');
+    conversation.metadata = { ...conversation.metadata, activeLeafId: tip.message_id, activeBranchId: branchId };
+    conversation.updated_at = this.now();
+    return { ...conversation };
+  }
+
+  async listConversations(userId, { limit = 50 } = {}) {
+    assertUUID(userId, 'userId');
+    return Array.from(this.conversations.values())
+      .filter(c => c.user_id === userId)
+      .sort((a, b) => b.updated_at - a.updated_at)
+      .slice(0, limit)
+      .map(c => ({
+        ...c,
+        message_count: this.messages.filter(m => m.conversation_id === c.conversation_id).length
+      }));
+  }
+
+  async listConversationsPage(userId, { limit = 20, cursor = null } = {}) {
+    assertUUID(userId, 'userId');
+    assertPageSize(limit);
+    const after = decodeCursor(cursor);
+    const rows = (await this.listConversations(userId, { limit: this.conversations.size || 1 }))
+      .map(c => ({ ...c, cursor_ts: c.updated_at.toISOString() }))
+      .sort((a, b) => b.cursor_ts.localeCompare(a.cursor_ts) || b.conversation_id.localeCompare(a.conversation_id))
+      .filter(c => !after || c.cursor_ts < after.ts || (c.cursor_ts === after.ts && c.conversation_id < after.id));
+    const { items, nextCursor } = toPage(rows, limit, 'conversation_id');
+    return { conversations: items, nextCursor };
+  }
+
+  async getConversationDetails(userId, conversationId) {
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation) return null;
+    const messages = this.messages.filter(m => m.conversation_id === conversationId);
+    const count = (role) => messages.filter(m => m.role === role).length;
+    return {
+      ...conversation,
+      stats: {
+        conversation_id: conversation.conversation_id,
+        title: conversation.title,
+        created_at: conversation.created_at,
+        updated_at: conversation.updated_at,
+        total_messages: messages.length,
+        user_messages: count('user'),
+        assistant_messages: count('assistant'),
+        system_messages: count('system'),
+        first_message_at: messages[0]?.created_at || null,
+        last_message_at: messages[messages.length - 1]?.created_at || null
+      }
+    };
+  }
+
+  async getMessagesPage(userId, conversationId, { limit = 50, cursor = null } = {}) {
+    assertPageSize(limit);
+    const before = decodeCursor(cursor);
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation) return null;
+    const rows = this.messages
+      .filter(m => m.conversation_id === conversationId)
+      .map(m => ({ ...m, cursor_ts: m.created_at.toISOString() }))
+      .reverse()
+      .filter(m => !before || m.cursor_ts < before.ts || (m.cursor_ts === before.ts && m.message_id < before.id));
+    const { items, nextCursor } = toPage(rows.slice(0, limit + 1), limit, 'message_id');
+    return { messages: items.reverse(), nextCursor };
+  }
+
+  async searchMessages(userId, query, { role = null, from = null, to = null, limit = 20, cursor = null } = {}) {
+    assertUUID(userId, 'userId');
+    const filters = assertSearch(query, { role, from, to, limit });
+    const offset = decodeOffsetCursor(cursor);
+    const terms = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const inRange = (date) =>
+      (!filters.from || date >= new Date(filters.from)) && (!filters.to || date < new Date(filters.to));
+
+    const hits = [];
+    for (const m of this.messages) {
+      const conversation = this.owned(userId, m.conversation_id);
+      if (!conversation || (filters.role && m.role !== filters.role) || !inRange(m.created_at)) continue;
+      const match = matchTerms(m.content, terms);
+      if (!match) continue;
+      hits.push({
+        match_type: 'message', message_id: m.message_id, conversation_id: m.conversation_id,
+        conversation_title: conversation.title, role: m.role, created_at: m.created_at, ...match
+      });
+    }
+    if (!filters.role) {
+      for (const c of this.conversations.values()) {
+        if (c.user_id !== userId || !c.title || !inRange(c.updated_at)) continue;
+        const match = matchTerms(c.title, terms);
+        if (!match) continue;
+        hits.push({
+          match_type: 'title', message_id: null, conversation_id: c.conversation_id,
+          conversation_title: c.title, role: null, created_at: c.updated_at, ...match, rank: 2 * match.rank
+        });
+      }
+    }
+    hits.sort((a, b) => b.rank - a.rank || b.created_at - a.created_at);
+
+    const rows = hits.slice(offset, offset + limit + 1);
+    return {
+      results: rows.slice(0, limit),
+      nextCursor: rows.length > limit ? encodeOffsetCursor(offset + limit) : null
+    };
+  }
+
+  async deleteMessage(userId, conversationId, messageId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(messageId, 'messageId');
+    const conversation = this.owned(userId, conversationId);
+    if (!conversation) throw notFound();
+    const path = followBranch(this.conversationMessages(conversationId), messageId);
+    const message = path.at(-1);
+    if (!message || message.message_id !== messageId) return false;
+    const parent = path.length > 1 ? path[path.length - 2] : null;
+
+    for (const child of this.conversationMessages(conversationId)) {
+      if (child.metadata?.parentId === messageId) child.metadata.parentId = parent?.message_id || null;
+    }
+    this.messages = this.messages.filter(m => m.message_id !== messageId);
+    if (conversation.metadata?.activeLeafId === messageId) {
+      conversation.metadata = {
+        ...conversation.metadata,
+        activeLeafId: parent?.message_id || null,
+        activeBranchId: parent ? branchOf(parent) : conversationId
+      };
+    }
+    return true;
+  }
+
+  async getMessagesAfter(userId, conversationId, afterMessageId = null, { limit = 200 } = {}) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    if (afterMessageId !== null) assertUUID(afterMessageId, 'afterMessageId');
+    const messages = this.messages.filter(m => m.conversation_id === conversationId && m.user_id === userId);
+    const start = messages.findIndex(m => m.message_id === afterMessageId) + 1;
+    return messages.slice(start, start + limit).map(m => ({ ...m }));
+  }
+
+  async updateConversationMetadata(userId, conversationId, metadata) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    const conversation = this.owned(userId, conversationId);
+    if (!conversation) return null;
+    conversation.metadata = { ...conversation.metadata, ...metadata };
+    return { ...conversation };
+  }
+
+  async updateConversationSummary(userId, conversationId, summary, expectedLastMessageId = null) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(summary?.lastMessageId, 'summary.lastMessageId');
+    const conversation = this.owned(userId, conversationId);
+    if (!conversation) return null;
+    if ((conversation.metadata?.summary?.lastMessageId ?? null) !== expectedLastMessageId) return null;
+    conversation.metadata = { ...conversation.metadata, summary };
+    return { ...conversation };
+  }
+
+  async updateConversationTitle(userId, conversationId, title) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    if (typeof title !== 'string') throw storeError('INVALID_INPUT', 'Title must be a string');
+    const conversation = this.owned(userId, conversationId);
+    if (!conversation) return null;
+    conversation.title = title;
+    conversation.updated_at = this.now();
+    return { ...conversation };
+  }
+
+  async deleteConversation(userId, conversationId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    if (!this.owned(userId, conversationId)) return false;
+    this.conversations.delete(conversationId);
+    this.messages = this.messages.filter(m => m.conversation_id !== conversationId);
+    this.shares = this.shares.filter(s => s.conversation_id !== conversationId);
+    return true;
+  }
+
+  // ---------- Shares ----------
+
+  async getFullConversation(userId, conversationId) {
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation) return null;
+    const messages = this.conversationMessages(conversationId);
+    if (messages.length === 0) return null;
+    return {
+      conversation_id: conversation.conversation_id,
+      title: conversation.title,
+      conversation_created_at: conversation.created_at,
+      conversation_metadata: conversation.metadata,
+      messages: messages.map(m => ({
+        messageId: m.message_id,
+        role: m.role,
+        content: m.content,
+        timestamp: m.created_at,
+        metadata: m.metadata
+      }))
+    };
+  }
+
+  async createShare(userId, conversationId, { tokenHash, snapshot, expiresAt = null }) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    if (!this.owned(userId, conversationId)) return null;
+    const share = {
+      share_id: randomUUID(),
+      conversation_id: conversationId,
+      user_id: userId,
+      token_hash: tokenHash,
+      snapshot: JSON.parse(JSON.stringify(snapshot)),
+      created_at: this.now(),
+      expires_at: expiresAt ? new Date(expiresAt) : null,
+      revoked_at: null
+    };
+    this.shares.push(share);
+    return shareRow(share);
+  }
+
+  async listShares(userId, conversationId) {
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation) return null;
+    return this.shares
+      .filter(s => s.conversation_id === conversationId && s.user_id === userId)
+      .reverse()
+      .map(shareRow);
+  }
+
+  async revokeShare(userId, conversationId, shareId) {
+    assertUUID(userId, 'userId');
+    assertUUID(conversationId, 'conversationId');
+    assertUUID(shareId, 'shareId');
+    const share = this.shares.find(s =>
+      s.share_id === shareId && s.conversation_id === conversationId && s.user_id === userId);
+    if (!share) return null;
+    share.revoked_at = share.revoked_at || this.now();
+    return shareRow(share);
+  }
+
+  async getSharedSnapshot(tokenHash) {
+    const share = this.shares.find(s => s.token_hash === tokenHash);
+    if (!share || share.revoked_at || (share.expires_at && share.expires_at <= new Date())) return null;
+    return { snapshot: share.snapshot, created_at: share.created_at, expires_at: share.expires_at };
+  }
+}
+
+// ========================================
+// SHARED INSTANCE
+// ========================================
+
+let sharedStore = null;
+
+/**
+ * Get the service-wide ConversationStore (backed by the shared pool from lib/db.js)
+ * @returns {ConversationStore}
+ */
+function getConversationStore() {
+  if (!sharedStore) {
+    sharedStore = new ConversationStore(getDbPool());
+  }
+  return sharedStore;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  ConversationStore,
+  InMemoryConversationStore,
+  getConversationStore
+};
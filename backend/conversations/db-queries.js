@@ -4,8 +4,41 @@
  * - user.user
  * - user.conversations
  * - user.messages
+ *
+ * Every builder returns a parameterized statement `{ text, values }` that can be passed
+ * straight to `pool.query()` / `client.query()`. Values are never interpolated into SQL.
  */
 
+// ========================================
+// INPUT HELPERS
+// ========================================
+
+/**
+ * Validate a LIMIT value
+ * @param {number} limit - Requested limit
+ * @param {number} max - Upper bound
+ * @returns {number} - Positive integer no larger than max
+ */
+const toLimit = (limit, max) => {
+  const n = Number(limit);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error('Invalid limit: must be a positive integer');
+  }
+  return Math.min(n, max);
+};
+
+/**
+ * Serialize a metadata object for a jsonb parameter
+ * @param {object} metadata - Plain object
+ * @returns {string} - JSON text
+ */
+const toJsonb = (metadata) => {
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error('Metadata must be a plain object');
+  }
+  return JSON.stringify(metadata);
+};
+
 // ========================================
 // USER QUERIES
 // ========================================
@@ -14,33 +47,42 @@
  * Get or create a user by user_id
  * @param {string} userId - UUID of the user
  */
-const getOrCreateUser = (userId) => `
-  INSERT INTO "user"."user" (user_id)
-  VALUES ('${userId}')
-  ON CONFLICT (user_id) DO NOTHING
-  RETURNING *;
-`;
+const getOrCreateUser = (userId) => ({
+  text: `
+    INSERT INTO "user"."user" (user_id)
+    VALUES ($1)
+    ON CONFLICT (user_id) DO NOTHING
+    RETURNING *
+  `,
+  values: [userId]
+});
 
 /**
  * Get user by user_id
  * @param {string} userId - UUID of the user
  */
-const getUserById = (userId) => `
-  SELECT * FROM "user"."user"
-  WHERE user_id = '${userId}';
-`;
+const getUserById = (userId) => ({
+  text: `
+    SELECT * FROM "user"."user"
+    WHERE user_id = $1
+  `,
+  values: [userId]
+});
 
 /**
  * Update user metadata
  * @param {string} userId - UUID of the user
  * @param {object} metadata - Metadata object to merge
  */
-const updateUserMetadata = (userId, metadata) => `
-  UPDATE "user"."user"
-  SET metadata = metadata || '${JSON.stringify(metadata)}'::jsonb
-  WHERE user_id = '${userId}'
-  RETURNING *;
-`;
+const updateUserMetadata = (userId, metadata) => ({
+  text: `
+    UPDATE "user"."user"
+    SET metadata = metadata || $2::jsonb
+    WHERE user_id = $1
+    RETURNING *
+  `,
+  values: [userId, toJsonb(metadata)]
+});
 
 // ========================================
 // CONVERSATION QUERIES
@@ -51,42 +93,78 @@ const updateUserMetadata = (userId, metadata) => `
  * @param {string} userId - UUID of the user
  * @param {string} title - Optional title for the conversation
  */
-const createConversation = (userId, title = null) => `
-  INSERT INTO "user"."conversations" (user_id, title)
-  VALUES ('${userId}', ${title ? `'${title.replace(/'/g, "''")}'` : 'NULL'})
-  RETURNING *;
-`;
+const createConversation = (userId, title = null) => ({
+  text: `
+    INSERT INTO "user"."conversations" (user_id, title)
+    VALUES ($1, $2)
+    RETURNING *
+  `,
+  values: [userId, title || null]
+});
 
 /**
  * Get all conversations for a user
  * @param {string} userId - UUID of the user
  * @param {number} limit - Maximum number of conversations to return
  */
-const getUserConversations = (userId, limit = 50) => `
-  SELECT 
-    conversation_id,
-    user_id,
-    title,
-    created_at,
-    updated_at,
-    metadata,
-    (SELECT COUNT(*) FROM "user"."messages" m WHERE m.conversation_id = c.conversation_id) as message_count
-  FROM "user"."conversations" c
-  WHERE user_id = '${userId}'
-  ORDER BY updated_at DESC
-  LIMIT ${limit};
-`;
+const getUserConversations = (userId, limit = 50) => ({
+  text: `
+    SELECT 
+      conversation_id,
+      user_id,
+      title,
+      created_at,
+      updated_at,
+      metadata,
+      (SELECT COUNT(*) FROM "user"."messages" m WHERE m.conversation_id = c.conversation_id) as message_count
+    FROM "user"."conversations" c
+    WHERE user_id = $1
+    ORDER BY updated_at DESC
+    LIMIT $2
+  `,
+  values: [userId, toLimit(limit, 200)]
+});
+
+/**
+ * Page through a user's conversations, most recently updated first (keyset pagination)
+ * `cursor_ts` is updated_at as UTC text with microseconds - JS Dates would lose the precision
+ * @param {string} userId - UUID of the user
+ * @param {number} limit - Page size (callers fetch one extra row to detect a next page)
+ * @param {{ts: string, id: string}|null} cursor - Last row of the previous page
+ */
+const getUserConversationsPage = (userId, limit = 20, cursor = null) => ({
+  text: `
+    SELECT
+      conversation_id,
+      user_id,
+      title,
+      created_at,
+      updated_at,
+      metadata,
+      (SELECT COUNT(*) FROM "user"."messages" m WHERE m.conversation_id = c.conversation_id) as message_count,
+      to_char(updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') as cursor_ts
+    FROM "user"."conversations" c
+    WHERE user_id = $1
+      AND ($2::timestamptz IS NULL OR (updated_at, conversation_id) < ($2::timestamptz, $3::uuid))
+    ORDER BY updated_at DESC, conversation_id DESC
+    LIMIT $4
+  `,
+  values: [userId, cursor?.ts || null, cursor?.id || null, toLimit(limit, 201)]
+});
 
 /**
  * Get a specific conversation
  * @param {string} conversationId - UUID of the conversation
  * @param {string} userId - UUID of the user (for security)
  */
-const getConversation = (conversationId, userId) => `
-  SELECT * FROM "user"."conversations"
-  WHERE conversation_id = '${conversationId}'
-    AND user_id = '${userId}';
-`;
+const getConversation = (conversationId, userId) => ({
+  text: `
+    SELECT * FROM "user"."conversations"
+    WHERE conversation_id = $1
+      AND user_id = $2
+  `,
+  values: [conversationId, userId]
+});
 
 /**
  * Update conversation title
@@ -94,25 +172,89 @@ const getConversation = (conversationId, userId) => `
  * @param {string} userId - UUID of the user (for security)
  * @param {string} title - New title
  */
-const updateConversationTitle = (conversationId, userId, title) => `
-  UPDATE "user"."conversations"
-  SET title = '${title.replace(/'/g, "''")}'
-  WHERE conversation_id = '${conversationId}'
-    AND user_id = '${userId}'
-  RETURNING *;
-`;
+const updateConversationTitle = (conversationId, userId, title) => ({
+  text: `
+    UPDATE "user"."conversations"
+    SET title = $3
+    WHERE conversation_id = $1
+      AND user_id = $2
+    RETURNING *
+  `,
+  values: [conversationId, userId, title]
+});
+
+/**
+ * Update conversation metadata
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the user (for security)
+ * @param {object} metadata - Metadata object to merge (top-level keys are replaced)
+ */
+const updateConversationMetadata = (conversationId, userId, metadata) => ({
+  text: `
+    UPDATE "user"."conversations"
+    SET metadata = COALESCE(metadata, '{}'::jsonb) || $3::jsonb
+    WHERE conversation_id = $1
+      AND user_id = $2
+    RETURNING *
+  `,
+  values: [conversationId, userId, toJsonb(metadata)]
+});
+
+/**
+ * Store the rolling conversation summary in metadata.summary
+ * Compare-and-swap: only applies while the stored summary still ends at expectedLastMessageId,
+ * so two summarizers racing on the same conversation can't overwrite each other's work
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the user (for security)
+ * @param {object} summary - { text, entities, lastMessageId, branchId, turnCount, updatedAt }
+ * @param {string|null} expectedLastMessageId - lastMessageId of the summary being replaced (null = none)
+ */
+const updateConversationSummary = (conversationId, userId, summary, expectedLastMessageId = null) => ({
+  text: `
+    UPDATE "user"."conversations"
+    SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('summary', $3::jsonb)
+    WHERE conversation_id = $1
+      AND user_id = $2
+      AND (metadata->'summary'->>'lastMessageId') IS NOT DISTINCT FROM $4::text
+    RETURNING *
+  `,
+  values: [conversationId, userId, toJsonb(summary), expectedLastMessageId]
+});
+
+/**
+ * Make a message the tip of the active branch (and bump updated_at)
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the user (for security)
+ * @param {string|null} leafId - Last message of the active branch (null = newest message)
+ * @param {string} branchId - Branch the leaf belongs to
+ */
+const setActiveBranch = (conversationId, userId, leafId, branchId) => ({
+  text: `
+    UPDATE "user"."conversations"
+    SET metadata = COALESCE(metadata, '{}'::jsonb)
+          || jsonb_build_object('activeLeafId', $3::text, 'activeBranchId', $4::text),
+        updated_at = NOW()
+    WHERE conversation_id = $1
+      AND user_id = $2
+    RETURNING *
+  `,
+  values: [conversationId, userId, leafId, branchId]
+});
 
 /**
  * Delete a conversation (will cascade delete all messages)
  * @param {string} conversationId - UUID of the conversation
  * @param {string} userId - UUID of the user (for security)
  */
-const deleteConversation = (conversationId, userId) => `
-  DELETE FROM "user"."conversations"
-  WHERE conversation_id = '${conversationId}'
-    AND user_id = '${userId}'
-  RETURNING conversation_id;
-`;
+const deleteConversation = (conversationId, userId) => ({
+  text: `
+    DELETE FROM "user"."conversations"
+    WHERE conversation_id = $1
+      AND user_id = $2
+    RETURNING conversation_id
+  `,
+  values: [conversationId, userId]
+});
 
 // ========================================
 // MESSAGE QUERIES
@@ -126,17 +268,114 @@ const deleteConversation = (conversationId, userId) => `
  * @param {string} content - Message content
  * @param {object} metadata - Optional metadata
  */
-const addMessage = (conversationId, userId, role, content, metadata = {}) => `
-  INSERT INTO "user"."messages" (conversation_id, user_id, role, content, metadata)
-  VALUES (
-    '${conversationId}',
-    '${userId}',
-    '${role}',
-    '${content.replace(/'/g, "''")}',
-    '${JSON.stringify(metadata)}'::jsonb
-  )
-  RETURNING *;
-`;
+const addMessage = (conversationId, userId, role, content, metadata = {}) => ({
+  // clock_timestamp() (not NOW()) so messages written in one transaction keep their order
+  text: `
+    INSERT INTO "user"."messages" (conversation_id, user_id, role, content, metadata, created_at)
+    VALUES ($1, $2, $3, $4, $5::jsonb, clock_timestamp())
+    RETURNING *
+  `,
+  values: [conversationId, userId, role, content, toJsonb(metadata)]
+});
+
+/**
+ * Get one message of a conversation
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} messageId - UUID of the message
+ * @param {string} userId - UUID of the user (for security)
+ */
+const getMessage = (conversationId, messageId, userId) => ({
+  text: `
+    SELECT * FROM "user"."messages"
+    WHERE message_id = $2
+      AND conversation_id = $1
+      AND user_id = $3
+  `,
+  values: [conversationId, messageId, userId]
+});
+
+/**
+ * Get the messages on one branch, oldest first
+ * Walks metadata.parentId back from the leaf. Messages written before branching existed have no
+ * parentId key; their parent is the previous message by created_at.
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the user (for security)
+ * @param {string|null} leafId - Last message of the branch (null = newest message in the conversation)
+ * @param {number} limit - Maximum number of messages (counted back from the leaf)
+ */
+const getBranchMessages = (conversationId, userId, leafId = null, limit = 50) => ({
+  text: `
+    WITH RECURSIVE branch AS (
+      SELECT message_id, conversation_id, user_id, role, content, created_at, metadata, 1 AS depth
+      FROM "user"."messages"
+      WHERE conversation_id = $1
+        AND user_id = $2
+        AND message_id = COALESCE($3::uuid, (
+          SELECT message_id FROM "user"."messages"
+          WHERE conversation_id = $1 AND user_id = $2
+          ORDER BY created_at DESC
+          LIMIT 1
+        ))
+      UNION ALL
+      SELECT p.message_id, p.conversation_id, p.user_id, p.role, p.content, p.created_at, p.metadata, b.depth + 1
+      FROM branch b
+      JOIN "user"."messages" p
+        ON p.conversation_id = b.conversation_id
+       AND p.message_id = CASE
+             WHEN b.metadata ? 'parentId' THEN (b.metadata->>'parentId')::uuid
+             ELSE (
+               SELECT prev.message_id FROM "user"."messages" prev
+               WHERE prev.conversation_id = b.conversation_id
+                 AND prev.created_at < b.created_at
+               ORDER BY prev.created_at DESC
+               LIMIT 1
+             )
+           END
+      WHERE b.depth < $4
+    )
+    SELECT message_id, conversation_id, user_id, role, content, created_at, metadata
+    FROM branch
+    ORDER BY depth DESC
+  `,
+  values: [conversationId, userId, leafId || null, toLimit(limit, 500)]
+});
+
+/**
+ * Get the newest message on a branch (its tip)
+ * Messages from before branching carry no branchId and belong to the main branch (id = conversation_id)
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the user (for security)
+ * @param {string} branchId - Branch identifier
+ */
+const getBranchTip = (conversationId, userId, branchId) => ({
+  text: `
+    SELECT * FROM "user"."messages"
+    WHERE conversation_id = $1
+      AND user_id = $2
+      AND COALESCE(metadata->>'branchId', conversation_id::text) = $3
+    ORDER BY created_at DESC
+    LIMIT 1
+  `,
+  values: [conversationId, userId, branchId]
+});
+
+/**
+ * Point the children of a message at a new parent (used before deleting it)
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the user (for security)
+ * @param {string} fromParentId - Message being removed
+ * @param {string|null} toParentId - Its parent (null = the children become roots)
+ */
+const reparentMessages = (conversationId, userId, fromParentId, toParentId) => ({
+  text: `
+    UPDATE "user"."messages"
+    SET metadata = jsonb_set(metadata, '{parentId}', COALESCE(to_jsonb($4::text), 'null'::jsonb))
+    WHERE conversation_id = $1
+      AND user_id = $2
+      AND metadata->>'parentId' = $3
+  `,
+  values: [conversationId, userId, fromParentId, toParentId]
+});
 
 /**
  * Get all messages for a conversation
@@ -144,21 +383,24 @@ const addMessage = (conversationId, userId, role, content, metadata = {}) => `
  * @param {string} userId - UUID of the user (for security)
  * @param {number} limit - Maximum number of messages to return
  */
-const getConversationMessages = (conversationId, userId, limit = 1000) => `
-  SELECT 
-    message_id,
-    conversation_id,
-    user_id,
-    role,
-    content,
-    created_at,
-    metadata
-  FROM "user"."messages"
-  WHERE conversation_id = '${conversationId}'
-    AND user_id = '${userId}'
-  ORDER BY created_at ASC
-  LIMIT ${limit};
-`;
+const getConversationMessages = (conversationId, userId, limit = 1000) => ({
+  text: `
+    SELECT 
+      message_id,
+      conversation_id,
+      user_id,
+      role,
+      content,
+      created_at,
+      metadata
+    FROM "user"."messages"
+    WHERE conversation_id = $1
+      AND user_id = $2
+    ORDER BY created_at ASC
+    LIMIT $3
+  `,
+  values: [conversationId, userId, toLimit(limit, 5000)]
+});
 
 /**
  * Get recent messages for a conversation (for context window)
@@ -166,21 +408,85 @@ const getConversationMessages = (conversationId, userId, limit = 1000) => `
  * @param {string} userId - UUID of the user (for security)
  * @param {number} limit - Number of recent messages to return
  */
-const getRecentMessages = (conversationId, userId, limit = 20) => `
-  SELECT 
-    message_id,
-    conversation_id,
-    user_id,
-    role,
-    content,
-    created_at,
-    metadata
-  FROM "user"."messages"
-  WHERE conversation_id = '${conversationId}'
-    AND user_id = '${userId}'
-  ORDER BY created_at DESC
-  LIMIT ${limit};
-`;
+const getRecentMessages = (conversationId, userId, limit = 20) => ({
+  text: `
+    SELECT 
+      message_id,
+      conversation_id,
+      user_id,
+      role,
+      content,
+      created_at,
+      metadata
+    FROM "user"."messages"
+    WHERE conversation_id = $1
+      AND user_id = $2
+    ORDER BY created_at DESC
+    LIMIT $3
+  `,
+  values: [conversationId, userId, toLimit(limit, 500)]
+});
+
+/**
+ * Get the messages that follow a given message (oldest first)
+ * Used to find the turns a rolling summary doesn't cover yet. Compares against the stored
+ * created_at so microsecond ordering is preserved.
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the user (for security)
+ * @param {string|null} afterMessageId - Last message already covered (null = from the start)
+ * @param {number} limit - Maximum number of messages to return
+ */
+const getMessagesAfter = (conversationId, userId, afterMessageId = null, limit = 200) => ({
+  text: `
+    SELECT
+      message_id,
+      conversation_id,
+      user_id,
+      role,
+      content,
+      created_at,
+      metadata
+    FROM "user"."messages"
+    WHERE conversation_id = $1
+      AND user_id = $2
+      AND created_at > COALESCE(
+        (SELECT created_at FROM "user"."messages" WHERE message_id = $3::uuid),
+        '-infinity'
+      )
+    ORDER BY created_at ASC
+    LIMIT $4
+  `,
+  values: [conversationId, userId, afterMessageId || null, toLimit(limit, 500)]
+});
+
+/**
+ * Page through a conversation's messages, newest first (keyset pagination)
+ * Each page is returned newest first; the cursor moves towards older messages
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the user (for security)
+ * @param {number} limit - Page size (callers fetch one extra row to detect a next page)
+ * @param {{ts: string, id: string}|null} cursor - Oldest row of the previous page
+ */
+const getConversationMessagesPage = (conversationId, userId, limit = 50, cursor = null) => ({
+  text: `
+    SELECT
+      message_id,
+      conversation_id,
+      user_id,
+      role,
+      content,
+      created_at,
+      metadata,
+      to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') as cursor_ts
+    FROM "user"."messages"
+    WHERE conversation_id = $1
+      AND user_id = $2
+      AND ($3::timestamptz IS NULL OR (created_at, message_id) < ($3::timestamptz, $4::uuid))
+    ORDER BY created_at DESC, message_id DESC
+    LIMIT $5
+  `,
+  values: [conversationId, userId, cursor?.ts || null, cursor?.id || null, toLimit(limit, 201)]
+});
 
 /**
  * Get conversation context formatted for LLM
@@ -189,29 +495,52 @@ const getRecentMessages = (conversationId, userId, limit = 20) => `
  * @param {string} userId - UUID of the user (for security)
  * @param {number} messageLimit - Maximum number of messages to include
  */
-const getConversationContext = (conversationId, userId, messageLimit = 50) => `
-  SELECT 
-    role,
-    content,
-    created_at
-  FROM "user"."messages"
-  WHERE conversation_id = '${conversationId}'
-    AND user_id = '${userId}'
-  ORDER BY created_at ASC
-  LIMIT ${messageLimit};
-`;
+const getConversationContext = (conversationId, userId, messageLimit = 50) => ({
+  text: `
+    SELECT 
+      role,
+      content,
+      created_at
+    FROM "user"."messages"
+    WHERE conversation_id = $1
+      AND user_id = $2
+    ORDER BY created_at ASC
+    LIMIT $3
+  `,
+  values: [conversationId, userId, toLimit(messageLimit, 500)]
+});
 
 /**
  * Delete a specific message
  * @param {string} messageId - UUID of the message
  * @param {string} userId - UUID of the user (for security)
  */
-const deleteMessage = (messageId, userId) => `
-  DELETE FROM "user"."messages"
-  WHERE message_id = '${messageId}'
-    AND user_id = '${userId}'
-  RETURNING message_id;
-`;
+const deleteMessage = (messageId, userId) => ({
+  text: `
+    DELETE FROM "user"."messages"
+    WHERE message_id = $1
+      AND user_id = $2
+    RETURNING message_id
+  `,
+  values: [messageId, userId]
+});
+
+/**
+ * Delete a message from a specific conversation
+ * @param {string} conversationId - UUID of the conversation the message must belong to
+ * @param {string} messageId - UUID of the message
+ * @param {string} userId - UUID of the user (for security)
+ */
+const deleteConversationMessage = (conversationId, messageId, userId) => ({
+  text: `
+    DELETE FROM "user"."messages"
+    WHERE message_id = $2
+      AND conversation_id = $1
+      AND user_id = $3
+    RETURNING message_id
+  `,
+  values: [conversationId, messageId, userId]
+});
 
 /**
  * Update message metadata
@@ -219,13 +548,16 @@ const deleteMessage = (messageId, userId) => `
  * @param {string} userId - UUID of the user (for security)
  * @param {object} metadata - Metadata to merge
  */
-const updateMessageMetadata = (messageId, userId, metadata) => `
-  UPDATE "user"."messages"
-  SET metadata = metadata || '${JSON.stringify(metadata)}'::jsonb
-  WHERE message_id = '${messageId}'
-    AND user_id = '${userId}'
-  RETURNING *;
-`;
+const updateMessageMetadata = (messageId, userId, metadata) => ({
+  text: `
+    UPDATE "user"."messages"
+    SET metadata = metadata || $3::jsonb
+    WHERE message_id = $1
+      AND user_id = $2
+    RETURNING *
+  `,
+  values: [messageId, userId, toJsonb(metadata)]
+});
 
 // ========================================
 // CONVERSATION HISTORY & CONTEXT
@@ -237,66 +569,225 @@ const updateMessageMetadata = (messageId, userId, metadata) => `
  * @param {string} conversationId - UUID of the conversation
  * @param {string} userId - UUID of the user
  */
-const getFullConversationForModel = (conversationId, userId) => `
-  WITH conversation_info AS (
+const getFullConversationForModel = (conversationId, userId) => ({
+  text: `
+    WITH conversation_info AS (
+      SELECT 
+        conversation_id,
+        title,
+        created_at as conversation_created_at,
+        metadata as conversation_metadata
+      FROM "user"."conversations"
+      WHERE conversation_id = $1
+        AND user_id = $2
+    ),
+    messages_list AS (
+      SELECT 
+        message_id,
+        role,
+        content,
+        created_at,
+        metadata
+      FROM "user"."messages"
+      WHERE conversation_id = $1
+        AND user_id = $2
+      ORDER BY created_at ASC
+    )
     SELECT 
-      conversation_id,
-      title,
-      created_at as conversation_created_at,
-      metadata as conversation_metadata
-    FROM "user"."conversations"
-    WHERE conversation_id = '${conversationId}'
-      AND user_id = '${userId}'
-  ),
-  messages_list AS (
-    SELECT 
-      role,
-      content,
-      created_at,
-      metadata
-    FROM "user"."messages"
-    WHERE conversation_id = '${conversationId}'
-      AND user_id = '${userId}'
-    ORDER BY created_at ASC
-  )
-  SELECT 
-    ci.*,
-    json_agg(
-      json_build_object(
-        'role', ml.role,
-        'content', ml.content,
-        'timestamp', ml.created_at,
-        'metadata', ml.metadata
-      ) ORDER BY ml.created_at ASC
-    ) as messages
-  FROM conversation_info ci
-  CROSS JOIN messages_list ml
-  GROUP BY ci.conversation_id, ci.title, ci.conversation_created_at, ci.conversation_metadata;
-`;
+      ci.*,
+      json_agg(
+        json_build_object(
+          'messageId', ml.message_id,
+          'role', ml.role,
+          'content', ml.content,
+          'timestamp', ml.created_at,
+          'metadata', ml.metadata
+        ) ORDER BY ml.created_at ASC
+      ) as messages
+    FROM conversation_info ci
+    CROSS JOIN messages_list ml
+    GROUP BY ci.conversation_id, ci.title, ci.conversation_created_at, ci.conversation_metadata
+  `,
+  values: [conversationId, userId]
+});
 
 /**
  * Get conversation summary statistics
  * @param {string} conversationId - UUID of the conversation
  * @param {string} userId - UUID of the user
  */
-const getConversationStats = (conversationId, userId) => `
-  SELECT 
-    c.conversation_id,
-    c.title,
-    c.created_at,
-    c.updated_at,
-    COUNT(m.message_id) as total_messages,
-    COUNT(CASE WHEN m.role = 'user' THEN 1 END) as user_messages,
-    COUNT(CASE WHEN m.role = 'assistant' THEN 1 END) as assistant_messages,
-    COUNT(CASE WHEN m.role = 'system' THEN 1 END) as system_messages,
-    MIN(m.created_at) as first_message_at,
-    MAX(m.created_at) as last_message_at
-  FROM "user"."conversations" c
-  LEFT JOIN "user"."messages" m ON c.conversation_id = m.conversation_id
-  WHERE c.conversation_id = '${conversationId}'
-    AND c.user_id = '${userId}'
-  GROUP BY c.conversation_id, c.title, c.created_at, c.updated_at;
-`;
+const getConversationStats = (conversationId, userId) => ({
+  text: `
+    SELECT 
+      c.conversation_id,
+      c.title,
+      c.created_at,
+      c.updated_at,
+      COUNT(m.message_id) as total_messages,
+      COUNT(CASE WHEN m.role = 'user' THEN 1 END) as user_messages,
+      COUNT(CASE WHEN m.role = 'assistant' THEN 1 END) as assistant_messages,
+      COUNT(CASE WHEN m.role = 'system' THEN 1 END) as system_messages,
+      MIN(m.created_at) as first_message_at,
+      MAX(m.created_at) as last_message_at
+    FROM "user"."conversations" c
+    LEFT JOIN "user"."messages" m ON c.conversation_id = m.conversation_id
+    WHERE c.conversation_id = $1
+      AND c.user_id = $2
+    GROUP BY c.conversation_id, c.title, c.created_at, c.updated_at
+  `,
+  values: [conversationId, userId]
+});
+
+// ========================================
+// SEARCH QUERIES
+// ========================================
+
+// ts_headline wraps matched words in these; conversation-manager.js turns them into highlight offsets.
+// Control characters can't appear in typed text, so they never collide with message content.
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS =
+  `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MinWords=8, MaxWords=30, FragmentDelimiter=" … "`;
+
+/**
+ * Full-text search over a user's messages and conversation titles, best match first
+ * Uses websearch_to_tsquery syntax ("quoted phrases", -exclusions, OR). Title hits have
+ * match_type 'title' and no message_id; they are skipped when filtering by role.
+ * @param {string} userId - UUID of the user
+ * @param {string} query - Search text
+ * @param {Object} filters
+ * @param {string|null} filters.role - Only messages with this role
+ * @param {string|null} filters.from - Only messages created at or after this time (ISO 8601)
+ * @param {string|null} filters.to - Only messages created before this time (ISO 8601)
+ * @param {number} limit - Page size (callers fetch one extra row to detect a next page)
+ * @param {number} offset - Rows to skip
+ */
+const searchUserMessages = (userId, query, { role = null, from = null, to = null } = {}, limit = 20, offset = 0) => ({
+  text: `
+    WITH search AS (
+      SELECT websearch_to_tsquery('english', $2) AS query
+    )
+    SELECT *
+    FROM (
+      SELECT
+        'message' AS match_type,
+        m.message_id,
+        m.conversation_id,
+        c.title AS conversation_title,
+        m.role,
+        m.created_at,
+        ts_rank_cd(to_tsvector('english', m.content), s.query) AS rank,
+        ts_headline('english', m.content, s.query, $6) AS snippet
+      FROM "user"."messages" m
+      JOIN "user"."conversations" c ON c.conversation_id = m.conversation_id
+      CROSS JOIN search s
+      WHERE m.user_id = $1
+        AND c.user_id = $1
+        AND to_tsvector('english', m.content) @@ s.query
+        AND ($3::varchar IS NULL OR m.role = $3::varchar)
+        AND ($4::timestamptz IS NULL OR m.created_at >= $4::timestamptz)
+        AND ($5::timestamptz IS NULL OR m.created_at < $5::timestamptz)
+
+      UNION ALL
+
+      -- A matching title outranks the same words in a message body
+      SELECT
+        'title' AS match_type,
+        NULL AS message_id,
+        c.conversation_id,
+        c.title AS conversation_title,
+        NULL AS role,
+        c.updated_at AS created_at,
+        2 * ts_rank_cd(to_tsvector('english', c.title), s.query) AS rank,
+        ts_headline('english', c.title, s.query, $6) AS snippet
+      FROM "user"."conversations" c
+      CROSS JOIN search s
+      WHERE c.user_id = $1
+        AND $3::varchar IS NULL
+        AND c.title IS NOT NULL
+        AND to_tsvector('english', c.title) @@ s.query
+        AND ($4::timestamptz IS NULL OR c.updated_at >= $4::timestamptz)
+        AND ($5::timestamptz IS NULL OR c.updated_at < $5::timestamptz)
+    ) hits
+    ORDER BY rank DESC, created_at DESC, conversation_id, message_id NULLS FIRST
+    LIMIT $7 OFFSET $8
+  `,
+  values: [userId, query, role || null, from || null, to || null, HEADLINE_OPTIONS, toLimit(limit, 101), offset]
+});
+
+// ========================================
+// SHARE QUERIES
+// ========================================
+
+/**
+ * Store a share link for a conversation
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the owner
+ * @param {string} tokenHash - SHA-256 hex of the share token (the token itself is never stored)
+ * @param {object} snapshot - Public snapshot served for the token
+ * @param {string|null} expiresAt - ISO timestamp, or null for no expiry
+ */
+const createConversationShare = (conversationId, userId, tokenHash, snapshot, expiresAt = null) => ({
+  text: `
+    INSERT INTO "user"."conversation_shares" (conversation_id, user_id, token_hash, snapshot, expires_at)
+    SELECT conversation_id, user_id, $3, $4::jsonb, $5::timestamptz
+    FROM "user"."conversations"
+    WHERE conversation_id = $1
+      AND user_id = $2
+    RETURNING share_id, conversation_id, created_at, expires_at, revoked_at
+  `,
+  values: [conversationId, userId, tokenHash, toJsonb(snapshot), expiresAt || null]
+});
+
+/**
+ * List a conversation's share links, newest first (without snapshots)
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the owner
+ */
+const getConversationShares = (conversationId, userId) => ({
+  text: `
+    SELECT share_id, conversation_id, created_at, expires_at, revoked_at
+    FROM "user"."conversation_shares"
+    WHERE conversation_id = $1
+      AND user_id = $2
+    ORDER BY created_at DESC
+  `,
+  values: [conversationId, userId]
+});
+
+/**
+ * Revoke a share link (idempotent - an already revoked share keeps its revoked_at)
+ * @param {string} shareId - UUID of the share
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} userId - UUID of the owner
+ */
+const revokeConversationShare = (shareId, conversationId, userId) => ({
+  text: `
+    UPDATE "user"."conversation_shares"
+    SET revoked_at = COALESCE(revoked_at, NOW())
+    WHERE share_id = $1
+      AND conversation_id = $2
+      AND user_id = $3
+    RETURNING share_id, conversation_id, created_at, expires_at, revoked_at
+  `,
+  values: [shareId, conversationId, userId]
+});
+
+/**
+ * Look up a live (not revoked, not expired) share by token hash
+ * No user id is involved - this backs the public endpoint, so it returns only the snapshot.
+ * @param {string} tokenHash - SHA-256 hex of the share token
+ */
+const getSharedSnapshot = (tokenHash) => ({
+  text: `
+    SELECT snapshot, created_at, expires_at
+    FROM "user"."conversation_shares"
+    WHERE token_hash = $1
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > NOW())
+  `,
+  values: [tokenHash]
+});
 
 // ========================================
 // EXPORTS
@@ -311,20 +802,42 @@ export {
   // Conversation queries
   createConversation,
   getUserConversations,
+  getUserConversationsPage,
   getConversation,
   updateConversationTitle,
+  updateConversationMetadata,
+  updateConversationSummary,
+  setActiveBranch,
   deleteConversation,
   
   // Message queries
   addMessage,
+  getMessage,
+  getBranchMessages,
+  getBranchTip,
+  reparentMessages,
   getConversationMessages,
   getRecentMessages,
+  getMessagesAfter,
+  getConversationMessagesPage,
   deleteMessage,
+  deleteConversationMessage,
   updateMessageMetadata,
   
   // Context queries for LLM
   getConversationContext,
   getFullConversationForModel,
-  getConversationStats
+  getConversationStats,
+  
+  // Shares
+  createConversationShare,
+  getConversationShares,
+  revokeConversationShare,
+  getSharedSnapshot,
+  
+  // Search
+  searchUserMessages,
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP
 };
 
@@ -0,0 +1,237 @@
+/**
+ * Conversation Export / Import
+ *
+ * Three export formats:
+ * - Markdown: the active branch as a readable document (questions, answers, SQL, result tables)
+ * - JSON archive: every message on every branch with its metadata - importConversation() takes it back
+ * - CSV: the result rows stored with one answer
+ *
+ * Result rows come from the answer's metadata.result (captureResult() in conversation-manager.js).
+ * Answers saved before rows were stored only have the SQL and a three-row sample.
+ */
+
+import { followBranch, toMessageResource } from './conversation-manager.js';
+
+const ARCHIVE_FORMAT = 'defi-conversation';
+const ARCHIVE_VERSION = 1;
+
+// Messages per getMessagesAfter() call while reading a whole conversation / largest archive accepted
+const EXPORT_BATCH = 500;
+const MAX_IMPORT_MESSAGES = 5000;
+
+// Result rows rendered per turn in Markdown (the CSV export has all of them)
+const MARKDOWN_RESULT_ROWS = 20;
+
+function exportError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Every message of a conversation, oldest first
+ */
+async function readAllMessages(store, userId, conversationId) {
+  const messages = [];
+  for (;;) {
+    const after = messages.length ? messages[messages.length - 1].message_id : null;
+    const batch = await store.getMessagesAfter(userId, conversationId, after, { limit: EXPORT_BATCH });
+    messages.push(...batch);
+    if (batch.length < EXPORT_BATCH) return messages;
+  }
+}
+
+/**
+ * Build the JSON archive of a conversation
+ * @param {Object} store - ConversationStore / InMemoryConversationStore
+ * @param {string} userId - UUID of the user
+ * @param {string} conversationId - UUID of the conversation
+ * @returns {Promise<Object|null>} - Archive, or null if the conversation doesn't exist
+ */
+async function exportConversation(store, userId, conversationId) {
+  const conversation = await store.getConversation(userId, conversationId);
+  if (!conversation) return null;
+
+  const messages = await readAllMessages(store, userId, conversationId);
+  const { summary, ...metadata } = conversation.metadata || {};
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      conversationId: conversation.conversation_id,
+      title: conversation.title,
+      createdAt: conversation.created_at,
+      updatedAt: conversation.updated_at,
+      metadata
+    },
+    messages: messages.map(m => {
+      const { conversationId: _, ...message } = toMessageResource(m);
+      return message;
+    })
+  };
+}
+
+// ========================================
+// MARKDOWN
+// ========================================
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined
+    ? ''
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+};
+
+function markdownTable(result) {
+  const { columns = [], rows = [], rowCount = rows.length } = result;
+  if (!columns.length) return '_No rows returned._';
+
+  const shown = rows.slice(0, MARKDOWN_RESULT_ROWS);
+  const lines = [
+    `| ${columns.map(escapeCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...shown.map(row => `| ${columns.map(c => escapeCell(row[c])).join(' | ')} |`)
+  ];
+  if (rowCount > shown.length) lines.push('', `_${rowCount - shown.length} more row(s) not shown._`);
+  return lines.join('\n');
+}
+
+/**
+ * Render an archive's active branch as Markdown
+ * @param {Object} archive - Output of exportConversation()
+ * @returns {string}
+ */
+function toMarkdown(archive) {
+  const { conversation, messages } = archive;
+  const path = followBranch(messages, conversation.metadata?.activeLeafId || null);
+
+  const lines = [`# ${conversation.title || 'Conversation'}`, ''];
+  lines.push(`_Exported ${archive.exportedAt}_`, '');
+
+  for (const message of path) {
+    if (message.role === 'user') {
+      lines.push(`## ${message.content.replace(/\r?\n/g, ' ')}`, '');
+      continue;
+    }
+    if (message.role === 'system') continue;
+
+    lines.push(message.content, '');
+    const { sql, result, resultSummary } = message.metadata || {};
+    if (sql) lines.push('```sql', sql.trim(), '```', '');
+    const table = result || (resultSummary && { ...resultSummary, rows: resultSummary.sample });
+    if (table) lines.push(markdownTable(table), '');
+  }
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+// ========================================
+// CSV
+// ========================================
+
+// Text that spreadsheets would run as a formula gets a leading quote. NUMERIC and
+// BIGINT columns arrive as strings, so signed numbers like -12.5 are left alone
+const NUMBER_TEXT = /^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !NUMBER_TEXT.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render the result rows stored with one answer as CSV
+ * @param {Object} message - Assistant message row
+ * @returns {string|null} - CSV text, or null if the message has no stored rows
+ */
+function toResultCsv(message) {
+  const result = message?.metadata?.result;
+  if (!result) return null;
+  const { columns = [], rows = [] } = result;
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ========================================
+// IMPORT
+// ========================================
+
+function assertArchive(archive) {
+  if (archive?.format !== ARCHIVE_FORMAT || archive?.version !== ARCHIVE_VERSION) {
+    throw exportError('INVALID_INPUT', `Not a ${ARCHIVE_FORMAT} v${ARCHIVE_VERSION} archive`);
+  }
+  if (!Array.isArray(archive.messages) || archive.messages.length > MAX_IMPORT_MESSAGES) {
+    throw exportError('INVALID_INPUT', `Archive must contain at most ${MAX_IMPORT_MESSAGES} messages`);
+  }
+  const ids = new Set();
+  for (const message of archive.messages) {
+    if (!message || typeof message.messageId !== 'string' || ids.has(message.messageId)) {
+      throw exportError('INVALID_INPUT', 'Every archived message needs a unique messageId');
+    }
+    const { metadata } = message;
+    if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+      throw exportError('INVALID_INPUT', `Message ${message.messageId} has invalid metadata`);
+    }
+    ids.add(message.messageId);
+  }
+}
+
+/**
+ * Recreate an archived conversation for a user
+ * Messages get new ids and timestamps (the original time is kept in metadata.importedCreatedAt);
+ * the branch structure and active branch are preserved. The rolling summary is not imported -
+ * it is rebuilt as the conversation continues.
+ * @param {Object} store - ConversationStore / InMemoryConversationStore
+ * @param {string} userId - UUID of the user
+ * @param {Object} archive - Output of exportConversation()
+ * @returns {Promise<Object>} - The new conversation row
+ * @throws {Error} - code INVALID_INPUT for malformed archives
+ */
+async function importConversation(store, userId, archive) {
+  assertArchive(archive);
+  const title = typeof archive.conversation?.title === 'string' ? archive.conversation.title : null;
+  const conversation = await store.createConversation(userId, { title });
+  const conversationId = conversation.conversation_id;
+
+  try {
+    const importedById = new Map();
+    let previous = null;
+    for (const message of archive.messages) {
+      const { parentId, branchId, ...metadata } = message.metadata || {};
+      const hasParent = Object.prototype.hasOwnProperty.call(message.metadata || {}, 'parentId');
+      // Archives of pre-branching conversations have no parentId: each message follows the previous one
+      const oldParent = hasParent ? parentId : previous;
+      if (oldParent && !importedById.has(oldParent)) {
+        throw exportError('INVALID_INPUT', `Message ${message.messageId} replies to a message that isn't in the archive`);
+      }
+
+      const saved = await store.appendMessage(userId, conversationId, message.role, message.content, {
+        ...metadata,
+        importedCreatedAt: message.createdAt || null
+      }, { parentId: oldParent ? importedById.get(oldParent).message_id : null });
+      importedById.set(message.messageId, saved);
+      previous = message.messageId;
+    }
+
+    // appendMessage leaves the last imported message active; restore the archived tip
+    const activeLeaf = importedById.get(archive.conversation?.metadata?.activeLeafId);
+    if (activeLeaf) {
+      await store.activateBranch(userId, conversationId, activeLeaf.metadata.branchId);
+    }
+    return store.getConversation(userId, conversationId);
+  } catch (error) {
+    // No half-imported conversations
+    await store.deleteConversation(userId, conversationId).catch(() => {});
+    throw error;
+  }
+}
+
+export {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  exportConversation,
+  toMarkdown,
+  toResultCsv,
+  importConversation
+};
@@ -0,0 +1,108 @@
+/**
+ * Shareable Conversation Links
+ *
+ * Sharing freezes the conversation's active branch into a public snapshot stored in
+ * user.conversation_shares. The snapshot holds only what a reader needs - title, questions,
+ * answers, SQL and result rows. User ids, message ids, branch pointers and the rest of the
+ * metadata stay private, so a share can't be used to reach the owner's other conversations.
+ *
+ * Tokens are 256-bit random strings. Only their SHA-256 hash is stored, so the link is shown
+ * to the owner once and can't be recovered from the database.
+ */
+
+import { randomBytes, createHash } from 'crypto';
+import { followBranch } from './conversation-manager.js';
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+function shareError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const hashShareToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Public snapshot of a conversation's active branch
+ * @param {Object} conversation - Row from store.getFullConversation()
+ * @returns {Object} - { title, createdAt, messages: [{ role, content, createdAt, sql?, result? }] }
+ */
+function buildShareSnapshot(conversation) {
+  const activeLeafId = conversation.conversation_metadata?.activeLeafId || null;
+  const messages = followBranch(conversation.messages || [], activeLeafId)
+    .filter(m => m.role === 'user' || m.role === 'assistant')
+    .map(m => {
+      const message = { role: m.role, content: m.content, createdAt: m.timestamp };
+      if (m.role === 'assistant' && m.metadata?.sql) message.sql = m.metadata.sql;
+      if (m.role === 'assistant' && m.metadata?.result) {
+        const { columns, rows, rowCount, truncated } = m.metadata.result;
+        message.result = { columns, rows, rowCount, truncated };
+      }
+      return message;
+    });
+
+  return {
+    title: conversation.title || null,
+    createdAt: conversation.conversation_created_at,
+    messages
+  };
+}
+
+/**
+ * Publish a snapshot of a conversation under a new share token
+ * @param {Object} store - ConversationStore / InMemoryConversationStore
+ * @param {string} userId - UUID of the owner
+ * @param {string} conversationId - UUID of the conversation
+ * @param {Object} options
+ * @param {string|null} options.expiresAt - When the link stops working (ISO 8601), or null for never
+ * @returns {Promise<{share: Object, token: string}|null>} - null if the conversation doesn't exist
+ * @throws {Error} - code INVALID_INPUT for a past/invalid expiry or a conversation with no messages
+ */
+async function shareConversation(store, userId, conversationId, { expiresAt = null } = {}) {
+  let expiry = null;
+  if (expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw shareError('INVALID_INPUT', 'expiresAt must be a future ISO 8601 date');
+    }
+    expiry = date.toISOString();
+  }
+
+  const conversation = await store.getFullConversation(userId, conversationId);
+  if (!conversation) {
+    if (!(await store.getConversation(userId, conversationId))) return null;
+    throw shareError('INVALID_INPUT', 'Conversation has no messages to share');
+  }
+
+  const token = randomBytes(32).toString('base64url');
+  const share = await store.createShare(userId, conversationId, {
+    tokenHash: hashShareToken(token),
+    snapshot: buildShareSnapshot(conversation),
+    expiresAt: expiry
+  });
+  if (!share) return null;
+
+  console.log(`🔗 Shared conversation ${conversationId.substring(0, 8)}...`);
+  return { share, token };
+}
+
+/**
+ * Resolve a share token to its snapshot
+ * Unknown, revoked and expired tokens all look the same to the caller.
+ * @param {Object} store - ConversationStore / InMemoryConversationStore
+ * @param {string} token - Share token from the link
+ * @returns {Promise<Object|null>} - { ...snapshot, sharedAt, expiresAt }, or null
+ */
+async function getSharedConversation(store, token) {
+  if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) return null;
+  const share = await store.getSharedSnapshot(hashShareToken(token));
+  if (!share) return null;
+  return { ...share.snapshot, sharedAt: share.created_at, expiresAt: share.expires_at };
+}
+
+export {
+  buildShareSnapshot,
+  shareConversation,
+  getSharedConversation
+};
@@ -0,0 +1,81 @@
+/**
+ * Rolling Conversation Summaries
+ *
+ * Once the active branch has more unsummarized turns than the threshold, everything except the
+ * most recent turns is folded (with the previous summary) into a new running summary stored
+ * in user.conversations.metadata.summary:
+ *
+ *   { text, entities: { tokens, protocols, chains }, lastMessageId, branchId, turnCount, updatedAt }
+ *
+ * The context builders in conversation-manager.js show the summary in place of the messages
+ * it covers (everything up to and including lastMessageId). When the user switches to a branch
+ * that forked before lastMessageId, the summary no longer applies and is rebuilt for that branch.
+ */
+
+import { summarizeConversationTurns } from '../lib/instructions.js';
+import { buildTurnHistory, formatTurnHistory, excludeSummarized } from './conversation-manager.js';
+
+// Unsummarized turns that trigger a new summary / turns always left verbatim
+const SUMMARY_THRESHOLD = Number(process.env.CONVERSATION_SUMMARY_THRESHOLD || 10);
+const SUMMARY_KEEP_TURNS = Number(process.env.CONVERSATION_HISTORY_TURNS || 5);
+
+/**
+ * Fold older turns into the conversation's rolling summary if it has grown past the threshold
+ * Never throws - a failed summary just leaves the previous one in place.
+ *
+ * @param {Object} llm - LLM provider (lib/llm.js)
+ * @param {Object} store - ConversationStore / InMemoryConversationStore
+ * @param {string} userId - UUID of the user
+ * @param {string} conversationId - UUID of the conversation
+ * @param {Object} options
+ * @param {number} options.threshold - Unsummarized turns needed before summarizing
+ * @param {number} options.keepTurns - Most recent turns left out of the summary
+ * @returns {Promise<Object|null>} - The new summary, or null if nothing was summarized
+ */
+async function maybeSummarizeConversation(llm, store, userId, conversationId, {
+  threshold = SUMMARY_THRESHOLD,
+  keepTurns = SUMMARY_KEEP_TURNS
+} = {}) {
+  try {
+    const context = await store.getContext(userId, conversationId, { limit: 500 });
+    if (!context) return null;
+
+    // context.summary is the stored summary only if it covers this branch
+    const stored = context.metadata?.summary || null;
+    const previous = context.summary;
+    const pending = excludeSummarized(context.messages, previous).map(m => ({ ...m, message_id: m.messageId }));
+
+    // Each user message opens a turn
+    const turnStarts = pending
+      .map((m, index) => (m.role === 'user' ? index : -1))
+      .filter(index => index !== -1);
+    if (turnStarts.length <= threshold || turnStarts.length <= keepTurns) return null;
+
+    const folded = pending.slice(0, turnStarts[turnStarts.length - keepTurns]);
+    const foldedTurns = buildTurnHistory(folded, folded.length);
+    const result = await summarizeConversationTurns(llm, previous, formatTurnHistory(foldedTurns));
+    if (!result) return null;
+
+    const summary = {
+      text: result.text,
+      entities: result.entities,
+      lastMessageId: folded[folded.length - 1].message_id,
+      branchId: folded[folded.length - 1].metadata?.branchId || conversationId,
+      turnCount: (previous?.turnCount || 0) + foldedTurns.length,
+      updatedAt: new Date().toISOString()
+    };
+
+    const updated = await store.updateConversationSummary(userId, conversationId, summary, stored?.lastMessageId ?? null);
+    if (!updated) return null; // deleted, or another summary was written meanwhile
+
+    console.log(`🗜️  Summarized ${foldedTurns.length} turn(s) of conversation ${conversationId.substring(0, 8)}...`);
+    return summary;
+  } catch (error) {
+    console.error('⚠️  Failed to summarize conversation:', error.message);
+    return null;
+  }
+}
+
+export {
+  maybeSummarizeConversation
+};
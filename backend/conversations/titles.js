@@ -0,0 +1,93 @@
+/**
+ * Conversation Titles
+ *
+ * Conversations are created without a title (or with a placeholder like 'New Conversation').
+ * After the first question/answer exchange the service generates a short descriptive title
+ * ("USDC lending rates on Base"); regenerateConversationTitle() redoes it on demand.
+ * Titles the user set themselves are never overwritten automatically.
+ */
+
+import { generateConversationTitle } from '../lib/instructions.js';
+import { buildTurnHistory, formatTurnHistory } from './conversation-manager.js';
+
+const PLACEHOLDER_TITLES = new Set(['', 'new conversation', 'new chat', 'untitled']);
+
+// Turns from the start of the conversation used to name it
+const TITLE_TURNS = 3;
+
+/**
+ * Whether a conversation still has a placeholder title
+ * @param {string|null} title
+ * @returns {boolean}
+ */
+function isPlaceholderTitle(title) {
+  return PLACEHOLDER_TITLES.has(String(title || '').trim().toLowerCase());
+}
+
+/**
+ * Fallback title when the model is unavailable: the first question, shortened
+ */
+function fallbackTitle(question) {
+  const text = String(question || '').replace(/\s+/g, ' ').trim();
+  return text.length > 50 ? `${text.slice(0, 50).trim()}…` : text;
+}
+
+async function titleFromOpening(llm, store, userId, conversationId) {
+  const opening = await store.getMessagesAfter(userId, conversationId, null, { limit: TITLE_TURNS * 2 });
+  const turns = buildTurnHistory(opening, TITLE_TURNS);
+  if (turns.length === 0) return null;
+  // Answers are trimmed hard - the title is about what was asked
+  const title = await generateConversationTitle(llm, formatTurnHistory(turns, 200));
+  return title || fallbackTitle(turns[0].question) || null;
+}
+
+/**
+ * Title a conversation after its first exchange if it still has a placeholder title
+ * Never throws - a failed title just leaves the placeholder for the next turn to retry.
+ *
+ * @param {Object} llm - LLM provider (lib/llm.js)
+ * @param {Object} store - ConversationStore / InMemoryConversationStore
+ * @param {string} userId - UUID of the user
+ * @param {string} conversationId - UUID of the conversation
+ * @returns {Promise<string|null>} - The new title, or null if the conversation wasn't retitled
+ */
+async function maybeTitleConversation(llm, store, userId, conversationId) {
+  try {
+    const conversation = await store.getConversation(userId, conversationId);
+    if (!conversation || !isPlaceholderTitle(conversation.title)) return null;
+
+    const title = await titleFromOpening(llm, store, userId, conversationId);
+    if (!title) return null;
+
+    await store.updateConversationTitle(userId, conversationId, title);
+    console.log(`🏷️  Titled conversation ${conversationId.substring(0, 8)}...: ${title}`);
+    return title;
+  } catch (error) {
+    console.error('⚠️  Failed to title conversation:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Generate a fresh title from the opening turns, replacing whatever title is set
+ * @returns {Promise<Object|null>} - Updated conversation row, or null if the conversation doesn't exist
+ * @throws {Error} - code INVALID_INPUT when the conversation has no messages to name it from
+ */
+async function regenerateConversationTitle(llm, store, userId, conversationId) {
+  const conversation = await store.getConversation(userId, conversationId);
+  if (!conversation) return null;
+
+  const title = await titleFromOpening(llm, store, userId, conversationId);
+  if (!title) {
+    const err = new Error('Conversation has no messages to generate a title from');
+    err.code = 'INVALID_INPUT';
+    throw err;
+  }
+  return store.updateConversationTitle(userId, conversationId, title);
+}
+
+export {
+  isPlaceholderTitle,
+  maybeTitleConversation,
+  regenerateConversationTitle
+};
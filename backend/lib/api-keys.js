@@ -0,0 +1,192 @@
+// lib/api-keys.js - API keys for programmatic clients (scripts, cron jobs, webhooks)
+//
+// Keys look like thk_<43 base64url chars> (256 random bits) and are stored in "user".api_keys
+// (migrations/006_api_keys.up.sql) as a SHA-256 hash. A key acts as the user who created it, but only
+// for its scopes:
+//   query          - /api/query (and editing / regenerating answers)
+//   conversations  - /api/conversations/**
+//   admin          - everything, including /api/account/** (data export/deletion, managing keys)
+
+import { randomBytes, createHash } from 'crypto';
+import { getDbPool } from './db.js';
+import { getOrCreateUser } from '../conversations/db-queries.js';
+
+export const API_KEY_SCOPES = ['query', 'conversations', 'admin'];
+
+const KEY_PREFIX = 'thk_';
+const KEY_PATTERN = /^thk_[A-Za-z0-9_-]{43}$/;
+const DISPLAY_PREFIX_LENGTH = 12;
+const MAX_ACTIVE_KEYS = 25;
+const MAX_NAME_LENGTH = 100;
+
+// last_used_at is written at most this often per key, so busy keys don't cost an UPDATE per request
+const LAST_USED_RESOLUTION = '1 minute';
+
+const COLUMNS = 'key_id, name, key_prefix, scopes, created_at, expires_at, last_used_at, revoked_at';
+
+function apiKeyError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const hashApiKey = (key) => createHash('sha256').update(key).digest('hex');
+
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Whether a header value looks like one of our API keys (rather than a session JWT)
+ */
+export const isApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+/**
+ * Whether a key's scopes allow a route's scope (admin allows everything)
+ */
+export const hasScope = (scopes, scope) => scopes.includes('admin') || scopes.includes(scope);
+
+function validateKeyInput({ name, scopes, expiresAt }) {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    throw apiKeyError('INVALID_INPUT', `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!Array.isArray(scopes) || !scopes.length || !scopes.every(s => API_KEY_SCOPES.includes(s))) {
+    throw apiKeyError('INVALID_INPUT', `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+  let expiry = null;
+  if (expiresAt !== null && expiresAt !== undefined) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw apiKeyError('INVALID_INPUT', 'expiresAt must be a future ISO 8601 date');
+    }
+    expiry = date.toISOString();
+  }
+  return { name: name.trim(), scopes: [...new Set(scopes)], expiresAt: expiry };
+}
+
+/**
+ * API representation of a key row (never includes the hash)
+ */
+export function toApiKeyResource(row) {
+  const now = new Date();
+  const status = row.revoked_at ? 'revoked'
+    : row.expires_at && new Date(row.expires_at) <= now ? 'expired'
+    : 'active';
+  return {
+    keyId: row.key_id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    status,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * Create a key for a user (and the user row if a signed-in user has none yet)
+ * @param {string} userId - UUID of the owner
+ * @param {Object} input
+ * @param {string} input.name - Label shown in key lists
+ * @param {string[]} input.scopes - Subset of API_KEY_SCOPES
+ * @param {string|null} input.expiresAt - When the key stops working (ISO 8601), or null for never
+ * @param {Object} options
+ * @param {import('pg').Pool} options.pool - Defaults to the shared pool
+ * @returns {Promise<{apiKey: Object, key: string}>} - The row and the key itself (only ever returned here)
+ * @throws {Error} - code INVALID_INPUT for bad input or too many active keys
+ */
+export async function createApiKey(userId, input, { pool = getDbPool() } = {}) {
+  const { name, scopes, expiresAt } = validateKeyInput(input || {});
+  const key = KEY_PREFIX + randomBytes(32).toString('base64url');
+
+  const apiKey = await withTransaction(pool, async (client) => {
+    // api_keys.user_id references "user"."user"; locking the row also keeps two concurrent
+    // requests from both passing the active-key count
+    await client.query(getOrCreateUser(userId));
+    await client.query('SELECT 1 FROM "user"."user" WHERE user_id = $1 FOR UPDATE', [userId]);
+
+    const { rows: [{ active }] } = await client.query(
+      `SELECT COUNT(*)::int AS active FROM "user"."api_keys"
+       WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+      [userId]
+    );
+    if (active >= MAX_ACTIVE_KEYS) {
+      throw apiKeyError('INVALID_INPUT', `At most ${MAX_ACTIVE_KEYS} active API keys per account - revoke one first`);
+    }
+
+    const { rows: [row] } = await client.query(
+      `INSERT INTO "user"."api_keys" (user_id, name, key_prefix, key_hash, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${COLUMNS}`,
+      [userId, name, key.slice(0, DISPLAY_PREFIX_LENGTH), hashApiKey(key), scopes, expiresAt]
+    );
+    return row;
+  });
+
+  console.log(`🔑 Created API key ${apiKey.key_prefix}… for user ${userId.substring(0, 8)}...`);
+  return { apiKey, key };
+}
+
+/**
+ * All keys of a user, newest first (revoked and expired ones included)
+ */
+export async function listApiKeys(userId, { pool = getDbPool() } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${COLUMNS} FROM "user"."api_keys" WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * Revoke a key (idempotent; the row is kept so lists still show it)
+ * @returns {Promise<Object|null>} - The key row, or null if the user has no such key
+ */
+export async function revokeApiKey(userId, keyId, { pool = getDbPool() } = {}) {
+  if (!/^[0-9a-f-]{36}$/i.test(String(keyId))) return null;
+  const { rows: [apiKey] } = await pool.query(
+    `UPDATE "user"."api_keys" SET revoked_at = COALESCE(revoked_at, NOW())
+     WHERE user_id = $1 AND key_id = $2
+     RETURNING ${COLUMNS}`,
+    [userId, keyId]
+  );
+  if (apiKey) console.log(`🔒 Revoked API key ${apiKey.key_prefix}…`);
+  return apiKey || null;
+}
+
+/**
+ * Resolve a presented key to its owner and scopes, and note that it was used
+ * Unknown, revoked and expired keys all return null.
+ * @param {string} key - Key from the request
+ * @returns {Promise<{userId: string, keyId: string, scopes: string[]}|null>}
+ */
+export async function verifyApiKey(key, { pool = getDbPool() } = {}) {
+  if (!KEY_PATTERN.test(key)) return null;
+  const { rows: [row] } = await pool.query(
+    `SELECT key_id, user_id, scopes FROM "user"."api_keys"
+     WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashApiKey(key)]
+  );
+  if (!row) return null;
+
+  await pool.query(
+    `UPDATE "user"."api_keys" SET last_used_at = NOW()
+     WHERE key_id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '${LAST_USED_RESOLUTION}')`,
+    [row.key_id]
+  ).catch(error => console.error('⚠️  Failed to update API key last use:', error.message));
+
+  return { userId: row.user_id, keyId: row.key_id, scopes: row.scopes };
+}
@@ -1,8 +1,10 @@
-// lib/auth.js - Simple JWT verification for Supabase auth
+// lib/auth.js - Request authentication: Supabase session JWTs and API keys
 
 import { createClient } from '@supabase/supabase-js';
+import { isApiKey, hasScope, verifyApiKey } from './api-keys.js';
+import { canVerifyLocally, verifySupabaseJwt } from './jwt.js';
 
-// Initialize Supabase client (cached)
+// Initialize Supabase client (cached) - only used when a token can't be verified locally
 let supabaseClient = null;
 
 function getSupabaseClient() {
@@ -25,52 +27,115 @@ function getSupabaseClient() {
   return supabaseClient;
 }
 
+// Outcomes of authenticate() that aren't a signed-in user
+const ANONYMOUS = Object.freeze({ status: 'anonymous', userId: null });
+const invalid = (reason) => ({ status: 'invalid', userId: null, reason });
+
+function authenticated(userId, via, { role = null, plan = null, scopes = null } = {}) {
+  console.log(`✅ Authenticated user: ${userId.substring(0, 8)}...${via === 'api_key' ? ' (API key)' : ''}`);
+  return { status: 'authenticated', userId, via, role, plan, scopes };
+}
+
+/**
+ * API key auth: valid keys must also have the route's scope
+ */
+async function authenticateApiKey(key, scope) {
+  const verified = await verifyApiKey(key);
+  if (!verified) {
+    console.log('⚠️  Unknown, revoked or expired API key');
+    return invalid('Unknown, revoked or expired API key');
+  }
+  if (!hasScope(verified.scopes, scope)) {
+    console.log(`⚠️  API key ${verified.keyId.substring(0, 8)}... lacks the "${scope}" scope`);
+    return { status: 'forbidden', userId: null, reason: `API key lacks the "${scope}" scope` };
+  }
+  return authenticated(verified.userId, 'api_key', { scopes: verified.scopes });
+}
+
+/**
+ * Session JWT auth: verified locally (lib/jwt.js); Supabase is only asked when that's impossible
+ */
+async function authenticateJwt(token) {
+  try {
+    const claims = await verifySupabaseJwt(token);
+    return authenticated(claims.sub, 'jwt', { role: claims.role ?? null, plan: claims.app_metadata?.plan ?? null });
+  } catch (error) {
+    if (error.code === 'AUTH_UNAVAILABLE') {
+      console.error('❌ Auth unavailable:', error.message);
+      return { status: 'unavailable', userId: null, reason: error.message };
+    }
+    if (error.code !== 'UNVERIFIABLE') {
+      console.log('⚠️  Invalid token:', error.message);
+      return invalid(error.message);
+    }
+  }
+
+  // HS256 token without SUPABASE_JWT_SECRET: ask Supabase (one network round-trip per request)
+  const supabase = getSupabaseClient();
+  if (!supabase) return ANONYMOUS; // Auth not configured
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user?.id) {
+    console.log('⚠️  Auth error:', error?.message || 'No user found in token');
+    return invalid(error?.message || 'No user found in token');
+  }
+  return authenticated(data.user.id, 'jwt', { role: data.user.role ?? null, plan: data.user.app_metadata?.plan ?? null });
+}
+
 /**
- * Extract and verify JWT token from request using Supabase auth
- * Returns user_id if valid, null if invalid/missing
- * Does NOT throw errors - auth is optional for graceful degradation
+ * Identify the caller
+ * Accepts a Supabase session JWT (`Authorization: Bearer <jwt>`) or an API key
+ * (`Authorization: Bearer thk_...` or `X-API-Key: thk_...`). Session JWTs may use every route;
+ * API keys only routes within their scopes (see lib/api-keys.js). Never throws.
+ * @param {Object} req
+ * @param {string} scope - What the route does: 'query', 'conversations' or 'admin'
+ * @returns {Promise<Object>} - { status, userId, ... } where status is
+ *   'authenticated' (+ via 'jwt'|'api_key', role, plan, scopes), 'anonymous' (no credentials sent),
+ *   'invalid' (bad/expired token or key → 401), 'forbidden' (key without the scope → 403)
+ *   or 'unavailable' (signing keys can't be loaded → 503)
  */
-export async function verifyAuthToken(req) {
+export async function authenticate(req, scope = 'query') {
   try {
-    const supabase = getSupabaseClient();
-    if (!supabase) {
-      return null; // Auth not configured
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (apiKeyHeader) {
+      return await authenticateApiKey(String(apiKeyHeader).trim(), scope);
     }
 
     // Extract token from Authorization header
     const authHeader = req.headers.authorization || req.headers.Authorization;
     if (!authHeader) {
-      return null; // No token provided
+      return ANONYMOUS; // No token provided
     }
 
     // Parse "Bearer <token>"
     const parts = authHeader.split(' ');
     if (parts.length !== 2 || parts[0] !== 'Bearer') {
       console.log('⚠️  Invalid Authorization header format');
-      return null;
+      return invalid('Authorization header must be "Bearer <token>"');
     }
 
     const token = parts[1];
-
-    // Verify JWT token with Supabase
-    const { data, error } = await supabase.auth.getUser(token);
-
-    if (error) {
-      console.log('⚠️  Auth error:', error.message);
-      return null;
+    if (isApiKey(token)) {
+      return await authenticateApiKey(token, scope);
     }
-
-    if (!data?.user?.id) {
-      console.log('⚠️  No user found in token');
-      return null;
+    if (!canVerifyLocally() && !getSupabaseClient()) {
+      return ANONYMOUS; // Auth not configured
     }
-
-    const userId = data.user.id;
-    console.log(`✅ Authenticated user: ${userId.substring(0, 8)}...`);
-    return userId;
+    return await authenticateJwt(token);
 
   } catch (error) {
-    console.log('⚠️  Auth error:', error.message);
-    return null;
+    console.error('❌ Auth error:', error.message);
+    return { status: 'unavailable', userId: null, reason: error.message };
   }
 }
+
+/**
+ * The caller's user_id, or null when they are anonymous or their credentials don't check out
+ * For routes that answer every failure with 401; /api/query uses authenticate() to tell them apart.
+ * @param {Object} req
+ * @param {string} scope - What the route does: 'query', 'conversations' or 'admin'
+ */
+export async function verifyAuthToken(req, scope = 'query') {
+  const auth = await authenticate(req, scope);
+  return auth.status === 'authenticated' ? auth.userId : null;
+}
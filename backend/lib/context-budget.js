@@ -0,0 +1,95 @@
+// lib/context-budget.js - Prompt token budgeting per model call
+// Tracks how each stage's prompt (system prompt, schema doc, question, history, rows) spends
+// a configurable context limit, and sizes the flexible parts (history, rows) to fit.
+
+import { countTokens, countMessageTokens } from './tokens.js';
+
+/**
+ * Create a per-request token budget
+ * Limits come from env unless overridden:
+ * - CONTEXT_TOKEN_LIMIT      prompt + output limit per call (default 32000)
+ * - CONTEXT_OUTPUT_RESERVE   tokens kept free for the completion (default 2000)
+ * - CONTEXT_HISTORY_TOKENS   cap on conversation history in any prompt (default 4000)
+ *
+ * @param {Object} overrides - { model, limit, reserveForOutput, maxHistoryTokens }
+ * @returns {Object} - Budget object passed to the helpers below
+ */
+export function createTokenBudget(overrides = {}) {
+  return {
+    model: overrides.model || 'gpt-4.1',
+    limit: overrides.limit ?? (Number(process.env.CONTEXT_TOKEN_LIMIT) || 32000),
+    reserveForOutput: overrides.reserveForOutput ?? (Number(process.env.CONTEXT_OUTPUT_RESERVE) || 2000),
+    maxHistoryTokens: overrides.maxHistoryTokens ?? (Number(process.env.CONTEXT_HISTORY_TOKENS) || 4000),
+    stages: {}
+  };
+}
+
+/**
+ * Tokens available for a stage's prompt before anything is added
+ */
+export function promptCapacity(budget) {
+  return Math.max(0, budget.limit - budget.reserveForOutput);
+}
+
+/**
+ * Record how a stage's prompt spent the budget
+ * @param {Object} budget - From createTokenBudget()
+ * @param {string} stage - e.g. 'planner', 'answer'
+ * @param {Object<string, number>} sections - Token counts per prompt section
+ * @param {Object} extra - Extra details for the debug report (kept/dropped turns, rows sent, …)
+ */
+export function recordStage(budget, stage, sections, extra = {}) {
+  const total = Object.values(sections).reduce((sum, n) => sum + n, 0);
+  budget.stages[stage] = {
+    sections,
+    total,
+    capacity: promptCapacity(budget),
+    remaining: promptCapacity(budget) - total,
+    ...extra
+  };
+}
+
+/**
+ * Token budget left for conversation history once the fixed prompt is in place
+ * @param {Object} budget
+ * @param {Array} fixedMessages - The stage's messages without history
+ * @returns {number}
+ */
+export function historyAllowance(budget, fixedMessages) {
+  const free = promptCapacity(budget) - countMessageTokens(fixedMessages, budget.model);
+  return Math.max(0, Math.min(budget.maxHistoryTokens, free));
+}
+
+/**
+ * Largest prefix of rows (up to maxRows) whose JSON fits in maxTokens
+ * @param {Array} rows
+ * @param {number} maxRows
+ * @param {number} maxTokens
+ * @param {string} model
+ * @returns {Array}
+ */
+export function fitRowsToBudget(rows, maxRows, maxTokens, model = 'gpt-4.1') {
+  const candidates = (rows || []).slice(0, maxRows);
+  let used = countTokens('[]', model);
+  let count = 0;
+  for (const row of candidates) {
+    const cost = countTokens(JSON.stringify(row), model) + 1; // + separator
+    if (used + cost > maxTokens) break;
+    used += cost;
+    count += 1;
+  }
+  return candidates.slice(0, count);
+}
+
+/**
+ * Debug-friendly view of the budget
+ */
+export function budgetReport(budget) {
+  return {
+    model: budget.model,
+    limit: budget.limit,
+    reserve_for_output: budget.reserveForOutput,
+    max_history_tokens: budget.maxHistoryTokens,
+    stages: budget.stages
+  };
+}
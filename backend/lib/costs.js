@@ -0,0 +1,330 @@
+// lib/costs.js - Token and cost accounting for the LLM calls behind /api/query
+//
+// The handler wraps the request's provider in a CostMeter, which keeps the stage, model and token usage of
+// every call - streamed answers included, their usage arrives with the last chunk - and prices it from the
+// model price table: config/llm_prices.json (USD per 1M tokens), or the file at LLM_PRICES_PATH. A model is
+// priced by its exact entry, else by the longest entry it starts with followed by "-", so dated snapshots
+// (gpt-4.1-mini-2025-04-14) use their family's price. Calls the server reported no usage for are counted
+// with lib/tokens.js and flagged as estimated; models missing from the table are counted but not priced.
+//
+// The totals go into the response's debug block and, one row per request, into "user".llm_usage
+// (migrations/007_llm_usage.up.sql). POST /api/conversations/:id/title records its completion there too.
+// llmCostReport() aggregates those rows for /api/admin/llm-costs.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDbPool } from './db.js';
+import { tapStream } from './llm.js';
+import { countMessageTokens, countTokens } from './tokens.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PRICES_PATH = path.resolve(__dirname, '../config/llm_prices.json');
+
+const PER_TOKENS = 1_000_000;
+
+// Requests with at least this many retry-planner calls are listed as runaway retries
+const DEFAULT_RUNAWAY_RETRIES = 3;
+const MAX_REPORT_DAYS = 90;
+
+function costError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Dollar amounts are kept to the micro-dollar, like the numeric(12,6) columns
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+// ========================================
+// PRICES
+// ========================================
+
+let priceTable = null;
+
+/**
+ * Model prices from LLM_PRICES_PATH (default config/llm_prices.json), read once
+ * @returns {Object} - { "gpt-4.1": { input, cached_input?, output }, ... } in USD per 1M tokens
+ */
+export function getPriceTable() {
+  if (!priceTable) {
+    const file = process.env.LLM_PRICES_PATH || DEFAULT_PRICES_PATH;
+    priceTable = JSON.parse(readFileSync(file, 'utf8')).models || {};
+  }
+  return priceTable;
+}
+
+/**
+ * Price entry for a model name
+ * @param {string} model - As reported by the provider, e.g. "gpt-4.1-2025-04-14"
+ * @param {Object} prices - Price table (see getPriceTable)
+ * @returns {Object|null} - { input, cached_input?, output }, or null if the model isn't listed
+ */
+export function priceFor(model, prices = getPriceTable()) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+  const family = Object.keys(prices)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? prices[family] : null;
+}
+
+/**
+ * Cost of one call in USD
+ * Cached prompt tokens (usage.prompt_tokens_details.cached_tokens) use cached_input when it is listed.
+ * @param {Object} usage - { prompt_tokens, completion_tokens, prompt_tokens_details? }
+ * @param {Object|null} price - Price entry (see priceFor)
+ * @returns {number|null} - null when the model has no price
+ */
+export function callCost(usage, price) {
+  if (!price) return null;
+  const cached = price.cached_input !== undefined ? usage.prompt_tokens_details?.cached_tokens || 0 : 0;
+  return (
+    (usage.prompt_tokens - cached) * price.input +
+    (cached ? cached * price.cached_input : 0) +
+    usage.completion_tokens * price.output
+  ) / PER_TOKENS;
+}
+
+// ========================================
+// METERING
+// ========================================
+
+class MeteredProvider {
+  constructor(inner, meter) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.meter = meter;
+  }
+
+  modelFor(stage) {
+    return this.inner.modelFor(stage);
+  }
+
+  async chat(request) {
+    const resp = await this.inner.chat(request);
+    if (!request.stream) {
+      this.meter.add(request, resp.model, resp.usage, resp.content);
+      return resp;
+    }
+    // A stream that breaks off is still billed for what it sent - estimate that part
+    let text = '';
+    return tapStream(resp, {
+      onChunk: (chunk) => { text += chunk; },
+      onDone: ({ model, usage }) => this.meter.add(request, model, usage, text),
+      onError: () => this.meter.add(request, resp.model, null, text)
+    });
+  }
+}
+
+/**
+ * Token usage and cost of the LLM calls made for one request
+ */
+export class CostMeter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.prices - Price table (default getPriceTable())
+   */
+  constructor({ prices = getPriceTable() } = {}) {
+    this.prices = prices;
+    this.calls = [];
+  }
+
+  /**
+   * The provider with every call metered
+   * @param {Object} llm - An LLM provider (lib/llm.js)
+   */
+  wrap(llm) {
+    return new MeteredProvider(llm, this);
+  }
+
+  /**
+   * Count one finished call
+   * @param {Object} request - The chat() request (stage, messages)
+   * @param {string} model - Model that answered
+   * @param {Object|null} usage - Usage reported by the server; null = estimate from the text
+   * @param {string} content - The completion text
+   */
+  add({ stage, messages }, model, usage, content) {
+    model = model || 'unknown';
+    const estimated = !usage;
+    if (estimated) {
+      const promptTokens = countMessageTokens(messages, model);
+      const completionTokens = countTokens(content, model);
+      usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+    }
+    const cost = callCost(usage, priceFor(model, this.prices));
+    this.calls.push({
+      stage,
+      model,
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      cost_usd: cost === null ? null : roundUsd(cost),
+      estimated
+    });
+  }
+
+  /**
+   * Totals for the request and per stage
+   * @returns {Object} - { calls, prompt_tokens, completion_tokens, total_tokens, cost_usd, estimated,
+   *   unpriced_models, by_stage: { planner: { calls, model, prompt_tokens, completion_tokens, cost_usd }, ... } }
+   */
+  totals() {
+    const empty = () => ({ calls: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 });
+    const total = empty();
+    const byStage = {};
+    const unpriced = new Set();
+    for (const call of this.calls) {
+      const stage = (byStage[call.stage] ??= { calls: 0, model: call.model, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 });
+      stage.model = call.model;
+      for (const bucket of [total, stage]) {
+        bucket.calls += 1;
+        bucket.prompt_tokens += call.prompt_tokens;
+        bucket.completion_tokens += call.completion_tokens;
+        bucket.cost_usd = roundUsd(bucket.cost_usd + (call.cost_usd ?? 0));
+      }
+      if (call.cost_usd === null) unpriced.add(call.model);
+    }
+    return {
+      calls: total.calls,
+      prompt_tokens: total.prompt_tokens,
+      completion_tokens: total.completion_tokens,
+      total_tokens: total.prompt_tokens + total.completion_tokens,
+      cost_usd: total.cost_usd,
+      estimated: this.calls.some(call => call.estimated),
+      unpriced_models: [...unpriced],
+      by_stage: byStage
+    };
+  }
+}
+
+// ========================================
+// PERSISTENCE AND REPORTING
+// ========================================
+
+/**
+ * Store one request's LLM usage in "user".llm_usage (best-effort, never throws)
+ * @param {Object} entry
+ * @param {string} entry.requestId - X-Request-Id of the request
+ * @param {string|null} entry.userId - null for anonymous callers
+ * @param {string|null} entry.intent - detectQueryIntent() result, if the question got that far
+ * @param {string|null} entry.source - How it was answered (database_query, general_knowledge, meta_response),
+ *   or conversation_title for a title regenerated on demand
+ * @param {number} entry.statusCode - Response status
+ * @param {Object} entry.totals - CostMeter#totals()
+ */
+export async function recordLlmUsage({ requestId, userId, intent, source, statusCode, totals }, { pool = getDbPool() } = {}) {
+  try {
+    await pool.query(
+      `INSERT INTO "user"."llm_usage"
+         (request_id, user_id, intent, source, status_code, llm_calls, retry_calls,
+          prompt_tokens, completion_tokens, cost_usd, estimated, unpriced_models, stages)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [
+        String(requestId).slice(0, 128), userId, intent, source, statusCode,
+        totals.calls, totals.by_stage.retry?.calls || 0,
+        totals.prompt_tokens, totals.completion_tokens, totals.cost_usd,
+        totals.estimated, totals.unpriced_models, JSON.stringify(totals.by_stage)
+      ]
+    );
+  } catch (error) {
+    console.error('⚠️  Failed to record LLM usage:', error.message);
+  }
+}
+
+const number = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Cost over the last `days`: per question type, per stage, the most expensive users, and the
+ * requests whose retry planner ran `runawayRetries` times or more
+ * @param {Object} options
+ * @param {number} options.days - 1 to 90 (default 7)
+ * @param {number} options.runawayRetries - Retry calls that make a request a runaway (default 3)
+ * @param {number} options.limit - Rows in the topUsers and runaway lists (default 20)
+ * @throws {Error} INVALID_INPUT for out-of-range options
+ */
+export async function llmCostReport(
+  { days = 7, runawayRetries = DEFAULT_RUNAWAY_RETRIES, limit = 20 } = {},
+  { pool = getDbPool(), now = new Date() } = {}
+) {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_REPORT_DAYS) {
+    throw costError('INVALID_INPUT', `'days' must be a whole number from 1 to ${MAX_REPORT_DAYS}.`);
+  }
+  if (!Number.isInteger(runawayRetries) || runawayRetries < 1) {
+    throw costError('INVALID_INPUT', "'runawayRetries' must be a whole number of at least 1.");
+  }
+  const since = new Date(now.getTime() - days * 86_400_000);
+
+  // Question type: the detected intent, else how the question was routed (general knowledge, meta)
+  const { rows: byQuestionType } = await pool.query(
+    `SELECT COALESCE(intent, source, 'unrouted') AS question_type,
+            COUNT(*)::int AS requests,
+            SUM(llm_calls)::int AS llm_calls,
+            SUM(retry_calls)::int AS retry_calls,
+            SUM(prompt_tokens + completion_tokens)::bigint AS total_tokens,
+            SUM(cost_usd) AS cost_usd,
+            AVG(cost_usd) AS avg_cost_usd,
+            MAX(cost_usd) AS max_cost_usd,
+            COUNT(*) FILTER (WHERE retry_calls >= $2)::int AS runaway_requests,
+            COUNT(*) FILTER (WHERE status_code >= 500)::int AS failed_requests
+     FROM "user"."llm_usage"
+     WHERE created_at >= $1
+     GROUP BY 1
+     ORDER BY SUM(cost_usd) DESC NULLS LAST`,
+    [since, runawayRetries]
+  );
+
+  const { rows: byStage } = await pool.query(
+    `SELECT s.key AS stage,
+            SUM((s.value->>'calls')::int)::int AS calls,
+            SUM((s.value->>'prompt_tokens')::bigint)::bigint AS prompt_tokens,
+            SUM((s.value->>'completion_tokens')::bigint)::bigint AS completion_tokens,
+            SUM((s.value->>'cost_usd')::numeric) AS cost_usd
+     FROM "user"."llm_usage" u, jsonb_each(u.stages) s
+     WHERE u.created_at >= $1
+     GROUP BY s.key
+     ORDER BY SUM((s.value->>'cost_usd')::numeric) DESC`,
+    [since]
+  );
+
+  const { rows: topUsers } = await pool.query(
+    `SELECT user_id, COUNT(*)::int AS requests, SUM(cost_usd) AS cost_usd
+     FROM "user"."llm_usage"
+     WHERE created_at >= $1 AND user_id IS NOT NULL
+     GROUP BY user_id
+     ORDER BY SUM(cost_usd) DESC NULLS LAST
+     LIMIT $2`,
+    [since, limit]
+  );
+
+  const { rows: runaway } = await pool.query(
+    `SELECT request_id, user_id, COALESCE(intent, source, 'unrouted') AS question_type, status_code,
+            retry_calls, llm_calls, cost_usd, created_at
+     FROM "user"."llm_usage"
+     WHERE created_at >= $1 AND retry_calls >= $2
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [since, runawayRetries, limit]
+  );
+
+  // pg returns numeric and bigint as strings
+  return {
+    since: since.toISOString(),
+    runawayRetries,
+    byQuestionType: byQuestionType.map(row => ({
+      ...row,
+      total_tokens: number(row.total_tokens),
+      cost_usd: number(row.cost_usd),
+      avg_cost_usd: row.avg_cost_usd === null ? null : roundUsd(Number(row.avg_cost_usd)),
+      max_cost_usd: number(row.max_cost_usd)
+    })),
+    byStage: byStage.map(row => ({
+      ...row,
+      prompt_tokens: number(row.prompt_tokens),
+      completion_tokens: number(row.completion_tokens),
+      cost_usd: number(row.cost_usd)
+    })),
+    topUsers: topUsers.map(row => ({ ...row, cost_usd: number(row.cost_usd) })),
+    runaway: runaway.map(row => ({ ...row, cost_usd: number(row.cost_usd) }))
+  };
+}
@@ -13,8 +13,9 @@ export function getDbPool() {
       user: decodeURIComponent(url.username),
       password: decodeURIComponent(url.password),
       database: url.pathname.replace(/^\//, ""), // "postgres"
-      // Force TLS but relax CA validation to avoid SELF_SIGNED_CERT_IN_CHAIN in Vercel
-      ssl: { rejectUnauthorized: false },
+      // Force TLS but relax CA validation to avoid SELF_SIGNED_CERT_IN_CHAIN in Vercel.
+      // DATABASE_SSL=false turns TLS off for a local Postgres (e.g. the docker one used for migrations)
+      ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
       // Improved connection pool configuration for high-volume usage and stability
       max: 10, // Reduced from 20 to avoid Supabase connection limits
       min: 2, // Keep minimum connections open for faster responses
@@ -27,3 +28,63 @@ export function getDbPool() {
   }
   return dbPool;
 }
+
+// NOLOGIN role with SELECT on update.* / clean.* only (see supabase_migrations/004_create_llm_readonly_role.sql)
+export const DEFAULT_LLM_SQL_ROLE = 'llm_readonly';
+
+let warnedNoRole = false;
+
+/**
+ * Role model-written SQL runs as: LLM_SQL_ROLE, default llm_readonly.
+ * LLM_SQL_ROLE=none runs it as the DATABASE_URL user - only for local databases without the role.
+ * @returns {string|null}
+ */
+export function llmSqlRole(env = process.env) {
+  const role = (env.LLM_SQL_ROLE || DEFAULT_LLM_SQL_ROLE).trim();
+  if (role.toLowerCase() !== 'none') return role;
+  if (!warnedNoRole) {
+    warnedNoRole = true;
+    console.error('⚠️  LLM_SQL_ROLE=none: model-written SQL runs with the full privileges of the DATABASE_URL user!');
+  }
+  return null;
+}
+
+// Session settings applied to every model-written statement (SET LOCAL → scoped to its transaction)
+function readOnlySettings() {
+  return {
+    statementTimeoutMs: Number(process.env.DB_QUERY_TIMEOUT_MS) || 30000,
+    lockTimeoutMs: Number(process.env.DB_LOCK_TIMEOUT_MS) || 2000,
+    idleInTransactionTimeoutMs: Number(process.env.DB_IDLE_TX_TIMEOUT_MS) || 10000,
+    role: llmSqlRole()
+  };
+}
+
+/**
+ * Run LLM-generated SQL inside its own BEGIN READ ONLY transaction.
+ * Timeouts and the read-only role are SET LOCAL so they never leak back into the pool,
+ * and a failed statement only rolls back its own transaction (retries start clean).
+ *
+ * @param {import('pg').PoolClient} client - Checked-out pool client
+ * @param {string} sql - Guarded SQL
+ * @returns {Promise<import('pg').QueryResult>}
+ */
+export async function runReadOnlyQuery(client, sql) {
+  const { statementTimeoutMs, lockTimeoutMs, idleInTransactionTimeoutMs, role } = readOnlySettings();
+
+  await client.query('BEGIN READ ONLY');
+  try {
+    await client.query(`SET LOCAL statement_timeout = ${Math.trunc(statementTimeoutMs)}`);
+    await client.query(`SET LOCAL lock_timeout = ${Math.trunc(lockTimeoutMs)}`);
+    await client.query(`SET LOCAL idle_in_transaction_session_timeout = ${Math.trunc(idleInTransactionTimeoutMs)}`);
+    if (role) {
+      await client.query(`SET LOCAL ROLE ${client.escapeIdentifier(role)}`);
+    }
+
+    const result = await client.query(sql);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,356 @@
+// lib/eval.js - Offline evaluation of the text-to-SQL planner
+//
+// A golden set (eval/golden.json) lists questions and what a good result looks like:
+//   {
+//     "id": "eth-price-latest",
+//     "question": "What is the current price of ETH?",
+//     "expectedSql": "SELECT ...",                     // optional: the planned result must have exactly its rows
+//     "expect": {                                      // optional result properties
+//       "tables": ["update.token_price_daily"],        //   read by the planned SQL
+//       "columns": ["symbol"],                         //   present in the result
+//       "minRows": 1, "maxRows": 100,
+//       "includes": [{ "symbol": "ETH" }],             //   each matches at least one row
+//       "excludes": [{ "symbol": "WBTC" }],            //   none matches any row
+//       "ranges": { "price_usd": { "min": 20000 } },   //   every row's value within bounds
+//       "unique": ["symbol"]                           //   no two rows share these values
+//     },
+//     "rules": ["timestamp_filter", "distinct_on", "limit"]   // rules that apply (default: all)
+//   }
+//
+// Each question runs through the real /api/query pipeline (answerQuery with minimal: true, so planning,
+// guard and retries but no written answer) against DATABASE_URL, which should be a seeded local Postgres.
+// Rules are checked on the model's own SQL, before the guard adds or clamps the LIMIT.
+
+import { readFile } from 'fs/promises';
+import { parse } from 'pgsql-parser';
+import { walk } from './guard.js';
+import { runReadOnlyQuery } from './db.js';
+import { captureRes } from './fixtures.js';
+
+export const RULES = ['timestamp_filter', 'distinct_on', 'limit'];
+
+// Columns that hold a row's point in time across the registry tables
+const TIMESTAMP_COLUMNS = new Set(['ts', 'price_timestamp', 'event_time', 'ingest_time', 'day', 'date', 'timestamp']);
+// ts > x and x < ts both bound ts from below
+const LOWER_BOUND_OPS = new Set(['>', '>=']);
+const REVERSED_LOWER_BOUND_OPS = new Set(['<', '<=']);
+
+function evalError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Read and validate a golden set
+ * @throws {Error} - code EVAL_INVALID for a malformed file
+ */
+export async function loadGoldenSet(file) {
+  const items = JSON.parse(await readFile(file, 'utf8'));
+  if (!Array.isArray(items)) throw evalError('EVAL_INVALID', `${file} must hold an array of questions`);
+  const ids = new Set();
+  for (const item of items) {
+    if (!item?.id || typeof item.question !== 'string') {
+      throw evalError('EVAL_INVALID', `Every golden question needs an id and a question (${JSON.stringify(item).slice(0, 80)})`);
+    }
+    if (ids.has(item.id)) throw evalError('EVAL_INVALID', `Duplicate golden question id "${item.id}"`);
+    const unknown = (item.rules || []).filter(r => !RULES.includes(r));
+    if (unknown.length) throw evalError('EVAL_INVALID', `${item.id}: unknown rule(s) ${unknown.join(', ')}`);
+    ids.add(item.id);
+  }
+  return items;
+}
+
+// ========================================
+// RULE COMPLIANCE
+// ========================================
+
+const lastField = (columnRef) => columnRef.fields?.[columnRef.fields.length - 1]?.String?.sval?.toLowerCase();
+
+// Set operations keep their branches in larg/rarg, outside the typed-node wrappers walk() visits
+function someSelect(select, test) {
+  if (!select) return false;
+  return test(select) || someSelect(select.larg, test) || someSelect(select.rarg, test);
+}
+
+/**
+ * Check SQL against the planner rules
+ * - timestamp_filter: a lower bound (>, >=, BETWEEN, or < / <= with the column on the right) on a timestamp
+ *   column somewhere in a WHERE clause
+ * - distinct_on: a DISTINCT ON in any SELECT
+ * - limit: a LIMIT on the outermost SELECT
+ * @returns {Promise<{timestamp_filter: boolean, distinct_on: boolean, limit: boolean, limitValue: number|null,
+ *   tables: string[]}|null>} - null if the SQL doesn't parse
+ */
+export async function checkRules(sql) {
+  let tree;
+  try {
+    tree = await parse(String(sql || ''));
+  } catch {
+    return null;
+  }
+  const top = tree.stmts?.[0]?.stmt?.SelectStmt;
+
+  let timestampFilter = false;
+  let distinctOn = false;
+  const tables = new Set();
+  walk(tree, (type, node) => {
+    if (type === 'A_Expr') {
+      const op = node.name?.[0]?.String?.sval;
+      const bounded = LOWER_BOUND_OPS.has(op) || node.kind === 'AEXPR_BETWEEN' ? node.lexpr
+        : REVERSED_LOWER_BOUND_OPS.has(op) ? node.rexpr
+        : null;
+      walk(bounded, (t, n) => {
+        if (t === 'ColumnRef' && TIMESTAMP_COLUMNS.has(lastField(n))) timestampFilter = true;
+      });
+    } else if (type === 'SelectStmt') {
+      distinctOn ||= someSelect(node, s => s.distinctClause?.some(e => Object.keys(e).length));
+    } else if (type === 'RangeVar' && node.schemaname) {
+      tables.add(`${node.schemaname}.${node.relname}`.toLowerCase());
+    }
+  });
+
+  // libpg_query omits zero values, so LIMIT 0 has an empty ival
+  const limitConst = top?.limitCount?.A_Const;
+  return {
+    timestamp_filter: timestampFilter,
+    distinct_on: distinctOn,
+    limit: Boolean(top?.limitCount),
+    limitValue: limitConst ? limitConst.ival?.ival ?? 0 : null,
+    tables: [...tables].sort()
+  };
+}
+
+// ========================================
+// RESULT MATCHING
+// ========================================
+
+// Numbers compare at 8 significant digits whether pg returned them as numbers or strings; text ignores case,
+// and dates compare as their ISO text so they match an ISO string in a golden expectation
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return normalize(value.toISOString());
+  if (typeof value === 'number') return Number(value.toPrecision(8));
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(Number(value).toPrecision(8));
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).toLowerCase();
+}
+
+const matches = (row, partial) =>
+  Object.entries(partial).every(([column, value]) => normalize(row[column]) === normalize(value));
+
+const describe = (partial) => Object.entries(partial).map(([k, v]) => `${k}=${v}`).join(', ');
+
+/**
+ * Compare planned rows with the rows of the golden expectedSql, on the expected columns
+ * @returns {string[]} - Reasons the results differ (empty when they match)
+ */
+export function compareRows(rows, expectedRows) {
+  const columns = Object.keys(expectedRows[0] || {});
+  if (rows.length && columns.length) {
+    const missing = columns.filter(c => !(c in rows[0]));
+    if (missing.length) return [`result lacks expected column(s) ${missing.join(', ')}`];
+  }
+  const key = (row) => JSON.stringify(columns.map(c => normalize(row[c])));
+  const planned = new Set(rows.map(key));
+  const expected = new Set(expectedRows.map(key));
+  const absent = [...expected].filter(k => !planned.has(k));
+  const extra = [...planned].filter(k => !expected.has(k));
+
+  const reasons = [];
+  if (absent.length) reasons.push(`${absent.length} of ${expected.size} expected row(s) missing, e.g. ${absent[0]}`);
+  if (extra.length) reasons.push(`${extra.length} unexpected row(s), e.g. ${extra[0]}`);
+  return reasons;
+}
+
+/**
+ * Check planned rows (and the tables the SQL read) against a golden "expect" block
+ * @returns {string[]} - Failed expectations (empty when all hold)
+ */
+export function checkExpectations(rows, expect = {}, tables = []) {
+  const reasons = [];
+  for (const table of expect.tables || []) {
+    if (!tables.includes(table)) reasons.push(`does not read ${table}`);
+  }
+  for (const column of expect.columns || []) {
+    if (rows.length && !(column in rows[0])) reasons.push(`no column ${column}`);
+  }
+  if (expect.minRows !== undefined && rows.length < expect.minRows) {
+    reasons.push(`${rows.length} row(s), expected at least ${expect.minRows}`);
+  }
+  if (expect.maxRows !== undefined && rows.length > expect.maxRows) {
+    reasons.push(`${rows.length} row(s), expected at most ${expect.maxRows}`);
+  }
+  for (const partial of expect.includes || []) {
+    if (!rows.some(row => matches(row, partial))) reasons.push(`no row with ${describe(partial)}`);
+  }
+  for (const partial of expect.excludes || []) {
+    const count = rows.filter(row => matches(row, partial)).length;
+    if (count) reasons.push(`${count} row(s) with ${describe(partial)}`);
+  }
+  for (const [column, { min, max }] of Object.entries(expect.ranges || {})) {
+    const values = rows.map(row => Number(row[column])).filter(v => !Number.isNaN(v));
+    const below = min !== undefined ? values.filter(v => v < min) : [];
+    const above = max !== undefined ? values.filter(v => v > max) : [];
+    if (below.length) reasons.push(`${column} ${Math.min(...below)} below ${min} (${below.length} row(s))`);
+    if (above.length) reasons.push(`${column} ${Math.max(...above)} above ${max} (${above.length} row(s))`);
+  }
+  if (expect.unique?.length) {
+    const seen = new Set();
+    let duplicates = 0;
+    for (const row of rows) {
+      const key = JSON.stringify(expect.unique.map(c => normalize(row[c])));
+      if (seen.has(key)) duplicates++;
+      seen.add(key);
+    }
+    if (duplicates) reasons.push(`${duplicates} duplicate row(s) by ${expect.unique.join(', ')}`);
+  }
+  return reasons;
+}
+
+// ========================================
+// RUNNING
+// ========================================
+
+/**
+ * Plan, execute and score one golden question
+ * @param {Object} item - Golden question
+ * @param {Object} options
+ * @param {Function} options.answerQuery - The pipeline (answerQuery exported by api/query.js)
+ * @param {Object} options.services - Pipeline services (anonymous, nothing persisted; see scripts/eval-planner.mjs)
+ * @param {import('pg').Pool} options.pool - Database for the golden expectedSql
+ * @returns {Promise<Object>} - { id, question, status, source, executed, error, retries, sql, plannedSql,
+ *   rowCount, result: 'pass'|'fail'|'n/a', reasons, rules: { rule: 'ok'|'missing'|'n/a' }, limitValue }
+ */
+export async function evaluateQuestion(item, { answerQuery, services, pool }) {
+  // Keep the model's own SQL for the rule checks; the guard may rewrite what actually runs
+  const plans = [];
+  const llm = services.llm;
+  const recordingLlm = {
+    name: llm.name,
+    modelFor: (stage) => llm.modelFor(stage),
+    chat: async (request) => {
+      const resp = await llm.chat(request);
+      if (request.stage === 'planner' || request.stage === 'retry') {
+        try {
+          plans.push({ stage: request.stage, sql: JSON.parse(resp.content).sql || null });
+        } catch {
+          plans.push({ stage: request.stage, sql: null });
+        }
+      }
+      return resp;
+    }
+  };
+
+  const req = { method: 'POST', url: '/api/query', headers: { host: 'eval.local' }, body: { question: item.question, minimal: true } };
+  const res = captureRes();
+  await answerQuery(req, res, { userId: null, startedAt: Date.now() }, { ...services, llm: recordingLlm });
+
+  const body = res.body ?? {};
+  const executed = res.statusCode === 200 && body.source === 'database_query';
+  const rows = executed ? body.rows || [] : [];
+  const plannedSql = plans[plans.length - 1]?.sql ?? null;
+  const checks = plannedSql ? await checkRules(plannedSql) : null;
+  const finalChecks = body.sql ? await checkRules(body.sql) : null;
+
+  const applicable = item.rules || RULES;
+  const rules = Object.fromEntries(RULES.map(rule => [
+    rule,
+    !applicable.includes(rule) ? 'n/a' : checks?.[rule] ? 'ok' : 'missing'
+  ]));
+
+  let result = 'n/a';
+  let reasons = [];
+  if (item.expectedSql || item.expect) {
+    if (executed) {
+      if (item.expect) reasons.push(...checkExpectations(rows, item.expect, finalChecks?.tables || checks?.tables || []));
+      if (item.expectedSql) {
+        const client = await pool.connect();
+        try {
+          const expected = await runReadOnlyQuery(client, item.expectedSql);
+          reasons.push(...compareRows(rows, expected.rows || []));
+        } catch (error) {
+          reasons.push(`expectedSql failed: ${error.message}`);
+        } finally {
+          client.release();
+        }
+      }
+    } else {
+      reasons = ['not executed'];
+    }
+    result = reasons.length ? 'fail' : 'pass';
+  }
+
+  return {
+    id: item.id,
+    question: item.question,
+    status: res.statusCode,
+    source: body.source ?? null,
+    executed,
+    error: executed ? null : body.technical_details || body.error || body.note || null,
+    retries: plans.filter(p => p.stage === 'retry').length,
+    sql: body.sql ?? null,
+    plannedSql,
+    rowCount: rows.length,
+    result,
+    reasons,
+    rules,
+    limitValue: checks?.limitValue ?? null
+  };
+}
+
+// ========================================
+// REPORT
+// ========================================
+
+const oneLine = (sql) => String(sql || '').replace(/\s+/g, ' ').trim();
+const pad = (value, width) => String(value).padEnd(width);
+const ratio = (n, d) => `${n}/${d}`.padStart(7);
+
+/**
+ * Plain-text report: no timings or dates, stable order, one SQL per line - diff two runs to compare branches
+ * @param {Object[]} results - From evaluateQuestion, in golden-set order
+ * @param {Object} header - { provider, models } printed at the top
+ */
+export function formatReport(results, { provider, models }) {
+  const idWidth = Math.max(2, ...results.map(r => r.id.length)) + 2;
+  const lines = [
+    `Planner eval: ${results.length} question(s), provider ${provider}, planner ${models.planner}, retry ${models.retry}`,
+    '',
+    `${pad('id', idWidth)}${pad('exec', 6)}${pad('result', 8)}${pad('retries', 9)}${pad('ts', 9)}${pad('distinct', 10)}limit`
+  ];
+  for (const r of results) {
+    const limit = r.rules.limit === 'ok' ? r.limitValue ?? 'ok' : r.rules.limit;
+    lines.push(
+      `${pad(r.id, idWidth)}${pad(r.executed ? 'ok' : 'FAIL', 6)}${pad(r.result === 'fail' ? 'FAIL' : r.result, 8)}` +
+      `${pad(r.retries, 9)}${pad(r.rules.timestamp_filter, 9)}${pad(r.rules.distinct_on, 10)}${limit}`
+    );
+  }
+
+  const scored = results.filter(r => r.result !== 'n/a');
+  const ruleTotals = RULES.map(rule => {
+    const applicable = results.filter(r => r.rules[rule] !== 'n/a');
+    return `  ${pad(rule, 18)}${ratio(applicable.filter(r => r.rules[rule] === 'ok').length, applicable.length)}`;
+  });
+  lines.push(
+    '',
+    'Totals',
+    `  ${pad('executed', 18)}${ratio(results.filter(r => r.executed).length, results.length)}`,
+    `  ${pad('result match', 18)}${ratio(scored.filter(r => r.result === 'pass').length, scored.length)}`,
+    `  ${pad('retries', 18)}${String(results.reduce((n, r) => n + r.retries, 0)).padStart(7)}` +
+      `  (${results.filter(r => r.retries).length} question(s) retried)`,
+    ...ruleTotals,
+    '',
+    'Details'
+  );
+
+  for (const r of results) {
+    lines.push(`${r.id}: ${r.question}`);
+    if (!r.executed) lines.push(`  not executed (${r.source || `HTTP ${r.status}`}): ${oneLine(r.error)}`);
+    for (const reason of r.reasons) lines.push(`  result: ${reason}`);
+    lines.push(`  sql: ${oneLine(r.plannedSql) || '-'}`);
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,469 @@
+// lib/fixtures.js - Record/replay fixtures for /api/query
+//
+// Recording: with FIXTURE_RECORD_DIR set, every /api/query request is written to <dir>/<requestId>.json
+// with everything the pipeline got from outside - the auth result, conversation history, the SQL
+// allow-list, each LLM call (stage, model, messages, response) and each SQL statement with its rows or
+// error - plus the response that was sent. The request id is the caller's X-Request-Id (else a new UUID)
+// and is echoed in the X-Request-Id response header, so a reported answer can be traced to its fixture.
+// Fixtures contain the question, conversation history and result rows; treat them like user data.
+//
+// Replay: replayFixture() runs the same pipeline from a fixture with no network or database. LLM calls
+// are answered per stage in recorded order, SQL by exact statement text, and nothing is persisted.
+// Prompt edits show up as "prompt changed" notes; any difference in the response is a regression.
+// scripts/replay-fixture.mjs is the command-line front end.
+
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { tapStream, textStream } from './llm.js';
+
+const FIXTURE_VERSION = 1;
+
+// Response fields that legitimately differ between a recording and its replay (nothing is persisted,
+// and replays aren't metered)
+const VOLATILE_FIELDS = new Set(['debug', 'conversationId', 'conversationTitle', 'llmUsage', 'llm_usage']);
+
+const MAX_DIFFERENCES = 20;
+
+function fixtureError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Request id for logs and fixtures: the caller's X-Request-Id if it is a plain token, else a new UUID
+ */
+export function getRequestId(req) {
+  const given = String(req.headers['x-request-id'] || '');
+  return /^[A-Za-z0-9._-]{1,100}$/.test(given) ? given : randomUUID();
+}
+
+// Enough of a failure to rethrow it the same way on replay (pg errors carry code/detail/hint/position)
+const errorDetails = (error) => ({
+  message: error?.message || String(error),
+  code: error?.code,
+  detail: error?.detail,
+  hint: error?.hint,
+  position: error?.position
+});
+
+function rebuildError({ message, ...details }) {
+  return Object.assign(new Error(message), details);
+}
+
+const toJson = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// pg returns timestamp/date columns as Date objects and the answer prompt formats them differently
+// from strings, so the columns that held dates are noted and revived on replay
+const dateColumns = (rows) =>
+  Object.keys(rows[0] || {}).filter(column => rows.some(row => row[column] instanceof Date));
+
+const reviveDates = (rows, columns = []) =>
+  columns.length
+    ? rows.map(row => {
+        const copy = { ...row };
+        for (const column of columns) if (copy[column] !== null) copy[column] = new Date(copy[column]);
+        return copy;
+      })
+    : rows;
+
+// ========================================
+// RECORDING
+// ========================================
+
+class RecordingProvider {
+  constructor(inner, calls) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.calls = calls;
+  }
+
+  modelFor(stage) {
+    return this.inner.modelFor(stage);
+  }
+
+  async chat(request) {
+    const call = {
+      stage: request.stage,
+      model: this.inner.modelFor(request.stage),
+      json: Boolean(request.json),
+      stream: Boolean(request.stream),
+      messages: toJson(request.messages)
+    };
+    this.calls.push(call);
+    try {
+      const resp = await this.inner.chat(request);
+      if (request.stream) return recordChunks(resp, call);
+      Object.assign(call, { model: resp.model, content: resp.content, usage: resp.usage });
+      return resp;
+    } catch (error) {
+      call.error = errorDetails(error);
+      throw error;
+    }
+  }
+}
+
+function recordChunks(stream, call) {
+  call.chunks = [];
+  return tapStream(stream, {
+    onChunk: (chunk) => call.chunks.push(chunk),
+    onDone: ({ model, usage }) => Object.assign(call, { model: model ?? call.model, usage }),
+    onError: (error) => { call.error = errorDetails(error); }
+  });
+}
+
+// Server-sent events → [{ type, ... }]
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.startsWith('data: '))
+    .map(block => {
+      try {
+        return JSON.parse(block.slice(6));
+      } catch {
+        return { type: 'unparsed', data: block.slice(6) };
+      }
+    });
+}
+
+export class FixtureRecorder {
+  /**
+   * @param {string} requestId - Names the fixture file
+   * @param {Object} req - The incoming request (method, url and body are recorded, headers are not)
+   * @param {string} dir - Directory to write to (created if missing)
+   */
+  constructor(requestId, req, dir) {
+    this.dir = dir;
+    this.response = { body: undefined, text: '' };
+    this.fixture = {
+      version: FIXTURE_VERSION,
+      requestId,
+      recordedAt: new Date().toISOString(),
+      request: { method: req.method, url: req.url, body: toJson(req.body ?? null) },
+      auth: null,
+      allowList: null,
+      store: [],
+      llm: [],
+      sql: [],
+      response: null
+    };
+  }
+
+  /**
+   * Wrap the pipeline's services so whatever they return is also written to the fixture
+   * @param {Object} services - See liveServices() in api/query.js
+   * @param {Object} res - Response, wrapped to capture what is sent
+   */
+  wrap(services, res) {
+    const { fixture } = this;
+    this.captureResponse(res);
+    return {
+      ...services,
+      authenticate: async (...args) => {
+        const auth = await services.authenticate(...args);
+        fixture.auth = toJson(auth);
+        return auth;
+      },
+      getAllowList: async () => {
+        const { tables, colsByTable } = await services.getAllowList();
+        fixture.allowList = Object.fromEntries([...tables].map(t => [t, [...(colsByTable.get(t) || [])]]));
+        return { tables, colsByTable };
+      },
+      store: {
+        getMessage: (...args) => this.recordCall('getMessage', args, () => services.store.getMessage(...args)),
+        getContext: (...args) => this.recordCall('getContext', args, () => services.store.getContext(...args))
+      },
+      llm: new RecordingProvider(services.llm, fixture.llm),
+      runSql: async (client, sql) => {
+        const entry = { sql };
+        fixture.sql.push(entry);
+        try {
+          const result = await services.runSql(client, sql);
+          const rows = result.rows || [];
+          Object.assign(entry, { rows: toJson(rows), dateColumns: dateColumns(rows), rowCount: result.rowCount ?? null });
+          return result;
+        } catch (error) {
+          entry.error = errorDetails(error);
+          throw error;
+        }
+      }
+    };
+  }
+
+  async recordCall(method, args, call) {
+    const entry = { method, args: toJson(args) };
+    this.fixture.store.push(entry);
+    try {
+      const result = await call();
+      entry.result = toJson(result);
+      return result;
+    } catch (error) {
+      entry.error = errorDetails(error);
+      throw error;
+    }
+  }
+
+  captureResponse(res) {
+    const { response } = this;
+    const { json, write, end } = res;
+    res.json = (body) => {
+      response.body = toJson(body);
+      return json.call(res, body);
+    };
+    res.write = (chunk) => {
+      response.text += String(chunk);
+      return write.call(res, chunk);
+    };
+    res.end = (chunk) => {
+      if (chunk !== undefined && response.body === undefined) response.text += String(chunk);
+      return end.call(res, chunk);
+    };
+  }
+
+  /**
+   * Write the fixture (best-effort: a failure is logged, never thrown)
+   * @returns {Promise<string|null>} - Path of the written file
+   */
+  async save(statusCode) {
+    const { fixture, response } = this;
+    const events = parseEvents(response.text);
+    fixture.response = events.length
+      ? { status: statusCode, events }
+      : { status: statusCode, body: response.body !== undefined ? response.body : parseBody(response.text) };
+
+    const file = path.join(this.dir, `${fixture.requestId}.json`);
+    try {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(file, JSON.stringify(fixture, null, 2));
+      console.log(`🎞️  Recorded fixture ${file}`);
+      return file;
+    } catch (error) {
+      console.error('⚠️  Failed to write fixture:', error.message);
+      return null;
+    }
+  }
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// ========================================
+// REPLAY
+// ========================================
+
+/**
+ * Read a fixture file
+ * @throws {Error} - code FIXTURE_INVALID if it isn't a fixture this version can replay
+ */
+export async function loadFixture(file) {
+  const fixture = JSON.parse(await readFile(file, 'utf8'));
+  if (fixture?.version !== FIXTURE_VERSION || !fixture.request || !fixture.response) {
+    throw fixtureError('FIXTURE_INVALID', `${file} is not a version ${FIXTURE_VERSION} query fixture`);
+  }
+  return fixture;
+}
+
+/**
+ * Answers LLM calls from a fixture: each stage gets its recorded responses in order
+ */
+export class ReplayProvider {
+  /**
+   * @param {Object} fixture - A recorded fixture
+   * @param {Object} report - Collects promptChanges and problems (see replayFixture)
+   */
+  constructor(fixture, report) {
+    this.name = 'replay';
+    this.report = report;
+    this.queues = new Map();
+    this.models = {};
+    for (const call of fixture.llm) {
+      if (!this.queues.has(call.stage)) this.queues.set(call.stage, []);
+      this.queues.get(call.stage).push(call);
+      this.models[call.stage] ??= call.model;
+    }
+  }
+
+  modelFor(stage) {
+    return this.models[stage] || 'replay';
+  }
+
+  async chat({ stage, messages, stream = false }) {
+    const call = this.queues.get(stage)?.shift();
+    if (!call) {
+      this.report.problems.push(`No recorded ${stage} call left`);
+      throw fixtureError('FIXTURE_MISMATCH', `Fixture has no further ${stage} call`);
+    }
+    if (JSON.stringify(toJson(messages)) !== JSON.stringify(call.messages)) {
+      this.report.promptChanges.push(stage);
+    }
+    if (call.error) throw rebuildError(call.error);
+    if (stream) return replayChunks(call.chunks || [call.content || ''], call);
+    return { content: call.content, model: call.model, usage: call.usage };
+  }
+}
+
+function replayChunks(chunks, { model, usage = null }) {
+  return textStream(model, async function* (stream) {
+    for (const chunk of chunks) yield chunk;
+    stream.usage = usage;
+  });
+}
+
+/**
+ * Services for answerQuery() that read from a fixture instead of the outside world
+ * @param {Object} fixture - A recorded fixture
+ * @param {Object} report - Collects promptChanges and problems
+ * @param {Object|null} llm - Provider to use instead of the recorded responses (e.g. the live one)
+ */
+export function replayServices(fixture, report, llm = null) {
+  const storeCalls = [...fixture.store];
+  const statements = [...fixture.sql];
+
+  const fromStore = async (method, args) => {
+    const key = JSON.stringify(toJson(args));
+    const index = storeCalls.findIndex(c => c.method === method && JSON.stringify(c.args) === key);
+    if (index === -1) {
+      report.problems.push(`No recorded ${method} call for ${key}`);
+      throw fixtureError('FIXTURE_MISMATCH', `Fixture has no ${method} call with these arguments`);
+    }
+    const [call] = storeCalls.splice(index, 1);
+    if (call.error) throw rebuildError(call.error);
+    return call.result;
+  };
+
+  return {
+    authenticate: async () => fixture.auth || { status: 'anonymous', userId: null },
+    checkQuota: async () => ({ allowed: true, scope: 'replay', plan: 'replay', limit: null, used: null, remaining: null, resetAt: null }),
+    ensureUserExists: async () => {},
+    store: {
+      getMessage: (...args) => fromStore('getMessage', args),
+      getContext: (...args) => fromStore('getContext', args)
+    },
+    getAllowList: async () => {
+      if (!fixture.allowList) throw fixtureError('FIXTURE_MISMATCH', 'Fixture has no SQL allow-list');
+      return {
+        tables: new Set(Object.keys(fixture.allowList)),
+        colsByTable: new Map(Object.entries(fixture.allowList).map(([t, cols]) => [t, new Set(cols)]))
+      };
+    },
+    llm: llm || new ReplayProvider(fixture, report),
+    connect: async () => ({ release() {} }),
+    // Matched on the statement text; a statement the recording never ran fails like a database error
+    runSql: async (_client, sql) => {
+      const index = statements.findIndex(s => s.sql === sql);
+      if (index === -1) {
+        report.problems.push(`SQL not in fixture: ${sql.replace(/\s+/g, ' ').slice(0, 200)}`);
+        throw fixtureError('FIXTURE_MISMATCH', 'SQL statement not in fixture');
+      }
+      const [statement] = statements.splice(index, 1);
+      if (statement.error) throw rebuildError(statement.error);
+      return { rows: reviveDates(statement.rows, statement.dateColumns), rowCount: statement.rowCount };
+    },
+    logQuery: async () => null,
+    afterTurnSaved: async () => null
+  };
+}
+
+/**
+ * Minimal Vercel-style response that keeps what the handler sends (body for JSON, text for streams)
+ */
+export function captureRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    text: '',
+    body: undefined,
+    setHeader(name, value) { res.headers[name.toLowerCase()] = value; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = toJson(body); return res; },
+    writeHead(code, headers = {}) {
+      res.statusCode = code;
+      for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+    },
+    write(chunk) { res.text += String(chunk); return true; },
+    end(chunk) { if (chunk !== undefined) res.text += String(chunk); return res; }
+  };
+  return res;
+}
+
+// Answer chunks are joined, so a different chunking of the same text isn't a difference
+function comparable(response) {
+  if (!response.events) return { status: response.status, body: withoutVolatile(response.body) };
+  const events = [];
+  for (const event of response.events) {
+    const last = events[events.length - 1];
+    if (event.type === 'answer_chunk' && last?.type === 'answer_chunk') {
+      last.content += event.content;
+    } else {
+      events.push(withoutVolatile({ ...event }));
+    }
+  }
+  return { status: response.status, events };
+}
+
+function withoutVolatile(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return Object.fromEntries(Object.entries(value).filter(([key]) => !VOLATILE_FIELDS.has(key)));
+}
+
+/**
+ * Paths where two JSON values differ, e.g. "body.answer" or "events[3].content"
+ */
+export function diffValues(recorded, replayed, at = '', out = []) {
+  if (out.length >= MAX_DIFFERENCES) return out;
+  if (JSON.stringify(recorded) === JSON.stringify(replayed)) return out;
+
+  const bothArrays = Array.isArray(recorded) && Array.isArray(replayed);
+  const bothObjects = recorded && replayed && typeof recorded === 'object' && typeof replayed === 'object' &&
+    !Array.isArray(recorded) && !Array.isArray(replayed);
+  if (bothArrays) {
+    for (let i = 0; i < Math.max(recorded.length, replayed.length); i++) {
+      diffValues(recorded[i], replayed[i], `${at}[${i}]`, out);
+    }
+  } else if (bothObjects) {
+    for (const key of new Set([...Object.keys(recorded), ...Object.keys(replayed)])) {
+      diffValues(recorded[key], replayed[key], at ? `${at}.${key}` : key, out);
+    }
+  } else {
+    out.push({ path: at || '(root)', recorded, replayed });
+  }
+  return out;
+}
+
+/**
+ * Re-run a recorded request through the query pipeline, offline
+ * @param {Object} fixture - From loadFixture()
+ * @param {Function} answerQuery - The pipeline (answerQuery exported by api/query.js)
+ * @param {Object} options
+ * @param {Object|null} options.llm - Provider to use instead of the recorded LLM responses
+ * @returns {Promise<{response: Object, differences: Array, promptChanges: string[], problems: string[]}>}
+ *   differences compares the replayed response with the recorded one; problems lists fixture lookups
+ *   that failed (the pipeline asked for something the recording never did)
+ */
+export async function replayFixture(fixture, answerQuery, { llm = null } = {}) {
+  const report = { promptChanges: [], problems: [] };
+  const { method, url, body } = fixture.request;
+  const req = { method, url, body, headers: { host: 'replay.local', 'x-request-id': fixture.requestId } };
+  const res = captureRes();
+
+  await answerQuery(req, res, { userId: null, startedAt: Date.now() }, replayServices(fixture, report, llm));
+
+  const events = parseEvents(res.text);
+  const response = events.length
+    ? { status: res.statusCode, events }
+    : { status: res.statusCode, body: res.body !== undefined ? res.body : parseBody(res.text) };
+
+  return {
+    response,
+    differences: diffValues(comparable(fixture.response), comparable(response)),
+    promptChanges: [...new Set(report.promptChanges)],
+    problems: report.problems
+  };
+}
@@ -1,57 +1,317 @@
 // lib/guard.js
+// AST-based safety layer for planner-generated SQL.
+// Parses with the real Postgres grammar (libpg_query), validates the tree, then deparses it back.
 
-function ensureLimit(sql, maxLimit = 500) {
-  let hadLimit = false;
-  const clamped = sql.replace(/\blimit\s+(\d+)\b/ig, (_m, n) => {
-    hadLimit = true;
-    const v = Math.min(parseInt(n, 10) || maxLimit, maxLimit);
-    return `LIMIT ${v}`;
+import { parse, deparse } from 'pgsql-parser';
+
+// Functions that can stall, read the filesystem, reach other hosts or change session state
+const BLOCKED_FUNCTIONS = new Set([
+  'pg_sleep', 'pg_sleep_for', 'pg_sleep_until',
+  'pg_read_file', 'pg_read_binary_file', 'pg_ls_dir', 'pg_stat_file',
+  'set_config', 'current_setting',
+  'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf', 'pg_rotate_logfile',
+  'lo_import', 'lo_export'
+]);
+const BLOCKED_FUNCTION_PREFIXES = ['dblink', 'pg_read_', 'pg_ls_', 'pg_advisory_', 'lo_'];
+// query_to_xml, table_to_xml, cursor_to_xml, schema_to_xml, database_to_xml and their *xmlschema
+// variants take the relation, schema or query as a string, so the table allow-list never sees it
+const BLOCKED_FUNCTION_SUBSTRINGS = ['_to_xml'];
+
+// Node types that must never appear anywhere in the tree (FOR UPDATE / FOR SHARE arrive as
+// lockingClause: [{ LockingClause: ... }])
+const BLOCKED_NODES = new Set(['LockingClause']);
+
+/**
+ * Build an Error shaped like a pg error (code/detail) so callers can surface it the same way.
+ * `err.guard` carries the structured reason: { code, relation?, column?, allowedTables?, allowedColumns? }
+ */
+function guardError(code, message, fields = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.guard = { code, ...fields };
+
+  const detail = [];
+  if (fields.allowedTables) detail.push(`Allowed tables: ${fields.allowedTables.join(', ')}`);
+  for (const [table, cols] of Object.entries(fields.allowedColumns || {})) {
+    detail.push(`Allowed columns on ${table}: ${cols.join(', ')}`);
+  }
+  if (detail.length) err.detail = detail.join('\n');
+  return err;
+}
+
+export function isGuardError(err) {
+  return Boolean(err?.guard);
+}
+
+/**
+ * Render a guard rejection as feedback for the retry planner, including what IS allowed.
+ */
+export function formatGuardError(err) {
+  return [`[${err.code}] ${err.message}`, err.detail].filter(Boolean).join('\n');
+}
+
+const sortedCols = (colsByTable, table) => Array.from(colsByTable.get(table) || []).sort();
+
+// SELECT ... INTO is not a node of its own: it is a plain `intoClause` field on the select body, which
+// may be a CTE's query or an unwrapped larg/rarg of a set operation
+function hasIntoClause(value) {
+  if (Array.isArray(value)) return value.some(hasIntoClause);
+  if (!value || typeof value !== 'object') return false;
+  return Object.entries(value).some(([key, child]) => (key === 'intoClause' && child) || hasIntoClause(child));
+}
+
+// Visit every node in a libpg_query JSON tree. Nodes look like { TypeName: { ...fields } }.
+export function walk(value, visit) {
+  if (Array.isArray(value)) {
+    for (const item of value) walk(item, visit);
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+  for (const [key, child] of Object.entries(value)) {
+    if (/^[A-Z]/.test(key) && child && typeof child === 'object' && !Array.isArray(child)) {
+      visit(key, child);
+    }
+    walk(child, visit);
+  }
+}
+
+// The parser already folds unquoted identifiers to lower case, so names are compared exactly as
+// Postgres would: a quoted "Symbol" is not the column symbol
+const identName = (field) => field?.String?.sval;
+
+function isBlockedFunction(name) {
+  return BLOCKED_FUNCTIONS.has(name) ||
+    BLOCKED_FUNCTION_PREFIXES.some(p => name.startsWith(p)) ||
+    BLOCKED_FUNCTION_SUBSTRINGS.some(p => name.includes(p));
+}
+
+/**
+ * First pass: collect CTE names, relation aliases and output column names so column refs can be resolved.
+ */
+function collectScope(tree, allowedTables) {
+  const scope = {
+    ctes: new Set(),
+    relations: new Map(),   // alias or bare relname -> fq table name (null for CTEs / subqueries)
+    outputNames: new Set(), // select-list aliases, CTE column lists, derived-table column lists
+    referencedTables: new Set()
+  };
+
+  const addAlias = (alias, target) => {
+    if (!alias?.aliasname) return;
+    scope.relations.set(alias.aliasname, target);
+    for (const c of alias.colnames || []) {
+      const name = identName(c);
+      if (name) scope.outputNames.add(name);
+    }
+  };
+
+  walk(tree, (type, node) => {
+    switch (type) {
+      case 'CommonTableExpr':
+        scope.ctes.add(node.ctename);
+        for (const c of node.aliascolnames || []) {
+          const name = identName(c);
+          if (name) scope.outputNames.add(name);
+        }
+        break;
+      case 'RangeVar': {
+        const { relname } = node;
+        const fq = node.schemaname ? `${node.schemaname}.${relname}` : null;
+        const target = fq && allowedTables.has(fq) ? fq : null;
+        if (target) scope.referencedTables.add(target);
+        if (node.alias) addAlias(node.alias, target);
+        else scope.relations.set(relname, target);
+        break;
+      }
+      case 'RangeSubselect':
+      case 'RangeFunction':
+        addAlias(node.alias, null);
+        break;
+      case 'ResTarget':
+        if (node.name) scope.outputNames.add(node.name);
+        break;
+      default:
+        break;
+    }
   });
-  if (hadLimit) return clamped;
-  return `${sql.trim()}\nLIMIT ${maxLimit}`;
+
+  return scope;
+}
+
+function checkColumn(name, table, colsByTable) {
+  const cols = colsByTable.get(table);
+  if (cols && cols.size && !cols.has(name)) {
+    throw guardError('SQL_GUARD_UNKNOWN_COLUMN', `Column "${name}" does not exist on ${table}.`, {
+      relation: table,
+      column: name,
+      allowedColumns: { [table]: sortedCols(colsByTable, table) }
+    });
+  }
+}
+
+function checkColumnRef(node, scope, allowedTables, colsByTable) {
+  const fields = node.fields || [];
+  const names = fields.map(f => (f.A_Star ? '*' : identName(f)));
+  if (names.some(n => !n)) throw guardError('SQL_GUARD_UNSUPPORTED', 'Unsupported column reference.');
+
+  if (names.length === 1) {
+    const [name] = names;
+    if (name === '*') return;
+    for (const table of scope.referencedTables) {
+      if (colsByTable.get(table)?.has(name)) return;
+    }
+    // A bare table alias is a whole-row value (SELECT t, row_to_json(t), to_jsonb(t)) carrying every
+    // column of the table, allowed or not
+    const wholeRowTable = scope.relations.get(name);
+    if (wholeRowTable) {
+      throw guardError('SQL_GUARD_UNSUPPORTED', `Whole-row reference "${name}" is not allowed. List the columns instead.`, {
+        relation: wholeRowTable,
+        allowedColumns: { [wholeRowTable]: sortedCols(colsByTable, wholeRowTable) }
+      });
+    }
+    if (scope.outputNames.has(name) || scope.relations.has(name)) return;
+    const allowedColumns = {};
+    for (const t of scope.referencedTables) allowedColumns[t] = sortedCols(colsByTable, t);
+    throw guardError('SQL_GUARD_UNKNOWN_COLUMN', `Column "${name}" does not exist on any referenced table.`, {
+      column: name,
+      allowedColumns
+    });
+  }
+
+  let qualifier, name;
+  if (names.length === 2) {
+    [qualifier, name] = names;
+  } else if (names.length === 3) {
+    const table = `${names[0]}.${names[1]}`;
+    if (!allowedTables.has(table)) {
+      throw guardError('SQL_GUARD_UNKNOWN_RELATION', `Relation "${table}" is not allowed.`, {
+        relation: table,
+        allowedTables: Array.from(allowedTables).sort()
+      });
+    }
+    if (names[2] !== '*') checkColumn(names[2], table, colsByTable);
+    return;
+  } else {
+    throw guardError('SQL_GUARD_UNSUPPORTED', `Unsupported column reference "${names.join('.')}".`);
+  }
+
+  if (!scope.relations.has(qualifier)) {
+    throw guardError('SQL_GUARD_UNKNOWN_RELATION', `Missing FROM-clause entry for "${qualifier}".`, {
+      relation: qualifier
+    });
+  }
+  const table = scope.relations.get(qualifier);
+  if (name === '*') return;
+  if (table) {
+    checkColumn(name, table, colsByTable);
+  } else if (!scope.outputNames.has(name) &&
+             !Array.from(scope.referencedTables).some(t => colsByTable.get(t)?.has(name))) {
+    // CTE / subquery columns: accept anything a referenced table or select list could have produced
+    throw guardError('SQL_GUARD_UNKNOWN_COLUMN', `Column "${qualifier}.${name}" does not exist.`, {
+      relation: qualifier,
+      column: name
+    });
+  }
+}
+
+function clampLimit(select, maxLimit) {
+  const ival = select.limitCount?.A_Const?.ival;
+  // libpg_query omits zero values, so { ival: {} } means LIMIT 0
+  const current = ival ? (ival.ival ?? 0) : null;
+  if (Number.isInteger(current) && current <= maxLimit) return;
+  select.limitCount = { A_Const: { ival: { ival: maxLimit } } };
+  select.limitOption = 'LIMIT_OPTION_COUNT';
 }
 
 /**
- * Guard a query but DO NOT restrict which tables can be used.
- * - Single statement only (SELECT / WITH … SELECT)
- * - No comments
- * - No DDL/DML / admin keywords
- * - Clamp LIMIT
+ * Validate and normalise a planner-generated query.
+ * - Exactly one statement, which must be a read-only SELECT (or WITH … SELECT)
+ * - No SELECT INTO, FOR UPDATE/SHARE, or data-modifying CTEs
+ * - Only relations in allowedTables (plus CTEs) and only their known columns
+ * - No dangerous functions (pg_sleep, pg_read_file, dblink, set_config, …)
+ * - Top-level LIMIT clamped to maxLimit on the AST
+ *
+ * Throws an Error with `code` (SQL_GUARD_*), a structured `guard` object and optional `detail` on rejection.
  *
  * @param {string} sql
- * @param {Set<string>} _ignoredAllowedTables  (ignored)
- * @param {Map<string, Set<string>>} _ignoredColsByTable (ignored)
+ * @param {Set<string>} allowedTables  fully-qualified table names (schema.table)
+ * @param {Map<string, Set<string>>} colsByTable  column names per table, as stored (unquoted ones are lower case)
  * @param {number} maxLimit
- * @returns {string} safe SQL
+ * @returns {Promise<string>} safe SQL
  */
-export function guardSql(sql, _ignoredAllowedTables = new Set(), _ignoredColsByTable = new Map(), maxLimit = 500) {
-  let s = String(sql || '').trim();
-  if (!s) throw new Error('Empty SQL.');
+export async function guardSql(sql, allowedTables = new Set(), colsByTable = new Map(), maxLimit = 500) {
+  const s = String(sql || '').trim();
+  if (!s) throw guardError('SQL_GUARD_EMPTY', 'Empty SQL.');
 
-  // Only one statement (semicolon only allowed at very end)
-  if (s.includes(';')) {
-    if (!/;\s*$/.test(s)) throw new Error('Multiple SQL statements are not allowed.');
-    s = s.replace(/;+\s*$/g, '').trim();
+  let tree;
+  try {
+    tree = await parse(s);
+  } catch (e) {
+    const err = guardError('SQL_GUARD_PARSE', `SQL parse error: ${e.message}`);
+    if (e.cursorPosition != null) err.position = String(e.cursorPosition + 1);
+    throw err;
   }
 
-  // Only SELECT / WITH
-  const sUpper = s.toUpperCase();
-  if (!sUpper.startsWith('SELECT') && !sUpper.startsWith('WITH')) {
-    throw new Error('Only SELECT (or WITH ... SELECT) statements are allowed.');
+  const stmts = tree.stmts || [];
+  if (stmts.length !== 1) {
+    throw guardError('SQL_GUARD_MULTIPLE_STATEMENTS', 'Exactly one SQL statement is allowed.');
   }
-
-  // Block destructive/admin keywords
-  if (/\b(UPDATE|INSERT|DELETE|DROP|ALTER|TRUNCATE|CREATE|GRANT|REVOKE|COPY|VACUUM|ANALYZE)\b/i.test(s)) {
-    throw new Error('Destructive/DDL SQL keywords are not allowed.');
+  const select = stmts[0].stmt?.SelectStmt;
+  if (!select) {
+    throw guardError('SQL_GUARD_NOT_SELECT', 'Only SELECT (or WITH ... SELECT) statements are allowed.');
   }
 
-  // No comments
-  if (/(--|\/\*)/.test(s)) {
-    throw new Error('SQL comments are not allowed.');
+  if (hasIntoClause(tree)) {
+    throw guardError('SQL_GUARD_NOT_READ_ONLY', 'SELECT INTO and row locking clauses are not allowed.');
   }
+  walk(tree, (type, node) => {
+    if (type.endsWith('Stmt') && type !== 'SelectStmt') {
+      throw guardError('SQL_GUARD_NOT_SELECT', `${type.replace(/Stmt$/, '')} statements are not allowed.`);
+    }
+    if (BLOCKED_NODES.has(type)) {
+      throw guardError('SQL_GUARD_NOT_READ_ONLY', 'SELECT INTO and row locking clauses are not allowed.');
+    }
+    if (type === 'FuncCall') {
+      for (const part of node.funcname || []) {
+        const name = identName(part)?.toLowerCase();
+        if (name && isBlockedFunction(name)) {
+          throw guardError('SQL_GUARD_BLOCKED_FUNCTION', `Function "${name}" is not allowed.`);
+        }
+      }
+    }
+  });
+
+  const scope = collectScope(tree, allowedTables);
 
-  // Enforce/clamp LIMIT
-  s = ensureLimit(s, maxLimit);
+  walk(tree, (type, node) => {
+    if (type === 'RangeVar') {
+      const { relname } = node;
+      if (node.catalogname) {
+        throw guardError('SQL_GUARD_UNKNOWN_RELATION', `Cross-database reference "${node.catalogname}" is not allowed.`, {
+          relation: `${node.catalogname}.${node.schemaname}.${relname}`
+        });
+      }
+      if (!node.schemaname) {
+        if (scope.ctes.has(relname)) return;
+        throw guardError(
+          'SQL_GUARD_UNKNOWN_RELATION',
+          `Relation "${relname}" is not allowed. Use a schema-qualified table name.`,
+          { relation: relname, allowedTables: Array.from(allowedTables).sort() }
+        );
+      }
+      const fq = `${node.schemaname}.${relname}`;
+      if (!allowedTables.has(fq)) {
+        throw guardError('SQL_GUARD_UNKNOWN_RELATION', `Relation "${fq}" is not allowed.`, {
+          relation: fq,
+          allowedTables: Array.from(allowedTables).sort()
+        });
+      }
+    } else if (type === 'ColumnRef') {
+      checkColumnRef(node, scope, allowedTables, colsByTable);
+    }
+  });
+
+  clampLimit(select, maxLimit);
 
-  return s;
-}
\ No newline at end of file
+  return deparse(tree);
+}
@@ -0,0 +1,105 @@
+// lib/http.js - Shared request/response helpers for the Vercel handlers in api/
+
+/**
+ * Set CORS headers and answer preflight requests
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} methods - Allowed methods, e.g. "POST, GET, OPTIONS"
+ * @returns {boolean} - true if the request was an OPTIONS preflight and has been answered
+ */
+export function applyCors(req, res, methods = 'POST, GET, OPTIONS') {
+  const origin = req.headers.origin;
+  res.setHeader('Access-Control-Allow-Origin', origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Quota-Limit, X-Quota-Remaining, X-Quota-Reset, Retry-After, X-Request-Id');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return true;
+  }
+  return false;
+}
+
+// Read JSON safely whether req.body exists or not
+export async function readJson(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  const raw = Buffer.concat(chunks).toString("utf8") || "{}";
+  try {
+    return JSON.parse(raw);
+  } catch {
+    // Non-JSON caller (e.g., GET or webhook without body)
+    return {};
+  }
+}
+
+/**
+ * Read a dynamic route segment (e.g. [conversationId]) from req.query, falling back to the URL path
+ * Vercel fills req.query from the file name; the local server passes route params the same way.
+ * @param {Object} req
+ * @param {string} name - Param name
+ * @param {RegExp} pattern - Path pattern with one capture group, used when req.query lacks the param
+ * @returns {string|null}
+ */
+export function routeParam(req, name, pattern) {
+  const fromQuery = req.query?.[name];
+  if (fromQuery) return Array.isArray(fromQuery) ? fromQuery[0] : fromQuery;
+  const { pathname } = new URL(req.url, `https://${req.headers.host || 'localhost'}`);
+  const match = pathname.match(pattern);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Map ConversationStore error codes to HTTP responses
+ * @returns {boolean} - true if the error was handled
+ */
+export function sendStoreError(res, err) {
+  if (err?.code === 'INVALID_INPUT') {
+    res.status(400).json({ error: err.message });
+    return true;
+  }
+  if (err?.code === 'CONVERSATION_NOT_FOUND') {
+    res.status(404).json({ error: 'Conversation not found.' });
+    return true;
+  }
+  if (err?.code === 'MESSAGE_NOT_FOUND') {
+    res.status(404).json({ error: 'Message not found.' });
+    return true;
+  }
+  if (err?.code === 'BRANCH_NOT_FOUND') {
+    res.status(404).json({ error: 'Branch not found.' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Reject methods a handler doesn't implement
+ * @returns {boolean} - true if the request was rejected
+ */
+export function rejectMethod(req, res, allowed) {
+  if (allowed.includes(req.method)) return false;
+  res.setHeader("Allow", allowed.join(", "));
+  res.status(405).json({ error: "Method Not Allowed" });
+  return true;
+}
+
+/**
+ * Query-string parameters (works with Vercel's req.query and plain URLs)
+ */
+export function queryParams(req) {
+  return new URL(req.url, `https://${req.headers.host || 'localhost'}`).searchParams;
+}
+
+/**
+ * Parse a page size from the query string
+ * @returns {number|null} - The limit, or null if it is not a whole number in range
+ */
+export function parseLimit(value, defaultLimit, max = 200) {
+  if (value == null || value === '') return defaultLimit;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= max ? n : null;
+}
@@ -4,6 +4,8 @@
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import { countTokens, countMessageTokens } from "./tokens.js";
+import { promptCapacity, recordStage, fitRowsToBudget } from "./context-budget.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -176,7 +178,7 @@ export function detectQueryIntent(question) {
 }
 
 
-export async function handleGeneralKnowledgeQuestion(openai, question) {
+export async function handleGeneralKnowledgeQuestion(llm, question) {
   const systemPrompt = `You are a cryptocurrency and DeFi expert. Provide clear, educational answers about:
 • Blockchain technology and concepts
 • Cryptocurrencies (Bitcoin, Ethereum, etc.)
@@ -191,17 +193,17 @@ Guidelines:
 • Focus on education, not financial advice`;
 
   try {
-    const resp = await openai.chat.completions.create({
-      model: "gpt-4.1",
+    const resp = await llm.chat({
+      stage: "general",
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: question },
       ],
     });
 
-    return resp.choices?.[0]?.message?.content || "I'm sorry, I couldn't generate a response to that question.";
+    return resp.content || "I'm sorry, I couldn't generate a response to that question.";
   } catch (error) {
-    console.error('OpenAI API Error in handleGeneralKnowledgeQuestion:', {
+    console.error('LLM API Error in handleGeneralKnowledgeQuestion:', {
       status: error.status,
       code: error.code,
       type: error.type,
@@ -213,6 +215,177 @@ Guidelines:
   }
 }
 
+/* --------------------------- Follow-up Rewriting --------------------------- */
+// Elliptical follow-ups ("and for USDT?", "same but last month") carry none of the routing keywords,
+// so they are rewritten into standalone questions before scope detection, intent and schema filtering.
+export async function rewriteFollowUpQuestion(llm, question, history = '') {
+  if (!history) return question;
+
+  const model = llm.modelFor("rewrite");
+  const systemPrompt = `You rewrite follow-up questions from a DeFi data chat into standalone questions.
+Return STRICT JSON: {"question":"..."}
+
+Rules:
+• Use the conversation to fill in everything the follow-up leaves implicit: tokens, pairs, protocols, chains, metrics, time ranges, sorting
+• Keep the user's intent and wording where possible - do not answer the question
+• If the question is already standalone, return it unchanged
+• One question, no explanations`;
+
+  try {
+    const resp = await llm.chat({
+      stage: "rewrite",
+      json: true,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `Conversation so far (oldest first):\n${history}\n\nFollow-up question: ${question}` },
+      ],
+    });
+    const text = resp.content || "{}";
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      const m = text.match(/\{[\s\S]*\}/);
+      parsed = m ? JSON.parse(m[0]) : {};
+    }
+
+    const rewritten = String(parsed?.question || "").trim();
+    return rewritten || question;
+  } catch (error) {
+    console.error('LLM API Error in rewriteFollowUpQuestion:', {
+      status: error.status,
+      code: error.code,
+      type: error.type,
+      message: error.message,
+      request_id: error.request_id,
+      model: model,
+      question_length: question.length
+    });
+    // Fall back to the original wording rather than failing the request
+    return question;
+  }
+}
+
+/* --------------------------- Conversation Summaries --------------------------- */
+// Older turns of long conversations are folded into a running summary (stored in conversation metadata)
+// so the planner keeps the thread without replaying every message.
+const emptyEntities = () => ({ tokens: [], protocols: [], chains: [] });
+
+export async function summarizeConversationTurns(llm, previousSummary, turnsText) {
+  const model = llm.modelFor("summary");
+  const systemPrompt = `You maintain a running summary of a DeFi data chat (lending markets, liquidity pools, token prices).
+Return STRICT JSON: {"summary":"...","entities":{"tokens":[],"protocols":[],"chains":[]}}
+
+Rules:
+• Merge the previous summary with the new turns into ONE summary of at most 150 words
+• Keep what later questions may refer back to: tokens, pairs, protocols, chains, metrics, time ranges, filters, notable figures
+• List every token symbol, protocol and chain the user has asked about in "entities" (previous ones included)
+• Describe what was asked and found - do not add advice or new analysis`;
+
+  const previous = previousSummary?.text
+    ? `Previous summary:\n${previousSummary.text}\n\n`
+    : "";
+
+  try {
+    const resp = await llm.chat({
+      stage: "summary",
+      json: true,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `${previous}New turns (oldest first):\n${turnsText}` },
+      ],
+    });
+    const text = resp.content || "{}";
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      const m = text.match(/\{[\s\S]*\}/);
+      parsed = m ? JSON.parse(m[0]) : {};
+    }
+
+    const summary = String(parsed?.summary || "").trim();
+    if (!summary) return null;
+
+    // Entities accumulate: anything named in earlier summaries stays listed
+    const entities = emptyEntities();
+    for (const key of Object.keys(entities)) {
+      const seen = new Map();
+      for (const value of [...(previousSummary?.entities?.[key] || []), ...(parsed?.entities?.[key] || [])]) {
+        const name = String(value || "").trim();
+        if (name && !seen.has(name.toLowerCase())) seen.set(name.toLowerCase(), name);
+      }
+      entities[key] = Array.from(seen.values());
+    }
+
+    return { text: summary, entities };
+  } catch (error) {
+    console.error('LLM API Error in summarizeConversationTurns:', {
+      status: error.status,
+      code: error.code,
+      type: error.type,
+      message: error.message,
+      request_id: error.request_id,
+      model: model,
+      turns_length: turnsText.length
+    });
+    // Keep the previous summary; the next turn will try again
+    return null;
+  }
+}
+
+/* --------------------------- Conversation Titles --------------------------- */
+export async function generateConversationTitle(llm, turnsText) {
+  const model = llm.modelFor("title");
+  const systemPrompt = `You name DeFi data chats for a sidebar list.
+Return STRICT JSON: {"title":"..."}
+
+Rules:
+• 3-7 words, at most 60 characters, Title Case not required
+• Name the subject: tokens, protocols, chains and metrics asked about (e.g. "USDC lending rates on Base", "ETH/USDC pool APYs on Uniswap")
+• No quotes, emojis or trailing punctuation; do not start with "Chat about" or "Question about"`;
+
+  try {
+    const resp = await llm.chat({
+      stage: "title",
+      json: true,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `Conversation (oldest first):\n${turnsText}` },
+      ],
+    });
+    const text = resp.content || "{}";
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      const m = text.match(/\{[\s\S]*\}/);
+      parsed = m ? JSON.parse(m[0]) : {};
+    }
+
+    const title = String(parsed?.title || "")
+      .replace(/\s+/g, " ")
+      .replace(/^["'\s]+|["'.\s]+$/g, "")
+      .slice(0, 60)
+      .trim();
+    return title || null;
+  } catch (error) {
+    console.error('LLM API Error in generateConversationTitle:', {
+      status: error.status,
+      code: error.code,
+      type: error.type,
+      message: error.message,
+      request_id: error.request_id,
+      model: model,
+      turns_length: turnsText.length
+    });
+    return null;
+  }
+}
+
 /* --------------------------- Smart Schema Filtering --------------------------- */
 function extractKeywords(question) {
   const q = question.toLowerCase();
@@ -753,7 +926,7 @@ ${doc}`,
   ];
 }
 
-export async function buildRetryPrompt(question, previousSql, errMsg, doc = null, retryStrategy = '', retryCount = 1) {
+export async function buildRetryPrompt(question, previousSql, errMsg, doc = null, retryStrategy = '', retryCount = 1, history = '') {
   if (!doc) doc = await buildSchemaDoc();
   return [
     {
@@ -826,12 +999,14 @@ CORE RULES:
 Whitelisted schema:
 ${doc}`,
     },
-    { role: "user", content: `Original question:\n${question}` },
+    { role: "user", content: history
+      ? `Conversation so far (oldest first):\n${history}\n\nOriginal question (a follow-up to the turns above):\n${question}`
+      : `Original question:\n${question}` },
     { role: "assistant", content: `Previous SQL:\n${previousSql}\n\nError:\n${errMsg}` },
   ];
 }
 
-export async function buildPlannerMessages(question, doc = null) {
+export async function buildPlannerMessages(question, doc = null, history = '') {
   if (!doc) doc = await buildFilteredSchemaDoc(question);
   return [
     {
@@ -991,25 +1166,30 @@ Trends: SELECT symbol, ts, apy, LAG(apy) OVER (ORDER BY ts) as prev FROM update.
 Whitelisted schema:
 ${doc}`,
     },
-    { role: "user", content: `Question: ${question}\nReturn ONLY the JSON plan as specified.` },
+    { role: "user", content: history ? `Conversation so far (oldest first):
+${history}
+
+Follow-up question: ${question}
+The follow-up may depend on the turns above ("what about on Base?", "now sort by TVL", "and for USDT?").
+Resolve it against them - usually by adapting the most recent SQL (keep its filters, change only what the follow-up asks) - and write ONE complete standalone query.
+Return ONLY the JSON plan as specified.` : `Question: ${question}\nReturn ONLY the JSON plan as specified.` },
   ];
 }
 
 /* ------------------------------ LLM calls ------------------------------ */
-export async function planQuery(openai, question, doc = null, intent = 'standard_query') {
+export async function planQuery(llm, question, doc = null, intent = 'standard_query', history = '') {
   if (!doc) doc = await buildFilteredSchemaDoc(question);
   
-  // Using GPT-5 Mini for improved accuracy
-  const model = "gpt-4.1";
+  const model = llm.modelFor("planner");
     
   let resp, text, plan;
   try {
-    resp = await openai.chat.completions.create({
-      model,
-      response_format: { type: "json_object" },
-      messages: await buildPlannerMessages(question, doc),
+    resp = await llm.chat({
+      stage: "planner",
+      json: true,
+      messages: await buildPlannerMessages(question, doc, history),
     });
-    text = resp.choices?.[0]?.message?.content || "{}";
+    text = resp.content || "{}";
     
   try {
     plan = JSON.parse(text);
@@ -1019,7 +1199,7 @@ export async function planQuery(openai, question, doc = null, intent = 'standard
       else plan = {};
     }
   } catch (error) {
-    console.error('OpenAI API Error in planQuery:', {
+    console.error('LLM API Error in planQuery:', {
       status: error.status,
       code: error.code,
       type: error.type,
@@ -1050,13 +1230,14 @@ export async function planQuery(openai, question, doc = null, intent = 'standard
   return plan;
 }
 
-export async function retryPlan(openai, question, previousSql, errMsg, doc = null, intent = 'standard_query', retryCount = 1) {
+export async function retryPlan(llm, question, previousSql, errMsg, doc = null, intent = 'standard_query', retryCount = 1, history = '') {
   if (!doc) doc = await buildSchemaDoc(); // Use full schema for retries to be safe
   
-  const model = "gpt-4.1";
+  const model = llm.modelFor("retry");
   
   // 🧠 SMART ERROR ANALYSIS - Learn from the specific failure
   const errorPatterns = {
+    guard: /\[SQL_GUARD_/,
     timestamp: /timestamp|bigint|interval|cannot be matched|operator does not exist.*timestamp/i,
     union_forbidden: /syntax error at or near "UNION"|UNION.*timestamp|timestamp.*UNION/i,
     schema: /column.*does not exist|relation.*does not exist|table.*does not exist/i,
@@ -1119,6 +1300,14 @@ export async function retryPlan(openai, question, previousSql, errMsg, doc = nul
 • Pattern: SELECT symbol, AVG(apy) as mean, STDDEV(apy) as vol FROM update.cl_pool_hist GROUP BY symbol
 • No schema mixing, use window functions within single schema`;
         break;
+      case 'guard':
+        retryStrategy = `SQL GUARD REJECTION FIX:
+• The query was rejected BEFORE execution by the safety validator
+• Use ONLY the tables and columns listed as allowed in the error message
+• Always schema-qualify tables (update.table_name / clean.table_name)
+• Single read-only SELECT (or WITH ... SELECT) - no other functions like pg_sleep/set_config
+• Keep same query structure otherwise`;
+        break;
       case 'schema':
         retryStrategy = `SCHEMA ERROR FIX:
 • Check column names in schema document
@@ -1147,12 +1336,12 @@ export async function retryPlan(openai, question, previousSql, errMsg, doc = nul
     
   let resp, text, plan;
   try {
-    resp = await openai.chat.completions.create({
-      model,
-      response_format: { type: "json_object" },
-      messages: await buildRetryPrompt(question, previousSql, errMsg, doc, retryStrategy, retryCount),
+    resp = await llm.chat({
+      stage: "retry",
+      json: true,
+      messages: await buildRetryPrompt(question, previousSql, errMsg, doc, retryStrategy, retryCount, history),
     });
-    text = resp.choices?.[0]?.message?.content || "{}";
+    text = resp.content || "{}";
     
   try {
     plan = JSON.parse(text);
@@ -1162,7 +1351,7 @@ export async function retryPlan(openai, question, previousSql, errMsg, doc = nul
       else plan = {};
     }
   } catch (error) {
-    console.error('OpenAI API Error in retryPlan:', {
+    console.error('LLM API Error in retryPlan:', {
       status: error.status,
       code: error.code,
       type: error.type,
@@ -1266,7 +1455,7 @@ function computeDataDiversity(rows) {
   };
 }
 
-export async function generateAnswerFromResults(openai, question, rows, presentationHint, intent = 'standard_query', retryCount = 0, stream = false) {
+export async function generateAnswerFromResults(llm, question, rows, presentationHint, intent = 'standard_query', retryCount = 0, stream = false, tokenBudget = null) {
   // 🔍 SMART EMPTY RESULTS HANDLING
   if (!rows || rows.length === 0) {
     const q = question.toLowerCase();
@@ -1288,7 +1477,7 @@ export async function generateAnswerFromResults(openai, question, rows, presenta
   }
 
   const dataDate = extractDataDate(rows);
-  const model = "gpt-4.1";
+  const model = llm.modelFor("answer");
 
   // Standard prompt for most queries
   let systemPrompt = `You are a helpful DeFi analytics assistant. Write a clear, actionable answer using ONLY the data provided.
@@ -1492,27 +1681,45 @@ Key Takeaway (EXAMPLE STRUCTURE - USE YOUR ACTUAL DATA)
   // Limit data sent to LLM to reduce prompt size and improve speed
   // Send top 30 rows (enough for comprehensive analysis, but keeps prompt manageable)
   // We still query 100 rows from DB for diversity, but only send subset to LLM
-  const rowsForLLM = rows.slice(0, 30);
+  const buildUserContent = (subset) =>
+    `Question: ${stripInvisibles(question)}\n\nQuery Results (JSON): ${JSON.stringify(subset)}${timestampInfo}${diversityInfo}`;
+  let rowsForLLM = rows.slice(0, 30);
+
+  // With a token budget, send only as many rows as fit next to the system prompt
+  if (tokenBudget) {
+    const fixedMessages = [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: buildUserContent([]) },
+    ];
+    const fixedTokens = countMessageTokens(fixedMessages, tokenBudget.model);
+    rowsForLLM = fitRowsToBudget(rows, 30, promptCapacity(tokenBudget) - fixedTokens, tokenBudget.model);
+    const rowTokens = countTokens(JSON.stringify(rowsForLLM), tokenBudget.model) - countTokens("[]", tokenBudget.model);
+    recordStage(tokenBudget, "answer", {
+      system: countTokens(systemPrompt, tokenBudget.model),
+      question_and_notes: fixedTokens - countTokens(systemPrompt, tokenBudget.model),
+      rows: rowTokens,
+    }, { rows_sent: rowsForLLM.length, rows_total: rows.length });
+  }
   
   try {
-    const resp = await openai.chat.completions.create({
-      model,
+    const resp = await llm.chat({
+      stage: "answer",
       messages: [
         { role: "system", content: systemPrompt },
-        { role: "user", content: `Question: ${stripInvisibles(question)}\n\nQuery Results (JSON): ${JSON.stringify(rowsForLLM)}${timestampInfo}${diversityInfo}` },
+        { role: "user", content: buildUserContent(rowsForLLM) },
       ],
       stream,
     });
 
-    // If streaming, return the stream directly
+    // If streaming, return the chunk iterator directly
     if (stream) {
       return resp;
     }
 
-    const raw = resp.choices?.[0]?.message?.content || "";
+    const raw = resp.content || "";
     return finalizeAnswer(raw);
   } catch (error) {
-    console.error('OpenAI API Error in generateAnswerFromResults:', {
+    console.error('LLM API Error in generateAnswerFromResults:', {
       status: error.status,
       code: error.code,
       type: error.type,
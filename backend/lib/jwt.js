@@ -0,0 +1,183 @@
+// lib/jwt.js - Local verification of Supabase session JWTs
+//
+// Tokens are checked in-process instead of calling supabase.auth.getUser() on every request:
+// - HS256 with the project's JWT secret (SUPABASE_JWT_SECRET)
+// - RS256 / ES256 with the project's signing keys from <SUPABASE_URL>/auth/v1/.well-known/jwks.json
+// Expiry, not-before, audience (SUPABASE_JWT_AUDIENCE, default "authenticated") and issuer are checked.
+// Verified claims are cached for AUTH_CACHE_TTL_MS (never past the token's own expiry).
+
+import { createHash, createHmac, createPublicKey, timingSafeEqual, verify } from 'crypto';
+
+const AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || 'authenticated';
+const CACHE_TTL_MS = Number(process.env.AUTH_CACHE_TTL_MS || 60000);
+const CACHE_MAX_ENTRIES = 1000;
+const CLOCK_SKEW_SECONDS = 30;
+
+// Signing keys are refetched after this long, or sooner when a token names an unknown kid
+const JWKS_TTL_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+const JWKS_TIMEOUT_MS = 3000;
+
+function jwtError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const supabaseUrl = () => (process.env.SUPABASE_URL || '').replace(/\/+$/, '');
+
+/**
+ * Whether tokens can be verified here at all (a secret for HS256, or a project URL for its JWKS)
+ */
+export const canVerifyLocally = () => Boolean(process.env.SUPABASE_JWT_SECRET || supabaseUrl());
+
+// ========================================
+// SIGNING KEYS
+// ========================================
+
+let jwks = { keys: new Map(), fetchedAt: 0 };
+let jwksRequest = null;
+
+async function fetchJwks() {
+  const response = await fetch(`${supabaseUrl()}/auth/v1/.well-known/jwks.json`, {
+    signal: AbortSignal.timeout(JWKS_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`JWKS request failed with HTTP ${response.status}`);
+  const { keys = [] } = await response.json();
+
+  const byKid = new Map();
+  for (const jwk of keys) {
+    try {
+      byKid.set(jwk.kid, createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch (error) {
+      console.error(`⚠️  Skipping unusable signing key ${jwk.kid}:`, error.message);
+    }
+  }
+  jwks = { keys: byKid, fetchedAt: Date.now() };
+  console.log(`🔑 Loaded ${byKid.size} Supabase signing key(s)`);
+}
+
+async function getSigningKey(kid) {
+  const age = Date.now() - jwks.fetchedAt;
+  const stale = age > JWKS_TTL_MS;
+  const unknownKid = !jwks.keys.has(kid) && age > JWKS_MIN_REFRESH_MS;
+  if (stale || unknownKid) {
+    // One fetch at a time, shared by concurrent requests
+    jwksRequest ??= fetchJwks().finally(() => { jwksRequest = null; });
+    try {
+      await jwksRequest;
+    } catch (error) {
+      // Keep serving the keys we have; only fail when there are none
+      if (!jwks.keys.size) throw jwtError('AUTH_UNAVAILABLE', `Could not load signing keys: ${error.message}`);
+      console.error('⚠️  JWKS refresh failed, using cached keys:', error.message);
+    }
+  }
+  const key = jwks.keys.get(kid);
+  if (!key) throw jwtError('INVALID_TOKEN', 'Token signed with an unknown key');
+  return key;
+}
+
+// ========================================
+// VERIFICATION
+// ========================================
+
+function decodePart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    throw jwtError('INVALID_TOKEN', 'Malformed token');
+  }
+}
+
+async function checkSignature(header, signingInput, signature) {
+  if (header.alg === 'HS256') {
+    const secret = process.env.SUPABASE_JWT_SECRET;
+    if (!secret) throw jwtError('UNVERIFIABLE', 'HS256 token but SUPABASE_JWT_SECRET is not set');
+    const expected = createHmac('sha256', secret).update(signingInput).digest();
+    return expected.length === signature.length && timingSafeEqual(expected, signature);
+  }
+  if (header.alg === 'RS256' || header.alg === 'ES256') {
+    if (!supabaseUrl()) throw jwtError('INVALID_TOKEN', `${header.alg} token but SUPABASE_URL is not set`);
+    const key = await getSigningKey(header.kid);
+    return verify('sha256', Buffer.from(signingInput), header.alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key, signature);
+  }
+  throw jwtError('INVALID_TOKEN', `Unsupported token algorithm: ${header.alg}`);
+}
+
+function checkClaims(claims) {
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS <= now) {
+    throw jwtError('INVALID_TOKEN', 'Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw jwtError('INVALID_TOKEN', 'Token not valid yet');
+  }
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(AUDIENCE)) {
+    throw jwtError('INVALID_TOKEN', `Token audience is not "${AUDIENCE}"`);
+  }
+  if (supabaseUrl() && claims.iss !== `${supabaseUrl()}/auth/v1`) {
+    throw jwtError('INVALID_TOKEN', 'Token issued by another project');
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw jwtError('INVALID_TOKEN', 'Token has no subject');
+  }
+}
+
+// ========================================
+// CACHE
+// ========================================
+
+// token hash → { claims, expiresAt }; insertion order doubles as eviction order
+const verified = new Map();
+
+const cacheKey = (token) => createHash('sha256').update(token).digest('hex');
+
+function cacheClaims(token, claims) {
+  if (verified.size >= CACHE_MAX_ENTRIES) {
+    verified.delete(verified.keys().next().value);
+  }
+  verified.set(cacheKey(token), {
+    claims,
+    expiresAt: Math.min(Date.now() + CACHE_TTL_MS, claims.exp * 1000)
+  });
+}
+
+function cachedClaims(token) {
+  const key = cacheKey(token);
+  const entry = verified.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    verified.delete(key);
+    return null;
+  }
+  return entry.claims;
+}
+
+/**
+ * Verify a Supabase session JWT and return its claims
+ * @param {string} token - The bearer token
+ * @returns {Promise<Object>} - Verified claims (sub, role, exp, app_metadata, ...)
+ * @throws {Error} - code INVALID_TOKEN (reject with 401), AUTH_UNAVAILABLE (signing keys can't be loaded)
+ *   or UNVERIFIABLE (an HS256 token and no SUPABASE_JWT_SECRET to check it with)
+ */
+export async function verifySupabaseJwt(token) {
+  const cached = cachedClaims(token);
+  if (cached) return cached;
+
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw jwtError('INVALID_TOKEN', 'Malformed token');
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  const header = decodePart(encodedHeader);
+  const claims = decodePart(encodedPayload);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  if (!(await checkSignature(header, `${encodedHeader}.${encodedPayload}`, signature))) {
+    throw jwtError('INVALID_TOKEN', 'Bad token signature');
+  }
+  checkClaims(claims);
+
+  cacheClaims(token, claims);
+  return claims;
+}
@@ -0,0 +1,103 @@
+// lib/llm-mock.js - Scripted LLM provider for offline runs and tests
+//
+// Same interface as the providers in lib/llm.js, with no network. Each call is answered by the first
+// matching rule of the script, else by a canned default for its stage:
+//
+//   {
+//     "responses": [
+//       { "stage": "planner", "match": "usdc", "json": { "sql": "SELECT ... LIMIT 100" } },
+//       { "stage": "answer", "content": "USDC supply APY is highest on Aave (4.2%).", "once": true }
+//     ]
+//   }
+//
+// "match" is a case-insensitive substring of the last user message; rules without "stage" or "match"
+// match any call. "once" rules are used up by their first match. Every call is kept in provider.calls.
+
+import { countMessageTokens, countTokens } from "./tokens.js";
+import { textStream } from "./llm.js";
+
+// Valid against the registry and the SQL guard, so the whole pipeline runs on the defaults
+const DEFAULT_SQL = `SELECT DISTINCT ON (symbol) symbol, price_usd, price_timestamp
+FROM update.token_price_daily
+WHERE price_timestamp >= NOW() - INTERVAL '1 day'
+ORDER BY symbol, price_timestamp DESC
+LIMIT 100`;
+
+const lastUserMessage = (messages) =>
+  [...messages].reverse().find(m => m.role === "user")?.content || "";
+
+const DEFAULTS = {
+  planner: () => ({ json: { sql: DEFAULT_SQL } }),
+  retry: () => ({ json: { sql: DEFAULT_SQL } }),
+  answer: () => ({ content: "Mock answer based on the query results." }),
+  general: () => ({ content: "Mock general-knowledge answer." }),
+  // Echo the follow-up unchanged
+  rewrite: (messages) => {
+    const match = lastUserMessage(messages).match(/Follow-up question: ([^\n]*)/);
+    return { json: { question: match ? match[1] : "" } };
+  },
+  summary: () => ({
+    json: { summary: "Mock summary of the earlier turns.", entities: { tokens: [], protocols: [], chains: [] } }
+  }),
+  title: () => ({ json: { title: "Mock conversation" } }),
+};
+
+export class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.responses - Script rules (see the top of this file)
+   * @param {Object} options.models - Model name per stage, reported in responses (default "mock")
+   */
+  constructor({ responses = [], models = {} } = {}) {
+    this.name = "mock";
+    this.models = models;
+    this.rules = responses.map(rule => ({ ...rule, used: false }));
+    this.calls = [];
+  }
+
+  modelFor(stage) {
+    return this.models[stage] || "mock";
+  }
+
+  respond(stage, messages) {
+    const text = lastUserMessage(messages).toLowerCase();
+    const rule = this.rules.find(r =>
+      !(r.once && r.used) &&
+      (!r.stage || r.stage === stage) &&
+      (!r.match || text.includes(String(r.match).toLowerCase()))
+    );
+    if (rule) {
+      rule.used = true;
+      return rule;
+    }
+    const fallback = DEFAULTS[stage];
+    if (!fallback) throw new Error(`Mock provider has no response for stage "${stage}"`);
+    return fallback(messages);
+  }
+
+  async chat({ stage, messages, json = false, stream = false }) {
+    const model = this.modelFor(stage);
+    this.calls.push({ stage, model, messages, json, stream });
+
+    const response = this.respond(stage, messages);
+    const content = response.json !== undefined ? JSON.stringify(response.json) : String(response.content ?? "");
+
+    const usage = countUsage(messages, content, model);
+    if (stream) return wordChunks(content, model, usage);
+    return { content, model, usage };
+  }
+}
+
+function countUsage(messages, content, model) {
+  const promptTokens = countMessageTokens(messages, model);
+  const completionTokens = countTokens(content, model);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+// Usage arrives with the end of the stream, as it does from OpenAI
+function wordChunks(content, model, usage) {
+  return textStream(model, async function* (stream) {
+    for (const chunk of content.match(/\S+\s*|\s+/g) || []) yield chunk;
+    stream.usage = usage;
+  });
+}
@@ -0,0 +1,177 @@
+// lib/llm.js - LLM providers behind one small interface
+//
+// Every model call in the service goes through a provider:
+//   provider.chat({ stage, messages, json, stream })
+//     → { content, model, usage }                 (stream: false)
+//     → async iterable of text chunks             (stream: true; its .model and .usage are set once the
+//                                                  last chunk has been read - see textStream)
+//   provider.modelFor(stage) → model name
+//
+// Stages: planner, retry, answer, general (general-knowledge answers), rewrite (follow-up rewriting),
+// summary and title. Each stage's model is LLM_MODEL_<STAGE>, falling back to LLM_MODEL (default gpt-4.1).
+//
+// LLM_PROVIDER picks the implementation:
+//   openai             - api.openai.com with OPENAI_API_KEY (default)
+//   openai-compatible  - any server speaking the OpenAI chat API at LLM_BASE_URL (vLLM, Ollama, llama.cpp, ...)
+//   mock               - scripted, deterministic responses for offline runs (lib/llm-mock.js)
+
+import OpenAI from "openai";
+import { readFileSync } from "fs";
+import { MockProvider } from "./llm-mock.js";
+
+export const LLM_STAGES = ["planner", "retry", "answer", "general", "rewrite", "summary", "title"];
+
+const DEFAULT_MODEL = "gpt-4.1";
+
+/**
+ * Model per stage from the environment
+ * @returns {Object} - { planner: "gpt-4.1", retry: ..., ... }
+ */
+export function modelsFromEnv(env = process.env) {
+  const fallback = env.LLM_MODEL || DEFAULT_MODEL;
+  return Object.fromEntries(
+    LLM_STAGES.map(stage => [stage, env[`LLM_MODEL_${stage.toUpperCase()}`] || fallback])
+  );
+}
+
+/**
+ * OpenAI chat completions - also used for OpenAI-compatible servers via baseURL
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key (local servers usually accept any value)
+   * @param {string|null} options.baseURL - Server URL, e.g. http://localhost:11434/v1 (null = api.openai.com)
+   * @param {Object} options.models - Model per stage (see modelsFromEnv)
+   * @param {string} options.name - Provider name for logs
+   */
+  constructor({ apiKey, baseURL = null, models = modelsFromEnv(), name = "openai" } = {}) {
+    this.name = name;
+    this.models = models;
+    this.client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  }
+
+  modelFor(stage) {
+    return this.models[stage] || DEFAULT_MODEL;
+  }
+
+  /**
+   * One chat completion
+   * @param {Object} request
+   * @param {string} request.stage - Pipeline stage (selects the model)
+   * @param {Array<{role: string, content: string}>} request.messages
+   * @param {boolean} request.json - Ask for a JSON object (response_format json_object)
+   * @param {boolean} request.stream - Return a text stream instead (see textStream)
+   * @returns {Promise<{content: string, model: string, usage: Object|null}|AsyncIterable<string>>}
+   */
+  async chat({ stage, messages, json = false, stream = false }) {
+    const model = this.modelFor(stage);
+    const resp = await this.client.chat.completions.create({
+      model,
+      messages,
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+      // The last streamed chunk then carries the usage (servers that don't support it just leave it out)
+      ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+    });
+
+    if (stream) return textChunks(resp, model);
+    return {
+      content: resp.choices?.[0]?.message?.content || "",
+      model: resp.model || model,
+      usage: resp.usage || null,
+    };
+  }
+}
+
+function textChunks(completionStream, model) {
+  return textStream(model, async function* (stream) {
+    for await (const chunk of completionStream) {
+      if (chunk.model) stream.model = chunk.model;
+      if (chunk.usage) stream.usage = chunk.usage;
+      const content = chunk.choices?.[0]?.delta?.content;
+      if (content) yield content;
+    }
+  });
+}
+
+/**
+ * A streamed completion: iterate it for the text chunks. `model` and `usage` ({ prompt_tokens,
+ * completion_tokens, total_tokens }, or null if the server didn't report it) are final once the
+ * last chunk has been read.
+ * @param {string} model - Requested model (the server may report a more specific name)
+ * @param {(stream: Object) => AsyncGenerator<string>} produce - Yields the chunks, may set stream.model/usage
+ * @returns {AsyncIterable<string> & {model: string, usage: Object|null}}
+ */
+export function textStream(model, produce) {
+  const stream = { model, usage: null, [Symbol.asyncIterator]: () => produce(stream) };
+  return stream;
+}
+
+/**
+ * Pass a stream through, watching its chunks; `model` and `usage` are carried over from the inner stream
+ * @param {AsyncIterable<string>} inner - A provider's stream
+ * @param {Object} hooks
+ * @param {(chunk: string) => void} hooks.onChunk
+ * @param {(stream: Object) => void} hooks.onDone - After the last chunk
+ * @param {(error: Error) => void} hooks.onError - The inner stream failed (the error is rethrown)
+ */
+export function tapStream(inner, { onChunk = () => {}, onDone = () => {}, onError = () => {} } = {}) {
+  return textStream(inner.model, async function* (stream) {
+    try {
+      for await (const chunk of inner) {
+        onChunk(chunk);
+        yield chunk;
+      }
+    } catch (error) {
+      onError(error);
+      throw error;
+    }
+    stream.model = inner.model ?? stream.model;
+    stream.usage = inner.usage ?? null;
+    onDone(stream);
+  });
+}
+
+function createProviderFromEnv(env = process.env) {
+  const models = modelsFromEnv(env);
+  const kind = env.LLM_PROVIDER || "openai";
+
+  if (kind === "openai") {
+    return new OpenAIProvider({ apiKey: env.OPENAI_API_KEY, models });
+  }
+  if (kind === "openai-compatible") {
+    if (!env.LLM_BASE_URL) throw new Error("LLM_PROVIDER=openai-compatible needs LLM_BASE_URL");
+    return new OpenAIProvider({
+      apiKey: env.LLM_API_KEY || "not-needed",
+      baseURL: env.LLM_BASE_URL,
+      models,
+      name: "openai-compatible",
+    });
+  }
+  if (kind === "mock") {
+    const script = env.LLM_MOCK_SCRIPT ? JSON.parse(readFileSync(env.LLM_MOCK_SCRIPT, "utf8")) : {};
+    return new MockProvider({ ...script, models });
+  }
+  throw new Error(`Unknown LLM_PROVIDER "${kind}" - use openai, openai-compatible or mock`);
+}
+
+// Shared provider (created on first use)
+let sharedProvider = null;
+
+/**
+ * The provider configured by LLM_PROVIDER
+ */
+export function getLlmProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createProviderFromEnv();
+    console.log(`🤖 LLM provider: ${sharedProvider.name}`);
+  }
+  return sharedProvider;
+}
+
+/**
+ * Replace the shared provider (scripts and offline runs that build their own, e.g. a MockProvider)
+ */
+export function setLlmProvider(provider) {
+  sharedProvider = provider;
+}
@@ -0,0 +1,200 @@
+// lib/migrations.js - Versioned schema migrations for the backend's "user" schema
+//
+// Migrations live in backend/migrations as NNN_name.up.sql / NNN_name.down.sql pairs.
+// Applied versions are tracked in public.backend_schema_migrations together with a checksum of
+// the up file, so an edit to an already-applied migration shows up in `status`.
+// Each migration runs in its own transaction; a session advisory lock keeps two runners
+// (e.g. two deploys) from migrating the same database at once.
+
+import { readdir, readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+
+const TRACKING_TABLE = 'public.backend_schema_migrations';
+const FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary but fixed key for pg_advisory_lock
+const LOCK_KEY = 720170;
+
+function migrationError(message) {
+  const err = new Error(message);
+  err.code = 'MIGRATION_ERROR';
+  return err;
+}
+
+const checksum = (sql) => createHash('sha256').update(sql).digest('hex');
+
+/**
+ * Read the migration files, oldest first
+ * @param {string} dir - Directory holding the .sql files
+ * @returns {Promise<Array<{version: number, name: string, up: string, down: string|null, checksum: string}>>}
+ * @throws {Error} - code MIGRATION_ERROR for a missing up file or a version used twice
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of (await readdir(dir)).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+    const [, number, name, direction] = match;
+    const version = Number(number);
+
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw migrationError(`Migration ${number} has two names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = await readFile(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  return [...byVersion.values()]
+    .sort((a, b) => a.version - b.version)
+    .map(migration => {
+      if (migration.up === null) {
+        throw migrationError(`Migration ${migration.version} (${migration.name}) has no .up.sql file`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    });
+}
+
+async function ensureTrackingTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${TRACKING_TABLE} (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`);
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query(`SELECT version, name, checksum, applied_at FROM ${TRACKING_TABLE} ORDER BY version`);
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureTrackingTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, sql, record) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * State of every known migration
+ * @param {import('pg').Pool} pool - Database pool
+ * @param {Object} options
+ * @param {Array} options.migrations - Defaults to loadMigrations()
+ * @returns {Promise<Array<{version, name, applied, appliedAt, modified, missing}>>}
+ *   modified: applied, but the up file changed since; missing: applied, but the file is gone
+ */
+export async function migrationStatus(pool, { migrations } = {}) {
+  const known = migrations || await loadMigrations();
+  return withLock(pool, async (client) => {
+    const applied = await appliedMigrations(client);
+    const status = known.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        appliedAt: row?.applied_at || null,
+        modified: Boolean(row) && row.checksum !== migration.checksum,
+        missing: false
+      };
+    });
+    for (const row of applied.values()) {
+      if (!known.some(m => m.version === row.version)) {
+        status.push({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, modified: false, missing: true });
+      }
+    }
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {import('pg').Pool} pool - Database pool
+ * @param {Object} options
+ * @param {number|null} options.to - Stop after this version (default: apply all)
+ * @param {Array} options.migrations - Defaults to loadMigrations()
+ * @returns {Promise<Array<{version, name}>>} - Migrations applied by this call
+ * @throws {Error} - code MIGRATION_ERROR if `to` is not a whole number
+ */
+export async function migrateUp(pool, { to = null, migrations } = {}) {
+  if (to !== null && (!Number.isInteger(to) || to < 0)) {
+    throw migrationError('to must be a migration version (a whole number)');
+  }
+  const known = migrations || await loadMigrations();
+  return withLock(pool, async (client) => {
+    const applied = await appliedMigrations(client);
+    const done = [];
+    for (const migration of known) {
+      if (applied.has(migration.version)) continue;
+      if (to !== null && migration.version > to) break;
+
+      console.log(`⬆️  Applying ${migration.version} ${migration.name}`);
+      await runInTransaction(client, migration.up, () => client.query(
+        `INSERT INTO ${TRACKING_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+        [migration.version, migration.name, migration.checksum]
+      ));
+      done.push({ version: migration.version, name: migration.name });
+    }
+    return done;
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {import('pg').Pool} pool - Database pool
+ * @param {Object} options
+ * @param {number} options.steps - How many migrations to revert (default 1)
+ * @param {Array} options.migrations - Defaults to loadMigrations()
+ * @returns {Promise<Array<{version, name}>>} - Migrations reverted by this call
+ * @throws {Error} - code MIGRATION_ERROR if an applied migration has no down file
+ */
+export async function migrateDown(pool, { steps = 1, migrations } = {}) {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw migrationError('steps must be a whole number (at least 1)');
+  }
+  const known = migrations || await loadMigrations();
+  return withLock(pool, async (client) => {
+    const applied = [...(await appliedMigrations(client)).values()].reverse().slice(0, steps);
+    const done = [];
+    for (const row of applied) {
+      const migration = known.find(m => m.version === row.version);
+      if (!migration?.down) {
+        throw migrationError(`Migration ${row.version} (${row.name}) has no .down.sql file - revert it by hand`);
+      }
+
+      console.log(`⬇️  Reverting ${migration.version} ${migration.name}`);
+      await runInTransaction(client, migration.down, () => client.query(
+        `DELETE FROM ${TRACKING_TABLE} WHERE version = $1`,
+        [migration.version]
+      ));
+      done.push({ version: migration.version, name: migration.name });
+    }
+    return done;
+  });
+}
@@ -0,0 +1,226 @@
+// lib/privacy.js - Privacy requests (export / delete a user's data) and message retention
+//
+// Per-user data lives in the "user" schema (user, conversations, messages, conversation_shares, api_keys,
+// llm_usage) and in public tables written by the frontend (user_wallets, user_api_usage, user_subscriptions).
+// Every export, deletion and retention purge is recorded in "user".privacy_audit_log
+// (migrations/004_privacy_audit_log.up.sql).
+
+import { getDbPool } from './db.js';
+import { getConversationStore } from '../conversations/conversation-store.js';
+import { exportConversation } from '../conversations/export.js';
+import { toShareResource } from '../conversations/conversation-manager.js';
+import { listApiKeys, toApiKeyResource } from './api-keys.js';
+
+const EXPORT_FORMAT = 'defi-user-data';
+const EXPORT_VERSION = 1;
+
+// Tables outside the conversation module, keyed by their name in the export.
+// Not every deployment has all of them, so each is checked with to_regclass first.
+// Subscriptions are exported but not erased: they are billing records tied to Stripe.
+const USER_TABLES = [
+  { key: 'wallets', table: 'public.user_wallets', erase: true },
+  { key: 'apiUsage', table: 'public.user_api_usage', erase: true },
+  { key: 'subscriptions', table: 'public.user_subscriptions', erase: false },
+  { key: 'llmUsage', table: '"user".llm_usage', erase: true }
+];
+
+// Rows deleted per statement by the retention purge (keeps locks short)
+const PURGE_BATCH = 5000;
+
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function tableExists(db, table) {
+  const { rows } = await db.query('SELECT to_regclass($1) IS NOT NULL AS exists', [table]);
+  return rows[0].exists;
+}
+
+async function recordAudit(db, userId, action, details) {
+  await db.query(
+    `INSERT INTO "user"."privacy_audit_log" (user_id, action, details) VALUES ($1, $2, $3::jsonb)`,
+    [userId, action, JSON.stringify(details)]
+  );
+}
+
+/**
+ * Every conversation archive of a user (same format as the single-conversation JSON export)
+ */
+async function exportAllConversations(store, userId) {
+  const archives = [];
+  let cursor = null;
+  do {
+    const page = await store.listConversationsPage(userId, { limit: 100, cursor });
+    for (const conversation of page.conversations) {
+      archives.push(await exportConversation(store, userId, conversation.conversation_id));
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+  return archives.filter(Boolean);
+}
+
+/**
+ * Bundle everything stored about a user into one JSON document
+ * @param {string} userId - UUID of the user
+ * @param {Object} options
+ * @param {import('pg').Pool} options.pool - Defaults to the shared pool
+ * @param {Object} options.store - Defaults to the shared ConversationStore
+ * @returns {Promise<Object>} - { format, version, exportedAt, user, conversations, shares, apiKeys, wallets, apiUsage, subscriptions }
+ */
+export async function exportUserData(userId, { pool = getDbPool(), store = getConversationStore() } = {}) {
+  const { rows: [user] } = await pool.query(
+    'SELECT user_id, metadata, created_at, updated_at FROM "user"."user" WHERE user_id = $1',
+    [userId]
+  );
+
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: user || null,
+    conversations: user ? await exportAllConversations(store, userId) : [],
+    shares: [],
+    apiKeys: []
+  };
+
+  if (await tableExists(pool, '"user".conversation_shares')) {
+    const { rows } = await pool.query(
+      `SELECT share_id, conversation_id, created_at, expires_at, revoked_at, snapshot
+       FROM "user"."conversation_shares" WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    );
+    data.shares = rows.map(row => ({ ...toShareResource(row), snapshot: row.snapshot }));
+  }
+  if (await tableExists(pool, '"user".api_keys')) {
+    data.apiKeys = (await listApiKeys(userId, { pool })).map(toApiKeyResource);
+  }
+
+  for (const { key, table } of USER_TABLES) {
+    data[key] = await tableExists(pool, table)
+      ? (await pool.query(`SELECT * FROM ${table} WHERE user_id = $1 ORDER BY created_at`, [userId])).rows
+      : [];
+  }
+
+  // The export itself still goes out if the audit table is missing - deletion is stricter
+  await recordAudit(pool, userId, 'export', { conversations: data.conversations.length })
+    .catch(error => console.error('⚠️  Failed to record data export:', error.message));
+
+  console.log(`📦 Exported data for user ${userId.substring(0, 8)}...`);
+  return data;
+}
+
+/**
+ * Erase a user's data in one transaction and record an audit entry
+ * The Supabase auth account is not touched - deleting it is up to the auth provider.
+ * @param {string} userId - UUID of the user
+ * @param {Object} options
+ * @param {import('pg').Pool} options.pool - Defaults to the shared pool
+ * @returns {Promise<Object>} - Rows deleted per table
+ */
+export async function deleteUserData(userId, { pool = getDbPool() } = {}) {
+  return withTransaction(pool, async (client) => {
+    const deleted = {};
+    const erase = async (key, text) => {
+      deleted[key] = (await client.query(text, [userId])).rowCount;
+    };
+
+    if (await tableExists(client, '"user".conversation_shares')) {
+      await erase('shares', 'DELETE FROM "user"."conversation_shares" WHERE user_id = $1');
+    }
+    if (await tableExists(client, '"user".api_keys')) {
+      await erase('apiKeys', 'DELETE FROM "user"."api_keys" WHERE user_id = $1');
+    }
+    await erase('messages', 'DELETE FROM "user"."messages" WHERE user_id = $1');
+    await erase('conversations', 'DELETE FROM "user"."conversations" WHERE user_id = $1');
+    for (const { key, table, erase: erasable } of USER_TABLES) {
+      if (erasable && await tableExists(client, table)) {
+        await erase(key, `DELETE FROM ${table} WHERE user_id = $1`);
+      }
+    }
+    await erase('user', 'DELETE FROM "user"."user" WHERE user_id = $1');
+
+    // Same transaction: no deletion without its audit entry
+    await recordAudit(client, userId, 'delete', { deleted });
+    console.log(`🗑️  Deleted data for user ${userId.substring(0, 8)}...`, deleted);
+    return deleted;
+  });
+}
+
+/**
+ * Retention policy: delete messages older than `days`
+ * Also removes what would otherwise keep their content around: rolling summaries that cover a
+ * purged message, share snapshots taken before the cutoff, and conversations left empty that
+ * haven't been updated since the cutoff.
+ * @param {Object} options
+ * @param {number} options.days - Keep messages from the last N days
+ * @param {boolean} options.dryRun - Only count what would be deleted
+ * @param {import('pg').Pool} options.pool - Defaults to the shared pool
+ * @returns {Promise<Object>} - { cutoff, messages, summaries, shares, conversations, dryRun }
+ */
+export async function purgeExpiredMessages({ days, dryRun = false, pool = getDbPool() } = {}) {
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error('Retention period must be a whole number of days (at least 1)');
+  }
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const hasShares = await tableExists(pool, '"user".conversation_shares');
+
+  if (dryRun) {
+    const { rows: [counts] } = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM "user"."messages" WHERE created_at < $1)::int AS messages,
+         (SELECT COUNT(*) FROM "user"."conversations" c
+          WHERE c.updated_at < $1
+            AND NOT EXISTS (SELECT 1 FROM "user"."messages" m
+                            WHERE m.conversation_id = c.conversation_id AND m.created_at >= $1))::int AS conversations`,
+      [cutoff]
+    );
+    const shares = hasShares
+      ? (await pool.query('SELECT COUNT(*)::int AS n FROM "user"."conversation_shares" WHERE created_at < $1', [cutoff])).rows[0].n
+      : 0;
+    return { cutoff, ...counts, summaries: null, shares, dryRun: true };
+  }
+
+  let messages = 0;
+  for (;;) {
+    const { rowCount } = await pool.query(
+      `DELETE FROM "user"."messages"
+       WHERE message_id IN (SELECT message_id FROM "user"."messages" WHERE created_at < $1 LIMIT $2)`,
+      [cutoff, PURGE_BATCH]
+    );
+    messages += rowCount;
+    if (rowCount < PURGE_BATCH) break;
+  }
+
+  const { rowCount: summaries } = await pool.query(
+    `UPDATE "user"."conversations" c
+     SET metadata = c.metadata - 'summary'
+     WHERE c.metadata ? 'summary'
+       AND NOT EXISTS (SELECT 1 FROM "user"."messages" m
+                       WHERE m.message_id::text = c.metadata->'summary'->>'lastMessageId')`
+  );
+  const shares = hasShares
+    ? (await pool.query('DELETE FROM "user"."conversation_shares" WHERE created_at < $1', [cutoff])).rowCount
+    : 0;
+  const { rowCount: conversations } = await pool.query(
+    `DELETE FROM "user"."conversations" c
+     WHERE c.updated_at < $1
+       AND NOT EXISTS (SELECT 1 FROM "user"."messages" m WHERE m.conversation_id = c.conversation_id)`,
+    [cutoff]
+  );
+
+  const result = { cutoff, messages, summaries, shares, conversations, dryRun: false };
+  await recordAudit(pool, null, 'retention_purge', { days, ...result });
+  console.log(`🧹 Retention purge (${days} days):`, result);
+  return result;
+}
@@ -1,6 +1,7 @@
 // lib/query-logger.js - Simple logging of questions and answers
 
 import { getDbPool } from './db.js';
+import { getConversationStore } from '../conversations/conversation-store.js';
 
 /**
  * Log a question and its answer to the database
@@ -9,42 +10,46 @@ import { getDbPool } from './db.js';
  * @param {string|null} userId - User ID from JWT (null if not authenticated)
  * @param {string} question - User's question
  * @param {string} answer - Model's answer
- * @param {object} metadata - Optional metadata (sql, intent, etc.)
+ * @param {object} metadata - Optional metadata (sql, intent, resultSummary, etc.). `result` (the captured
+ *   rows) is stored with the answer only.
+ * @param {string|null} conversationId - Conversation to append to (a new one is created if omitted)
+ * @param {object|null} branch - Where the turn attaches when it isn't a plain follow-up:
+ *   { parentId } for an edited question, { replyToMessageId } for a regenerated answer
+ * @returns {Promise<string|null>} - Conversation ID the turn was saved to (null if not logged)
  */
-export async function logQuery(userId, question, answer, metadata = {}) {
+export async function logQuery(userId, question, answer, metadata = {}, conversationId = null, branch = null) {
   // Skip logging if no user ID
   if (!userId) {
     console.log('📝 Skipping query log (no user ID)');
-    return;
+    return null;
   }
 
-  const pool = getDbPool();
-  let client;
-
   try {
-    client = await pool.connect();
+    const store = getConversationStore();
 
-    // Simple insert into user.messages table
-    // We'll create a single conversation per user for now (conversation_id = user_id)
-    await client.query(`
-      INSERT INTO user.messages (
-        user_id,
-        conversation_id,
-        role,
-        content,
-        metadata,
-        created_at
-      ) VALUES 
-        ($1, $1, 'user', $2, $3, NOW()),
-        ($1, $1, 'assistant', $4, $3, NOW())
-    `, [
-      userId,
-      question,
-      JSON.stringify(metadata),
-      answer
-    ]);
+    if (!conversationId) {
+      const conversation = await store.createConversation(userId);
+      conversationId = conversation.conversation_id;
+    }
+
+    const { result, ...turnMetadata } = metadata;
+    const answerMetadata = result ? { result } : {};
 
-    console.log(`✅ Logged query for user ${userId.substring(0, 8)}...`);
+    if (branch?.replyToMessageId) {
+      // Regenerated answer: the question is already stored, only the new reply is added
+      await store.appendMessage(userId, conversationId, 'assistant', answer, { ...turnMetadata, ...answerMetadata }, {
+        parentId: branch.replyToMessageId
+      });
+    } else {
+      // User question + assistant answer are written atomically
+      await store.appendTurn(userId, conversationId, question, answer, turnMetadata, {
+        parentId: branch?.parentId,
+        answerMetadata
+      });
+    }
+
+    console.log(`✅ Logged query for user ${userId.substring(0, 8)}... (conversation ${conversationId.substring(0, 8)}...)`);
+    return conversationId;
 
   } catch (error) {
     // Log error but don't fail the request
@@ -52,34 +57,32 @@ export async function logQuery(userId, question, answer, metadata = {}) {
     
     // If the error is about missing table/schema, give helpful hint
     if (error.message.includes('relation "user.messages" does not exist')) {
-      console.error('💡 Hint: Run the conversation database setup from conversations/README.md');
-    }
-  } finally {
-    if (client) {
-      client.release();
+      console.error('💡 Hint: Create the conversation schema with `npm run migrate up` (backend/migrations)');
     }
+    return null;
   }
 }
 
 /**
- * Ensure user exists in user.user table
+ * Ensure user exists in "user"."user" table
  * Called before first query log
  * 
  * @param {string} userId - User ID from JWT
  * @param {object} userMetadata - Optional user metadata from JWT
+ * @param {object} options
+ * @param {import('pg').Pool} options.pool - Defaults to the shared pool
  */
-export async function ensureUserExists(userId, userMetadata = {}) {
+export async function ensureUserExists(userId, userMetadata = {}, { pool = getDbPool() } = {}) {
   if (!userId) return;
 
-  const pool = getDbPool();
   let client;
 
   try {
     client = await pool.connect();
 
-    // Insert user if not exists (ON CONFLICT DO NOTHING)
+    // Insert user if not exists (ON CONFLICT DO UPDATE). "user" is a reserved word, so both names are quoted
     await client.query(`
-      INSERT INTO user.user (user_id, metadata, created_at, updated_at)
+      INSERT INTO "user"."user" (user_id, metadata, created_at, updated_at)
       VALUES ($1, $2, NOW(), NOW())
       ON CONFLICT (user_id) DO UPDATE SET updated_at = NOW()
     `, [userId, JSON.stringify(userMetadata)]);
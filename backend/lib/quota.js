@@ -0,0 +1,178 @@
+// lib/quota.js - Query quotas and usage metering for /api/query
+//
+// Signed-in users on the free plan get QUERY_QUOTA_FREE_MONTHLY answered queries per calendar month (UTC),
+// counted from public.user_api_usage. The frontend's /api/chat writes to the same table, so both share
+// one allowance. Pro subscribers (public.user_subscriptions: plan 'pro', status 'active') are unlimited.
+// Anonymous callers get QUERY_QUOTA_ANONYMOUS_DAILY queries per IP per UTC day, counted in
+// "user".anonymous_usage (migrations/005_anonymous_usage.up.sql).
+
+import { createHash } from 'crypto';
+import { getDbPool } from './db.js';
+
+const FREE_MONTHLY_QUERIES = Number(process.env.QUERY_QUOTA_FREE_MONTHLY || 15);
+const ANONYMOUS_DAILY_QUERIES = Number(process.env.QUERY_QUOTA_ANONYMOUS_DAILY || 5);
+
+const UPGRADE_URL = '/profile?tab=billing';
+
+const startOfMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+const startOfNextMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+const startOfNextDay = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+/**
+ * Caller's IP, for the anonymous allowance. Only headers a trusted proxy wrote are believed:
+ * - on Vercel (VERCEL is set), x-vercel-forwarded-for, which the platform overwrites
+ * - behind TRUST_PROXY_HOPS proxies that append to x-forwarded-for, the entry the outermost one added
+ * - otherwise the socket address; x-forwarded-for and x-real-ip are whatever the client sent
+ * @param {Object} req
+ * @param {Object} env - Defaults to process.env
+ * @returns {string}
+ */
+export function getClientIp(req, env = process.env) {
+  const vercelForwarded = req.headers['x-vercel-forwarded-for'];
+  if (env.VERCEL && vercelForwarded) return String(vercelForwarded).split(',')[0].trim();
+
+  const hops = Number(env.TRUST_PROXY_HOPS || 0);
+  const forwarded = req.headers['x-forwarded-for'];
+  if (Number.isInteger(hops) && hops > 0 && forwarded) {
+    // Each proxy appends the address it got the request from, so the client is `hops` entries from the right
+    const entries = String(forwarded).split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length >= hops) return entries[entries.length - hops];
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+async function checkUserQuota(pool, userId, now, plan) {
+  const resetAt = startOfNextMonth(now);
+  if (plan === 'pro') {
+    return { allowed: true, scope: 'user', plan: 'pro', limit: null, used: null, remaining: null, resetAt };
+  }
+
+  const { rows: [subscription] } = await pool.query(
+    `SELECT plan, status FROM public.user_subscriptions
+     WHERE user_id = $1 ORDER BY updated_at DESC NULLS LAST LIMIT 1`,
+    [userId]
+  );
+  if (subscription?.status === 'active' && subscription?.plan === 'pro') {
+    return { allowed: true, scope: 'user', plan: 'pro', limit: null, used: null, remaining: null, resetAt };
+  }
+
+  // Rows from the frontend have no status; failed requests don't use up the allowance
+  const { rows: [{ used }] } = await pool.query(
+    `SELECT COUNT(*)::int AS used FROM public.user_api_usage
+     WHERE user_id = $1 AND created_at >= $2 AND (status_code IS NULL OR status_code < 400)`,
+    [userId, startOfMonth(now).toISOString()]
+  );
+  return {
+    allowed: used < FREE_MONTHLY_QUERIES,
+    scope: 'user',
+    plan: 'free',
+    limit: FREE_MONTHLY_QUERIES,
+    used,
+    remaining: Math.max(0, FREE_MONTHLY_QUERIES - used),
+    resetAt
+  };
+}
+
+// Counting and checking in one statement, so parallel requests from one IP can't all slip through
+async function consumeAnonymousQuota(pool, ip, now) {
+  const day = now.toISOString().slice(0, 10);
+  const ipHash = createHash('sha256').update(`${day}:${ip}`).digest('hex');
+  const { rows: [{ queries }] } = await pool.query(
+    `INSERT INTO "user"."anonymous_usage" (ip_hash, day, queries) VALUES ($1, $2, 1)
+     ON CONFLICT (ip_hash, day) DO UPDATE SET queries = "user"."anonymous_usage".queries + 1
+     RETURNING queries`,
+    [ipHash, day]
+  );
+  return {
+    allowed: queries <= ANONYMOUS_DAILY_QUERIES,
+    scope: 'ip',
+    plan: 'anonymous',
+    limit: ANONYMOUS_DAILY_QUERIES,
+    used: Math.min(queries - 1, ANONYMOUS_DAILY_QUERIES),
+    remaining: Math.max(0, ANONYMOUS_DAILY_QUERIES - queries),
+    resetAt: startOfNextDay(now)
+  };
+}
+
+/**
+ * Decide whether a query may run
+ * A signed-in user's count is only checked here - the request is recorded by recordApiUsage() once it
+ * finishes, so a burst of parallel requests can overshoot by a few. Anonymous requests are counted here.
+ * If the usage tables can't be read the request is allowed (and a warning logged).
+ * @param {string|null} userId - Authenticated user, or null
+ * @param {string} ip - Caller IP (anonymous allowance)
+ * @param {Object} options
+ * @param {import('pg').Pool} options.pool - Defaults to the shared pool
+ * @param {Date} options.now - Defaults to the current time
+ * @param {string|null} options.plan - Plan claim from the session token; 'pro' skips the subscription lookup
+ * @returns {Promise<{allowed: boolean, scope: string, plan: string, limit: number|null, used: number|null,
+ *   remaining: number|null, resetAt: Date}>} - limit/used/remaining are null for unlimited plans
+ */
+export async function checkQueryQuota(userId, ip, { pool = getDbPool(), now = new Date(), plan = null } = {}) {
+  try {
+    return userId
+      ? await checkUserQuota(pool, userId, now, plan)
+      : await consumeAnonymousQuota(pool, ip, now);
+  } catch (error) {
+    console.error('⚠️  Quota check failed, allowing request:', error.message);
+    return { allowed: true, scope: userId ? 'user' : 'ip', plan: 'unknown', limit: null, used: null, remaining: null, resetAt: null };
+  }
+}
+
+/**
+ * X-Quota-* headers for a quota decision (plus Retry-After when it was refused)
+ */
+export function setQuotaHeaders(res, quota) {
+  if (quota.limit === null) return;
+  res.setHeader('X-Quota-Limit', String(quota.limit));
+  res.setHeader('X-Quota-Remaining', String(quota.remaining));
+  res.setHeader('X-Quota-Reset', String(Math.floor(quota.resetAt.getTime() / 1000)));
+  if (!quota.allowed) {
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000))));
+  }
+}
+
+/**
+ * JSON body of a 429 response (same shape as the frontend's /api/chat limit error)
+ */
+export function quotaExceededBody(quota) {
+  if (quota.scope === 'ip') {
+    return {
+      error: 'Daily query limit reached',
+      message: `Anonymous access is limited to ${quota.limit} queries per day. Sign in to keep going.`,
+      queriesUsed: quota.used,
+      dailyLimit: quota.limit,
+      resetAt: quota.resetAt.toISOString()
+    };
+  }
+  return {
+    error: 'Monthly query limit reached',
+    message: `You have reached your monthly limit of ${quota.limit} queries. Please upgrade to Pro for unlimited access.`,
+    upgradeUrl: UPGRADE_URL,
+    queriesUsed: quota.used,
+    monthlyLimit: quota.limit,
+    resetAt: quota.resetAt.toISOString()
+  };
+}
+
+/**
+ * Record one request of a signed-in user in public.user_api_usage
+ * Best-effort: a failure is logged, never thrown.
+ * @param {string} userId - Authenticated user
+ * @param {Object} request
+ * @param {string} request.endpoint - Path that was called
+ * @param {string} request.method - HTTP method
+ * @param {number} request.statusCode - Response status
+ * @param {number} request.responseTimeMs - Time from request start to response
+ */
+export async function recordApiUsage(userId, { endpoint, method, statusCode, responseTimeMs }, { pool = getDbPool() } = {}) {
+  try {
+    await pool.query(
+      `INSERT INTO public.user_api_usage (user_id, endpoint, method, status_code, response_time_ms)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, String(endpoint).slice(0, 255), method, statusCode, Math.round(responseTimeMs)]
+    );
+  } catch (error) {
+    console.error('⚠️  Failed to record API usage:', error.message);
+  }
+}
@@ -12,7 +12,7 @@ const __dirname = path.dirname(__filename);
 // Default path: ../config/llm_table_registry.json (relative to this file)
 const DEFAULT_REGISTRY_PATH = path.resolve(__dirname, '../config/llm_table_registry.json');
 
-async function loadRegistry() {
+export async function loadRegistry() {
   const registryPath = process.env.LLM_TABLE_REGISTRY_PATH || DEFAULT_REGISTRY_PATH;
   const raw = await fs.readFile(registryPath, 'utf8');
   const json = JSON.parse(raw);
@@ -25,7 +25,8 @@ async function loadRegistry() {
 export async function fetchSchema(pool = null) {
   // 1) Load the static registry
   const registry = await loadRegistry();
-  const wantedFQ = Object.keys(registry);
+  // Only schema-qualified keys are tables (skips the top-level "metadata" block)
+  const wantedFQ = Object.keys(registry).filter(k => k.includes('.'));
   if (wantedFQ.length === 0) {
     return { tables: new Set(), colsByTable: new Map(), doc: '' };
   }
@@ -33,9 +34,9 @@ export async function fetchSchema(pool = null) {
   // 2) Seed tables + cols from registry (descriptions come from registry)
   const tables = new Set(wantedFQ);
   const colsByTable = new Map();
-  for (const [fqtn, meta] of Object.entries(registry)) {
-    const cols = Object.keys(meta.columns || {});
-    colsByTable.set(fqtn, new Set(cols.map(c => c.toLowerCase())));
+  for (const fqtn of wantedFQ) {
+    const cols = Object.keys(registry[fqtn].columns || {});
+    colsByTable.set(fqtn, new Set(cols));
   }
 
   // 3) (Optional) Enrich/verify with live DB columns if a pool is provided
@@ -56,11 +57,12 @@ export async function fetchSchema(pool = null) {
         [wantedFQ]
       );
 
-      // Overwrite/augment colsByTable with live columns for better accuracy
+      // Overwrite/augment colsByTable with live columns for better accuracy. Names keep their case:
+      // the guard compares them the way Postgres does, so a "Symbol" column is not symbol
       for (const r of colsRes.rows) {
         const fqtn = `${r.table_schema}.${r.table_name}`;
         if (!colsByTable.has(fqtn)) colsByTable.set(fqtn, new Set());
-        colsByTable.get(fqtn).add(r.column_name.toLowerCase());
+        colsByTable.get(fqtn).add(r.column_name);
       }
     } finally {
       client.release();
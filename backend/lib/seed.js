@@ -0,0 +1,354 @@
+// lib/seed.js - Synthetic data for the registry tables (update.* / clean.*) in a local Postgres
+//
+// Tables are created from config/llm_table_registry.json: one column per registry column, typed by the rules
+// below (the registry documents columns, not types). Rows come from seeded random walks, so the same
+// --seed gives the same data, with timestamps anchored to the time of seeding so "latest" filters work:
+//   update.*  hourly snapshots (prices every 15 minutes) for the last `days` days
+//   clean.*   daily snapshots for the `historyDays` days before that
+// The data deliberately has the traps the planner prompts warn about:
+//   - BIGINT unix-second ts columns, TIMESTAMPTZ price_timestamp, price_usd stored as text in update.*
+//   - several chains and projects per asset, stable-stable and volatile-stable pools
+//   - outlier APYs (GOHM on Fraxlend, a broken Radiant market, tiny new pools at thousands of %)
+//   - a stale BTC feed at ~$15k interleaved with the real one, including the newest snapshot
+
+import { createHash } from 'crypto';
+
+// ========================================
+// COLUMN TYPES
+// ========================================
+
+const TIMESTAMP_COLUMNS = new Set(['price_timestamp', 'event_time', 'ingest_time']);
+
+// Exceptions to the name-based rules, as in production
+const TABLE_COLUMN_TYPES = {
+  'update.token_price_daily.price_usd': 'TEXT'
+};
+
+/**
+ * Postgres type for a registry column
+ */
+export function columnType(table, column) {
+  const override = TABLE_COLUMN_TYPES[`${table}.${column}`];
+  if (override) return override;
+  if (column === 'ts') return 'BIGINT';
+  if (TIMESTAMP_COLUMNS.has(column)) return 'TIMESTAMPTZ';
+  if (column.endsWith('_usd') || column.startsWith('apy') || column === 'confidence') return 'NUMERIC';
+  return 'TEXT';
+}
+
+const ident = (name) => `"${String(name).replace(/"/g, '""')}"`;
+const qualified = (table) => table.split('.').map(ident).join('.');
+
+/**
+ * DDL for one registry table (create + time index)
+ * @returns {string[]} - Statements to run in order
+ */
+export function tableDdl(table, meta) {
+  const columns = Object.keys(meta.columns || {});
+  const timeColumn = columns.find(c => c === 'ts' || TIMESTAMP_COLUMNS.has(c));
+  const indexName = `${table.replace('.', '_')}_${timeColumn}_idx`;
+  return [
+    `DROP TABLE IF EXISTS ${qualified(table)}`,
+    `CREATE TABLE ${qualified(table)} (\n  ${columns.map(c => `${ident(c)} ${columnType(table, c)}`).join(',\n  ')}\n)`,
+    ...(timeColumn ? [`CREATE INDEX ${ident(indexName)} ON ${qualified(table)} (${ident(timeColumn)})`] : [])
+  ];
+}
+
+// ========================================
+// RANDOM WALKS
+// ========================================
+
+// mulberry32: small, fast and the same sequence on every platform for a given seed
+function createRandom(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+  return { next, gaussian };
+}
+
+// Mean-reverting walk around `base`: stays realistic over long series instead of drifting off
+function randomWalk(random, base, volatility, steps) {
+  const values = [];
+  let value = base;
+  for (let i = 0; i < steps; i++) {
+    value += (base - value) * 0.05 + base * volatility * random.gaussian();
+    values.push(Math.max(value, base * 0.05));
+  }
+  return values;
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+const priceDigits = (price) => (price >= 100 ? 2 : 6);
+
+// Stable ids in the shape production uses (pool ids are UUIDs)
+function stableUuid(...parts) {
+  const hex = createHash('sha1').update(parts.join('|')).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// ========================================
+// DATASET
+// ========================================
+
+const TOKENS = [
+  { symbol: 'BTC', name: 'Bitcoin', tokenId: 'bitcoin', chain: 'bitcoin', address: 'native', price: 68000, volatility: 0.0015, marketCap: 1.34e12, volume: 3.1e10 },
+  { symbol: 'WBTC', name: 'Wrapped Bitcoin', tokenId: 'wrapped-bitcoin', chain: 'ethereum', address: '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599', price: 67950, volatility: 0.0015, marketCap: 1.05e10, volume: 2.4e8 },
+  { symbol: 'ETH', name: 'Ethereum', tokenId: 'ethereum', chain: 'ethereum', address: 'native', price: 3200, volatility: 0.002, marketCap: 3.85e11, volume: 1.5e10 },
+  { symbol: 'WETH', name: 'Wrapped Ether', tokenId: 'weth', chain: 'ethereum', address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', price: 3199, volatility: 0.002, marketCap: 8.9e9, volume: 6.1e8 },
+  { symbol: 'USDC', name: 'USD Coin', tokenId: 'usd-coin', chain: 'ethereum', address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', price: 1, volatility: 0.0002, marketCap: 3.4e10, volume: 6.8e9 },
+  { symbol: 'USDT', name: 'Tether', tokenId: 'tether', chain: 'ethereum', address: '0xdac17f958d2ee523a2206206994597c13d831ec7', price: 1, volatility: 0.0002, marketCap: 1.18e11, volume: 4.2e10 },
+  { symbol: 'DAI', name: 'Dai', tokenId: 'dai', chain: 'ethereum', address: '0x6b175474e89094c44da98b954eedeac495271d0f', price: 1, volatility: 0.0003, marketCap: 5.3e9, volume: 2.1e8 },
+  { symbol: 'SOL', name: 'Solana', tokenId: 'solana', chain: 'solana', address: 'So11111111111111111111111111111111111111112', price: 155, volatility: 0.003, marketCap: 7.2e10, volume: 2.6e9 },
+  { symbol: 'AAVE', name: 'Aave', tokenId: 'aave', chain: 'ethereum', address: '0x7fc66500c84a76ad7e9c93437bfc5ac33e2ddae9', price: 152, volatility: 0.003, marketCap: 2.3e9, volume: 1.9e8 }
+];
+
+// A BTC-on-BSC source that stopped updating years ago: symbol BTC, price ~$15k, low confidence
+const STALE_BTC = {
+  symbol: 'BTC', name: 'Bitcoin', tokenId: 'bitcoin-bep2', chain: 'bsc', address: '0x7130d2a12b9bcbfae4f2634d864a1ee1ce3ead9c',
+  price: 15120, volatility: 0.0005, marketCap: 1.9e9, volume: 4.1e5, confidence: 0.35
+};
+
+// [project, chain, symbol, supply APY, borrow APY, supplied USD, reward APY on supply]
+const LENDING_MARKETS = [
+  ['aave-v3', 'Ethereum', 'USDC', 4.8, 6.2, 2.1e9, 0],
+  ['aave-v3', 'Ethereum', 'USDT', 5.1, 6.8, 1.4e9, 0],
+  ['aave-v3', 'Ethereum', 'DAI', 5.0, 6.5, 4.0e8, 0],
+  ['aave-v3', 'Ethereum', 'WETH', 2.1, 2.9, 3.5e9, 0],
+  ['aave-v3', 'Ethereum', 'WBTC', 0.3, 1.2, 1.1e9, 0],
+  ['aave-v3', 'Arbitrum', 'USDC', 5.6, 7.1, 3.0e8, 0],
+  ['aave-v3', 'Arbitrum', 'WETH', 2.3, 3.1, 6.0e8, 0],
+  ['aave-v3', 'Base', 'USDC', 6.2, 7.9, 1.8e8, 0.8],
+  ['aave-v3', 'Base', 'WETH', 2.0, 2.7, 2.5e8, 0],
+  ['compound-v3', 'Ethereum', 'USDC', 4.5, 5.9, 9.0e8, 0.4],
+  ['compound-v3', 'Ethereum', 'WETH', 2.4, 3.0, 4.0e8, 0],
+  ['compound-v3', 'Arbitrum', 'USDC', 5.2, 6.6, 1.0e8, 0.6],
+  ['compound-v3', 'Base', 'USDC', 6.0, 7.5, 9.0e7, 0.9],
+  ['spark', 'Ethereum', 'DAI', 6.5, 7.0, 1.2e9, 0],
+  ['spark', 'Ethereum', 'USDC', 6.1, 6.9, 5.5e8, 0],
+  ['spark', 'Ethereum', 'WETH', 1.8, 2.4, 8.0e8, 0],
+  ['morpho-blue', 'Ethereum', 'USDC', 7.5, 8.5, 3.0e8, 1.5],
+  ['morpho-blue', 'Ethereum', 'WETH', 2.8, 3.5, 2.0e8, 0],
+  ['morpho-blue', 'Base', 'USDC', 8.1, 9.2, 1.2e8, 2.1],
+  ['fraxlend', 'Ethereum', 'FRAX', 6.2, 8.0, 2.0e7, 0],
+  ['fraxlend', 'Ethereum', 'GOHM', 95, 110, 1.5e6, 0],
+  ['dolomite', 'Arbitrum', 'WBERA', 60, 75, 8.0e5, 0],
+  // Broken rate oracle: an absurd APY on a near-empty market
+  ['radiant-v2', 'Arbitrum', 'USDT', 12000, 14500, 5.0e4, 0]
+];
+
+// [project, chain, symbol, TVL USD, base APY, reward APY]
+const POOLS = [
+  ['uniswap-v3', 'Ethereum', 'WETH-USDC', 2.1e8, 12, 0],
+  ['uniswap-v3', 'Ethereum', 'WETH-WBTC', 1.4e8, 6, 0],
+  ['uniswap-v3', 'Ethereum', 'USDC-USDT', 9.0e7, 3.5, 0],
+  ['uniswap-v3', 'Ethereum', 'DAI-USDC', 4.0e7, 2.8, 0],
+  ['uniswap-v3', 'Arbitrum', 'WETH-USDC', 6.0e7, 18, 0],
+  ['uniswap-v3', 'Arbitrum', 'USDC-USDT', 1.5e7, 4.1, 0],
+  ['uniswap-v3', 'Base', 'WETH-USDC', 3.5e7, 22, 0],
+  ['aerodrome-slipstream', 'Base', 'WETH-USDC', 8.0e7, 9, 28],
+  ['aerodrome-slipstream', 'Base', 'USDC-USDT', 1.2e7, 2, 9],
+  ['aerodrome-slipstream', 'Base', 'CBBTC-WETH', 4.0e7, 5, 19],
+  ['curve-dex', 'Ethereum', 'DAI-USDC-USDT', 1.7e8, 1.9, 1.1],
+  ['pancakeswap-amm-v3', 'Arbitrum', 'WETH-USDT', 1.1e7, 15, 0],
+  // Brand-new pools with next to no liquidity: the APYs are real but meaningless
+  ['uniswap-v3', 'Base', 'DEGEN-WETH', 1.2e4, 48000, 0],
+  ['aerodrome-v1', 'Base', 'USDC-BRETT', 9.0e3, 2600, 0]
+];
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+/**
+ * Snapshot times (unix seconds, ascending)
+ * @param {number} end - Last snapshot
+ * @param {number} step - Seconds between snapshots
+ * @param {number} count - Number of snapshots
+ */
+const snapshotTimes = (end, step, count) => Array.from({ length: count }, (_, i) => end - (count - 1 - i) * step);
+
+function priceRows(random, times, tokens) {
+  const rows = [];
+  for (const token of tokens) {
+    const prices = randomWalk(random, token.price, token.volatility, times.length);
+    // The stale feed reports a minute after the real one, so a naive "latest row" query picks it up
+    const offset = token === STALE_BTC ? 60 : 0;
+    times.forEach((t, i) => {
+      const price = round(prices[i], priceDigits(token.price));
+      const at = new Date((t + offset) * 1000);
+      rows.push({
+        coin_id: `${token.chain}:${token.address}`,
+        token_id: token.tokenId,
+        symbol: token.symbol,
+        name: token.name,
+        chain: token.chain,
+        address: token.address,
+        price_usd: price,
+        price_timestamp: at,
+        event_time: at,
+        ingest_time: new Date((t + offset + 300) * 1000),
+        confidence: token.confidence ?? round(0.9 + random.next() * 0.1, 3),
+        market_cap_usd: round(token.marketCap * (price / token.price), 0),
+        volume_24h_usd: round(token.volume * (0.7 + random.next() * 0.6), 0)
+      });
+    });
+  }
+  return rows;
+}
+
+function lendingRows(random, times) {
+  const rows = [];
+  for (const [project, chain, symbol, supplyApy, borrowApy, supplied, rewardApy] of LENDING_MARKETS) {
+    const supply = randomWalk(random, supplyApy, 0.03, times.length);
+    const borrow = randomWalk(random, borrowApy, 0.03, times.length);
+    const tvl = randomWalk(random, supplied, 0.01, times.length);
+    const utilization = Math.min(0.92, supplyApy / borrowApy);
+    times.forEach((ts, i) => rows.push({
+      project,
+      chain,
+      symbol,
+      apy_base_supply: round(supply[i], 4),
+      apy_reward_supply: round(rewardApy, 4),
+      apy_base_borrow: round(borrow[i], 4),
+      apy_reward_borrow: 0,
+      total_supply_usd: round(tvl[i], 0),
+      total_borrow_usd: round(tvl[i] * utilization, 0),
+      ts
+    }));
+  }
+  return rows;
+}
+
+function poolRows(random, times) {
+  const rows = [];
+  for (const [project, chain, symbol, tvlUsd, apyBase, apyReward] of POOLS) {
+    const poolId = stableUuid(project, chain, symbol);
+    const base = randomWalk(random, apyBase, 0.04, times.length);
+    const tvl = randomWalk(random, tvlUsd, 0.01, times.length);
+    times.forEach((ts, i) => rows.push({
+      pool_id: poolId,
+      project,
+      chain,
+      symbol,
+      tvl_usd: round(tvl[i], 0),
+      apy: round(base[i] + apyReward, 4),
+      apy_base: round(base[i], 4),
+      ts
+    }));
+  }
+  return rows;
+}
+
+// Row generators by table name; each sees its own random stream so adding a table doesn't shift the others
+const GENERATORS = {
+  'update.token_price_daily': (random, { recent }) => priceRows(random, recent.prices, [...TOKENS, STALE_BTC]),
+  'update.lending_market_history': (random, { recent }) => lendingRows(random, recent.hourly),
+  'update.cl_pool_hist': (random, { recent }) => poolRows(random, recent.hourly),
+  'clean.token_price_daily_enriched': (random, { history }) => priceRows(random, history, [...TOKENS, STALE_BTC]),
+  'clean.lending_market_history': (random, { history }) => lendingRows(random, history),
+  'clean.cl_pool_hist': (random, { history }) => poolRows(random, history)
+};
+
+/**
+ * Synthetic rows for a registry table
+ * @param {string} table - Fully qualified name, e.g. update.cl_pool_hist
+ * @param {Object} options
+ * @param {number} options.seed - Random seed (same seed, same data)
+ * @param {number} options.days - Days of update.* snapshots
+ * @param {number} options.historyDays - Days of clean.* snapshots before those
+ * @param {Date} options.now - Anchor for the newest snapshot
+ * @returns {Object[]|null} - Rows with every column any registry table might have, or null if there is no
+ *   generator for the table
+ */
+export function generateRows(table, { seed = 42, days = 7, historyDays = 180, now = new Date() } = {}) {
+  const generate = GENERATORS[table];
+  if (!generate) return null;
+
+  const latestHour = Math.floor(now.getTime() / 1000 / HOUR) * HOUR;
+  const latestQuarter = Math.floor(now.getTime() / 1000 / 900) * 900;
+  const firstRecent = latestHour - (days * 24 - 1) * HOUR;
+  const times = {
+    recent: {
+      hourly: snapshotTimes(latestHour, HOUR, days * 24),
+      prices: snapshotTimes(latestQuarter, 900, days * 96)
+    },
+    history: snapshotTimes(Math.floor(firstRecent / DAY) * DAY - DAY, DAY, historyDays)
+  };
+  const tableSeed = createHash('sha1').update(`${seed}:${table}`).digest().readUInt32LE(0);
+  return generate(createRandom(tableSeed), times);
+}
+
+// ========================================
+// SEEDING
+// ========================================
+
+const INSERT_BATCH_ROWS = 1000;
+
+async function insertRows(client, table, columns, rows) {
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_ROWS) {
+    const batch = rows.slice(start, start + INSERT_BATCH_ROWS);
+    const values = [];
+    const tuples = batch.map(row => {
+      const placeholders = columns.map(column => {
+        values.push(row[column] ?? null);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+    await client.query(
+      `INSERT INTO ${qualified(table)} (${columns.map(ident).join(', ')}) VALUES ${tuples.join(', ')}`,
+      values
+    );
+  }
+}
+
+/**
+ * Recreate every registry table and fill it with synthetic rows, in one transaction
+ * Existing tables of the same name are dropped - only ever point this at a local database.
+ * @param {import('pg').Pool} pool
+ * @param {Object} registry - Parsed llm_table_registry.json
+ * @param {Object} options - generateRows options, plus:
+ * @param {string[]|null} options.tables - Only these tables (default: all in the registry)
+ * @param {string|null} options.readOnlyRole - Role to grant SELECT to (e.g. LLM_SQL_ROLE), if it exists
+ * @returns {Promise<Array<{table: string, rows: number|null}>>} - rows is null for tables without a generator
+ */
+export async function seedDatabase(pool, registry, { tables = null, readOnlyRole = null, ...options } = {}) {
+  const wanted = Object.keys(registry).filter(k => k.includes('.') && (!tables || tables.includes(k)));
+  const client = await pool.connect();
+  const seeded = [];
+  try {
+    await client.query('BEGIN');
+    const { rows: [role] } = readOnlyRole
+      ? await client.query('SELECT 1 FROM pg_roles WHERE rolname = $1', [readOnlyRole])
+      : { rows: [] };
+
+    for (const table of wanted) {
+      const schema = table.split('.')[0];
+      await client.query(`CREATE SCHEMA IF NOT EXISTS ${ident(schema)}`);
+      for (const statement of tableDdl(table, registry[table])) await client.query(statement);
+
+      const rows = generateRows(table, options);
+      if (rows) await insertRows(client, table, Object.keys(registry[table].columns || {}), rows);
+      if (role) {
+        await client.query(`GRANT USAGE ON SCHEMA ${ident(schema)} TO ${ident(readOnlyRole)}`);
+        await client.query(`GRANT SELECT ON ${qualified(table)} TO ${ident(readOnlyRole)}`);
+      }
+      seeded.push({ table, rows: rows ? rows.length : null });
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Fresh statistics so the planner doesn't guess on brand-new tables
+  for (const { table } of seeded) await pool.query(`ANALYZE ${qualified(table)}`);
+  return seeded;
+}
@@ -0,0 +1,68 @@
+// lib/tokens.js - Token counting for the OpenAI models we call
+// Uses the same BPE encodings as the API (o200k_base for gpt-4.1 / gpt-4o, cl100k_base for older models).
+
+import { getEncoding, getEncodingNameForModel } from 'js-tiktoken';
+
+// Encoders are expensive to build - cache one per encoding name
+const encoderCache = new Map();
+
+// Chat formatting overhead per message / per reply (OpenAI cookbook numbers for current chat models)
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+function encodingNameFor(model) {
+  try {
+    return getEncodingNameForModel(model);
+  } catch {
+    // Unknown / newer model names: current OpenAI chat models all use o200k_base
+    return 'o200k_base';
+  }
+}
+
+function getEncoder(model) {
+  const name = encodingNameFor(model);
+  if (!encoderCache.has(name)) {
+    encoderCache.set(name, getEncoding(name));
+  }
+  return encoderCache.get(name);
+}
+
+/**
+ * Count tokens in a string
+ * @param {string} text
+ * @param {string} model - Model name (e.g. "gpt-4.1")
+ * @returns {number}
+ */
+export function countTokens(text, model = 'gpt-4.1') {
+  if (!text) return 0;
+  return getEncoder(model).encode(String(text)).length;
+}
+
+/**
+ * Count prompt tokens for a chat completion request
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {string} model
+ * @returns {number}
+ */
+export function countMessageTokens(messages, model = 'gpt-4.1') {
+  let total = TOKENS_PER_REPLY;
+  for (const msg of messages || []) {
+    total += TOKENS_PER_MESSAGE + countTokens(msg.role, model) + countTokens(msg.content, model);
+  }
+  return total;
+}
+
+/**
+ * Cut text down to at most maxTokens tokens (on a token boundary)
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {string} model
+ * @returns {string}
+ */
+export function truncateToTokens(text, maxTokens, model = 'gpt-4.1') {
+  if (!text || maxTokens <= 0) return '';
+  const encoder = getEncoder(model);
+  const tokens = encoder.encode(String(text));
+  if (tokens.length <= maxTokens) return String(text);
+  return `${encoder.decode(tokens.slice(0, Math.max(0, maxTokens - 1)))}…`;
+}
@@ -0,0 +1,6 @@
+-- Revert migration 001. Destroys all backend conversation data.
+DROP TABLE IF EXISTS "user"."messages";
+DROP TABLE IF EXISTS "user"."conversations";
+DROP TABLE IF EXISTS "user"."user";
+-- The schema goes only if nothing else lives in it
+DROP SCHEMA IF EXISTS "user" RESTRICT;
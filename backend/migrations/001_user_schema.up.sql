@@ -0,0 +1,54 @@
+-- Migration 001: the "user" schema the backend reads and writes
+--
+-- Users, conversations and messages as used by conversations/db-queries.js and lib/query-logger.js.
+-- (supabase_migrations/002 creates the frontend's separate public.conversations/messages tables.)
+-- IF NOT EXISTS throughout, so databases set up by hand before migrations existed are adopted as-is.
+
+CREATE SCHEMA IF NOT EXISTS "user";
+
+CREATE TABLE IF NOT EXISTS "user"."user" (
+    user_id UUID PRIMARY KEY,           -- Supabase auth user id (sub claim of the JWT)
+    email VARCHAR(255),
+    username VARCHAR(255),
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS "user"."conversations" (
+    conversation_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES "user"."user"(user_id) ON DELETE CASCADE,
+    title VARCHAR(255),
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,   -- summary, activeLeafId, activeBranchId
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Conversation list, most recently updated first (keyset pagination on updated_at, conversation_id)
+CREATE INDEX IF NOT EXISTS idx_user_conversations_user_updated
+    ON "user"."conversations"(user_id, updated_at DESC, conversation_id DESC);
+
+CREATE TABLE IF NOT EXISTS "user"."messages" (
+    message_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID NOT NULL REFERENCES "user"."conversations"(conversation_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES "user"."user"(user_id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+    content TEXT NOT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,   -- sql, resultSummary, result, parentId, branchId, ...
+    created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+-- History, pagination and getMessagesAfter all walk a conversation in created_at order
+CREATE INDEX IF NOT EXISTS idx_user_messages_conversation_created
+    ON "user"."messages"(conversation_id, created_at, message_id);
+
+-- Per-user deletes and the retention purge
+CREATE INDEX IF NOT EXISTS idx_user_messages_user_created
+    ON "user"."messages"(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_user_messages_created
+    ON "user"."messages"(created_at);
+
+-- Only the backend's own database role touches these tables; Supabase's API roles get nothing
+ALTER TABLE "user"."user" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "user"."conversations" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "user"."messages" ENABLE ROW LEVEL SECURITY;
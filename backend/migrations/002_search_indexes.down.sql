@@ -0,0 +1,3 @@
+-- Revert migration 002
+DROP INDEX IF EXISTS "user"."idx_conversations_title_fts";
+DROP INDEX IF EXISTS "user"."idx_messages_content_fts";
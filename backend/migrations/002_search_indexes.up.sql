@@ -0,0 +1,7 @@
+-- Migration 002: full-text search indexes (conversations/README.md#search)
+-- Expression indexes matching the to_tsvector('english', ...) calls in searchUserMessages
+
+CREATE INDEX IF NOT EXISTS idx_messages_content_fts
+    ON "user"."messages" USING GIN (to_tsvector('english', content));
+CREATE INDEX IF NOT EXISTS idx_conversations_title_fts
+    ON "user"."conversations" USING GIN (to_tsvector('english', title));
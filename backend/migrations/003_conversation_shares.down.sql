@@ -0,0 +1,2 @@
+-- Revert migration 003. Every share link stops working.
+DROP TABLE IF EXISTS "user"."conversation_shares";
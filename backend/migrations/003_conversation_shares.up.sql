@@ -0,0 +1,22 @@
+-- Migration 003: read-only share links for conversations
+--
+-- A share is a frozen snapshot of a conversation's active branch, served without authentication
+-- at /api/shared/:token. Only a SHA-256 hash of the token is stored; the token itself is shown
+-- to the owner once, when the share is created.
+
+CREATE TABLE IF NOT EXISTS "user"."conversation_shares" (
+    share_id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    conversation_id UUID NOT NULL REFERENCES "user"."conversations"(conversation_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES "user"."user"(user_id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_shares_conversation
+    ON "user"."conversation_shares"(conversation_id, created_at DESC);
+
+-- Only the backend (service role) reads or writes shares; the public endpoint looks them up by token hash
+ALTER TABLE "user"."conversation_shares" ENABLE ROW LEVEL SECURITY;
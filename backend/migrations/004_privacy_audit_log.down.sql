@@ -0,0 +1,2 @@
+-- Revert migration 004. Discards the privacy audit trail.
+DROP TABLE IF EXISTS "user"."privacy_audit_log";
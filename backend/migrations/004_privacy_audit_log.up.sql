@@ -0,0 +1,17 @@
+-- Migration 004: audit log for privacy requests and retention purges
+--
+-- One row per data export, account-data deletion and retention purge (lib/privacy.js).
+-- user_id has no foreign key on purpose: the entry has to outlive the user it records.
+
+CREATE TABLE IF NOT EXISTS "user"."privacy_audit_log" (
+    audit_id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID,                 -- NULL for retention purges (they span all users)
+    action TEXT NOT NULL CHECK (action IN ('export', 'delete', 'retention_purge')),
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_audit_log_user
+    ON "user"."privacy_audit_log"(user_id, created_at DESC);
+
+ALTER TABLE "user"."privacy_audit_log" ENABLE ROW LEVEL SECURITY;
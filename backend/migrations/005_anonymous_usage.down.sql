@@ -0,0 +1,2 @@
+-- Revert migration 005. Anonymous callers lose today's counts.
+DROP TABLE IF EXISTS "user"."anonymous_usage";
@@ -0,0 +1,16 @@
+-- Migration 005: per-IP daily query counters for anonymous /api/query callers (lib/quota.js)
+--
+-- public.user_api_usage needs an auth user, so anonymous callers are counted here instead.
+-- The IP is stored only as a SHA-256 hash salted with the day, so rows can't be linked across days.
+
+CREATE TABLE IF NOT EXISTS "user"."anonymous_usage" (
+    ip_hash TEXT NOT NULL,
+    day DATE NOT NULL,                 -- UTC
+    queries INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (ip_hash, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_anonymous_usage_day
+    ON "user"."anonymous_usage"(day);
+
+ALTER TABLE "user"."anonymous_usage" ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,2 @@
+-- Revert migration 006. Every API key stops working.
+DROP TABLE IF EXISTS "user"."api_keys";
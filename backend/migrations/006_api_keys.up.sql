@@ -0,0 +1,24 @@
+-- Migration 006: API keys for scripts and scheduled jobs (lib/api-keys.js)
+--
+-- A key acts as its owner, limited to its scopes. Only a SHA-256 hash of the key is stored;
+-- the key itself is shown once, when it is created. key_prefix is kept so lists can tell keys apart.
+
+CREATE TABLE IF NOT EXISTS "user"."api_keys" (
+    key_id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES "user"."user"(user_id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL CHECK (
+        cardinality(scopes) > 0 AND scopes <@ ARRAY['query', 'conversations', 'admin']::text[]
+    ),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,             -- NULL = never
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user
+    ON "user"."api_keys"(user_id, created_at DESC);
+
+ALTER TABLE "user"."api_keys" ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,2 @@
+-- Revert migration 007. Recorded LLM usage and costs are lost.
+DROP TABLE IF EXISTS "user"."llm_usage";
@@ -0,0 +1,31 @@
+-- Migration 007: LLM token usage and cost per /api/query request (lib/costs.js)
+--
+-- One row per request that called a model, with per-stage totals in "stages". Prices come from
+-- config/llm_prices.json at the time of the request; cost_usd leaves out models listed in unpriced_models.
+-- request_id is the X-Request-Id, which callers may set, so it is not unique.
+
+CREATE TABLE IF NOT EXISTS "user"."llm_usage" (
+    usage_id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    request_id TEXT NOT NULL,
+    user_id UUID REFERENCES "user"."user"(user_id) ON DELETE CASCADE,   -- NULL = anonymous
+    intent TEXT,                        -- detectQueryIntent(), NULL if routed before that
+    source TEXT,                        -- database_query, general_knowledge, meta_response; NULL = no answer
+    status_code INTEGER NOT NULL,
+    llm_calls INTEGER NOT NULL,
+    retry_calls INTEGER NOT NULL DEFAULT 0,
+    prompt_tokens INTEGER NOT NULL,
+    completion_tokens INTEGER NOT NULL,
+    cost_usd NUMERIC(12, 6) NOT NULL,
+    estimated BOOLEAN NOT NULL DEFAULT FALSE,   -- some usage was counted locally, not reported by the server
+    unpriced_models TEXT[] NOT NULL DEFAULT '{}',
+    stages JSONB NOT NULL DEFAULT '{}',         -- { planner: { calls, model, prompt_tokens, completion_tokens, cost_usd }, ... }
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created
+    ON "user"."llm_usage"(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user
+    ON "user"."llm_usage"(user_id, created_at DESC);
+
+ALTER TABLE "user"."llm_usage" ENABLE ROW LEVEL SECURITY;
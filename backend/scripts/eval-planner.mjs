@@ -0,0 +1,68 @@
+// scripts/eval-planner.mjs — score the text-to-SQL planner against the golden set (see lib/eval.js)
+//
+//   node scripts/eval-planner.mjs                          # eval/golden.json, report on stdout
+//   node scripts/eval-planner.mjs --only price-eth-latest,pools-top-tvl
+//   node scripts/eval-planner.mjs --golden my-set.json --out report.txt --json results.json
+//   node scripts/eval-planner.mjs --verbose                # keep the pipeline's own logging
+//
+// Runs against DATABASE_URL (a seeded local Postgres, with DATABASE_SSL=false) and the configured
+// LLM_PROVIDER. Save the report on two branches and diff them to see what a prompt change did.
+import 'dotenv/config';
+import { writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDbPool } from '../lib/db.js';
+import { loadGoldenSet, evaluateQuestion, formatReport } from '../lib/eval.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+const goldenFile = option('--golden') || path.resolve(__dirname, '../eval/golden.json');
+const only = option('--only')?.split(',');
+const verbose = args.includes('--verbose');
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL must point at the seeded Postgres to evaluate against');
+  process.exit(1);
+}
+
+// The report goes to stdout; the pipeline's per-step logging would bury it
+const print = console.log.bind(console);
+if (!verbose) console.log = () => {};
+
+const { answerQuery, liveServices } = await import('../api/query.js');
+
+// Anonymous, unmetered and nothing persisted - only planning, the guard and the database are live
+const services = {
+  ...liveServices(),
+  authenticate: async () => ({ status: 'anonymous', userId: null }),
+  checkQuota: async () => ({ allowed: true, scope: 'eval', plan: 'eval', limit: null, used: null, remaining: null, resetAt: null }),
+  ensureUserExists: async () => {},
+  logQuery: async () => null,
+  afterTurnSaved: async () => null
+};
+
+const pool = getDbPool();
+try {
+  const golden = (await loadGoldenSet(goldenFile)).filter(item => !only || only.includes(item.id));
+  const results = [];
+  for (const item of golden) {
+    console.error(`… ${item.id}`);
+    results.push(await evaluateQuestion(item, { answerQuery, services, pool }));
+  }
+
+  const { llm } = services;
+  const report = formatReport(results, {
+    provider: llm.name,
+    models: { planner: llm.modelFor('planner'), retry: llm.modelFor('retry') }
+  });
+  print(report);
+  if (option('--out')) await writeFile(option('--out'), report);
+  if (option('--json')) await writeFile(option('--json'), JSON.stringify(results, null, 2) + '\n');
+} catch (error) {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
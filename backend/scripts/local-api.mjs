@@ -4,14 +4,64 @@ import url from 'url';
 import fs from 'fs';
 import path from 'path';
 import handler from '../api/query.js';     // your existing API handler
+import conversationsHandler from '../api/conversations/index.js';
+import searchHandler from '../api/conversations/search.js';
+import importHandler from '../api/conversations/import.js';
+import conversationHandler from '../api/conversations/[conversationId]/index.js';
+import titleHandler from '../api/conversations/[conversationId]/title.js';
+import exportHandler from '../api/conversations/[conversationId]/export.js';
+import sharesHandler from '../api/conversations/[conversationId]/shares/index.js';
+import shareHandler from '../api/conversations/[conversationId]/shares/[shareId].js';
+import sharedHandler from '../api/shared/[token].js';
+import accountDataHandler from '../api/account/data.js';
+import apiKeysHandler from '../api/account/api-keys/index.js';
+import apiKeyHandler from '../api/account/api-keys/[keyId].js';
+import llmCostsHandler from '../api/admin/llm-costs.js';
+import messagesHandler from '../api/conversations/[conversationId]/messages/index.js';
+import messageHandler from '../api/conversations/[conversationId]/messages/[messageId]/index.js';
+import regenerateHandler from '../api/conversations/[conversationId]/messages/[messageId]/regenerate.js';
 
 const PORT = process.env.PORT || 3000;
 
+// Vercel routes by file name; mirror the api/ tree here. Capture groups fill req.query like [param] files do.
+const routes = [
+  { pattern: /^\/api\/query\/?$/, params: [], handler },
+  { pattern: /^\/api\/conversations\/?$/, params: [], handler: conversationsHandler },
+  { pattern: /^\/api\/conversations\/search\/?$/, params: [], handler: searchHandler }, // before [conversationId], as on Vercel
+  { pattern: /^\/api\/conversations\/import\/?$/, params: [], handler: importHandler },
+  { pattern: /^\/api\/conversations\/([^/]+)\/?$/, params: ['conversationId'], handler: conversationHandler },
+  { pattern: /^\/api\/conversations\/([^/]+)\/title\/?$/, params: ['conversationId'], handler: titleHandler },
+  { pattern: /^\/api\/conversations\/([^/]+)\/export\/?$/, params: ['conversationId'], handler: exportHandler },
+  { pattern: /^\/api\/conversations\/([^/]+)\/shares\/?$/, params: ['conversationId'], handler: sharesHandler },
+  { pattern: /^\/api\/conversations\/([^/]+)\/shares\/([^/]+)\/?$/, params: ['conversationId', 'shareId'], handler: shareHandler },
+  { pattern: /^\/api\/conversations\/([^/]+)\/messages\/?$/, params: ['conversationId'], handler: messagesHandler },
+  { pattern: /^\/api\/conversations\/([^/]+)\/messages\/([^/]+)\/?$/, params: ['conversationId', 'messageId'], handler: messageHandler },
+  { pattern: /^\/api\/conversations\/([^/]+)\/messages\/([^/]+)\/regenerate\/?$/, params: ['conversationId', 'messageId'], handler: regenerateHandler },
+  { pattern: /^\/api\/shared\/([^/]+)\/?$/, params: ['token'], handler: sharedHandler },
+  { pattern: /^\/api\/account\/data\/?$/, params: [], handler: accountDataHandler },
+  { pattern: /^\/api\/account\/api-keys\/?$/, params: [], handler: apiKeysHandler },
+  { pattern: /^\/api\/account\/api-keys\/([^/]+)\/?$/, params: ['keyId'], handler: apiKeyHandler },
+  { pattern: /^\/api\/admin\/llm-costs\/?$/, params: [], handler: llmCostsHandler },
+];
+
+// Handlers check the method themselves (405 + Allow) and answer CORS preflights
+function matchRoute(pathname) {
+  for (const route of routes) {
+    const match = pathname.match(route.pattern);
+    if (!match) continue;
+    const params = {};
+    route.params.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]); });
+    return { route, params };
+  }
+  return null;
+}
+
 const server = http.createServer(async (req, res) => {
-  const { pathname } = url.parse(req.url, true);
+  const { pathname, query } = url.parse(req.url, true);
 
   // Handle API requests
-  if (req.method === 'POST' && pathname === '/api/query') {
+  const matched = matchRoute(pathname);
+  if (matched) {
     let raw = '';
     req.on('data', (c) => (raw += c));
     req.on('end', async () => {
@@ -23,21 +73,25 @@ const server = http.createServer(async (req, res) => {
         url: req.url,
         method: req.method,
         headers: req.headers,
+        query: { ...query, ...matched.params },
         body: req.body
       };
       
       const vercelRes = {
+        get statusCode() { return res.statusCode; },
         setHeader: (name, value) => res.setHeader(name, value),
         status: (code) => { res.statusCode = code; return vercelRes; },
         json: (data) => {
           res.setHeader('content-type', 'application/json');
           res.end(JSON.stringify(data));
         },
+        writeHead: (code, headers) => res.writeHead(code, headers),
+        write: (chunk) => res.write(chunk),
         end: (data) => res.end(data)
       };
       
       try { 
-        await handler(vercelReq, vercelRes); 
+        await matched.route.handler(vercelReq, vercelRes); 
       }
       catch (e) {
         res.statusCode = 500;
@@ -0,0 +1,74 @@
+// scripts/migrate.mjs — apply / revert the backend's schema migrations (backend/migrations)
+//
+//   node scripts/migrate.mjs status
+//   node scripts/migrate.mjs up               # apply everything pending
+//   node scripts/migrate.mjs up --to 2        # apply up to and including version 2
+//   node scripts/migrate.mjs down             # revert the last applied migration
+//   node scripts/migrate.mjs down --steps 2
+//
+// Uses DATABASE_URL; set DATABASE_SSL=false for a local Postgres without TLS.
+import 'dotenv/config';
+import { getDbPool } from '../lib/db.js';
+import { migrationStatus, migrateUp, migrateDown } from '../lib/migrations.js';
+
+const USAGE = 'Usage: migrate.mjs status | up [--to <version>] | down [--steps <n>]';
+
+const [command = 'status', ...args] = process.argv.slice(2);
+
+// Whole-number option, undefined when not given; a missing or malformed value is a usage error
+// (otherwise `up --to` with a typo would apply every pending migration)
+function wholeNumberOption(name, min) {
+  if (!args.includes(name)) return undefined;
+  const raw = args[args.indexOf(name) + 1];
+  const value = Number(raw);
+  if (raw === undefined || !/^\d+$/.test(raw) || !Number.isInteger(value) || value < min) {
+    console.error(`${name} needs a whole number${min ? ` of at least ${min}` : ''}\n${USAGE}`);
+    process.exit(1);
+  }
+  return value;
+}
+
+async function run(pool) {
+  switch (command) {
+    case 'status': {
+      const status = await migrationStatus(pool);
+      for (const m of status) {
+        const state = m.missing ? 'applied, file missing'
+          : m.modified ? 'applied, file changed since'
+          : m.applied ? `applied ${new Date(m.appliedAt).toISOString()}`
+          : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')} ${m.name.padEnd(28)} ${state}`);
+      }
+      return;
+    }
+    case 'up': {
+      const done = await migrateUp(pool, { to: wholeNumberOption('--to', 0) ?? null });
+      console.log(done.length ? `✅ Applied ${done.length} migration(s)` : 'ℹ️  Database is up to date');
+      return;
+    }
+    case 'down': {
+      const done = await migrateDown(pool, { steps: wholeNumberOption('--steps', 1) ?? 1 });
+      console.log(done.length ? `✅ Reverted ${done.length} migration(s)` : 'ℹ️  No migrations to revert');
+      return;
+    }
+  }
+}
+
+if (!['status', 'up', 'down'].includes(command)) {
+  console.error(`Unknown command "${command}" - use status, up or down\n${USAGE}`);
+  process.exit(1);
+}
+// Check the options before connecting
+wholeNumberOption('--to', 0);
+wholeNumberOption('--steps', 1);
+
+let pool = null;
+try {
+  pool = getDbPool();
+  await run(pool);
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool?.end();
+}
@@ -0,0 +1,29 @@
+// scripts/purge-messages.mjs — retention policy job: delete conversation messages older than N days
+//
+//   node scripts/purge-messages.mjs              # uses MESSAGE_RETENTION_DAYS
+//   node scripts/purge-messages.mjs --days 365
+//   node scripts/purge-messages.mjs --dry-run    # only count what would be deleted
+//
+// Run it from cron (or a scheduled job) once a day. Without a retention period it does nothing.
+import 'dotenv/config';
+import { getDbPool } from '../lib/db.js';
+import { purgeExpiredMessages } from '../lib/privacy.js';
+
+const args = process.argv.slice(2);
+const daysArg = args.includes('--days') ? args[args.indexOf('--days') + 1] : process.env.MESSAGE_RETENTION_DAYS;
+const dryRun = args.includes('--dry-run');
+
+if (!daysArg) {
+  console.log('ℹ️  No retention period set (MESSAGE_RETENTION_DAYS or --days) - nothing to purge');
+  process.exit(0);
+}
+
+try {
+  const result = await purgeExpiredMessages({ days: Number(daysArg), dryRun });
+  console.log(JSON.stringify(result, null, 2));
+} catch (error) {
+  console.error('❌ Retention purge failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await getDbPool().end();
+}
@@ -0,0 +1,67 @@
+// scripts/replay-fixture.mjs — re-run recorded /api/query requests offline (see lib/fixtures.js)
+//
+//   node scripts/replay-fixture.mjs fixtures/3f2c9e1a-....json
+//   node scripts/replay-fixture.mjs fixtures/              # every fixture in a directory
+//   node scripts/replay-fixture.mjs fixtures/ --live-llm   # real model calls (LLM_PROVIDER), recorded SQL rows
+//   node scripts/replay-fixture.mjs fixtures/x.json --show # also print the replayed response
+//
+// Exits with 1 when a replayed response differs from the recorded one or the fixture runs out of answers.
+// No database is touched: DATABASE_URL is ignored. --live-llm needs the provider's credentials.
+import 'dotenv/config';
+import { readdir, stat } from 'fs/promises';
+import path from 'path';
+import { loadFixture, replayFixture } from '../lib/fixtures.js';
+
+const args = process.argv.slice(2);
+const liveLlm = args.includes('--live-llm');
+const show = args.includes('--show');
+const targets = args.filter(a => !a.startsWith('--'));
+
+if (!targets.length) {
+  console.error('Usage: node scripts/replay-fixture.mjs <fixture.json|dir>... [--live-llm] [--show]');
+  process.exit(1);
+}
+
+// The pipeline warms its schema allow-list on import when a database is configured
+delete process.env.DATABASE_URL;
+const { answerQuery } = await import('../api/query.js');
+const llm = liveLlm ? (await import('../lib/llm.js')).getLlmProvider() : null;
+
+async function fixtureFiles(target) {
+  if (!(await stat(target)).isDirectory()) return [target];
+  const names = (await readdir(target)).filter(n => n.endsWith('.json')).sort();
+  return names.map(n => path.join(target, n));
+}
+
+const short = (value) => {
+  const text = JSON.stringify(value) ?? 'undefined';
+  return text.length > 160 ? `${text.slice(0, 157)}...` : text;
+};
+
+let failed = 0;
+let total = 0;
+for (const target of targets) {
+  for (const file of await fixtureFiles(target)) {
+    total++;
+    try {
+      const fixture = await loadFixture(file);
+      const { response, differences, promptChanges, problems } = await replayFixture(fixture, answerQuery, { llm });
+      const ok = !differences.length && !problems.length;
+      if (!ok) failed++;
+
+      console.log(`${ok ? '✅' : '❌'} ${file} (${fixture.request.body?.question ?? fixture.request.url})`);
+      if (promptChanges.length) console.log(`   prompt changed: ${promptChanges.join(', ')}`);
+      for (const problem of problems) console.log(`   ${problem}`);
+      for (const d of differences) {
+        console.log(`   ${d.path}\n     recorded: ${short(d.recorded)}\n     replayed: ${short(d.replayed)}`);
+      }
+      if (show) console.log(JSON.stringify(response, null, 2));
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${file}: ${error.message}`);
+    }
+  }
+}
+
+console.log(`\n${total - failed}/${total} fixture(s) replayed identically`);
+process.exitCode = failed ? 1 : 0;
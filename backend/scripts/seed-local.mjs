@@ -0,0 +1,59 @@
+// scripts/seed-local.mjs — create the registry tables (update.* / clean.*) in a local Postgres and fill them
+// with synthetic data (see lib/seed.js)
+//
+//   node scripts/seed-local.mjs                       # every registry table, seed 42
+//   node scripts/seed-local.mjs --seed 7 --days 14 --history-days 365
+//   node scripts/seed-local.mjs --only update.cl_pool_hist,clean.cl_pool_hist
+//
+// Existing tables of the same name are dropped. DATABASE_URL must point at localhost (or a docker service
+// name) unless --allow-remote is given. Set DATABASE_SSL=false for a Postgres without TLS.
+import 'dotenv/config';
+import { getDbPool, llmSqlRole } from '../lib/db.js';
+import { loadRegistry } from '../lib/schema.js';
+import { seedDatabase } from '../lib/seed.js';
+
+const args = process.argv.slice(2);
+const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+const numberOption = (name, fallback) => (option(name) !== undefined ? Number(option(name)) : fallback);
+
+// Loopback, or a single-label host such as a docker compose service ("db", "postgres")
+const isLocalHost = (host) => ['localhost', '127.0.0.1', '::1', '[::1]', 'host.docker.internal'].includes(host) || !host.includes('.');
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL must point at the local Postgres to seed');
+  process.exit(1);
+}
+const host = new URL(process.env.DATABASE_URL).hostname;
+if (!isLocalHost(host) && !args.includes('--allow-remote')) {
+  console.error(`Refusing to drop and reseed tables on ${host} - use a local database (or --allow-remote)`);
+  process.exit(1);
+}
+
+const options = {
+  seed: numberOption('--seed', 42),
+  days: numberOption('--days', 7),
+  historyDays: numberOption('--history-days', 180),
+  tables: option('--only')?.split(',') ?? null,
+  readOnlyRole: llmSqlRole()
+};
+if (![options.seed, options.days, options.historyDays].every(n => Number.isInteger(n) && n >= 0) || !options.days) {
+  console.error('--seed, --days and --history-days must be whole numbers (--days at least 1)');
+  process.exit(1);
+}
+
+let pool = null;
+try {
+  pool = getDbPool();
+  const seeded = await seedDatabase(pool, await loadRegistry(), options);
+  for (const { table, rows } of seeded) {
+    console.log(rows === null
+      ? `⚠️  ${table.padEnd(36)} created empty (no generator in lib/seed.js)`
+      : `✅ ${table.padEnd(36)} ${rows} rows`);
+  }
+  if (!seeded.length) console.log('ℹ️  No registry tables matched');
+} catch (error) {
+  console.error('❌ Seeding failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool?.end();
+}
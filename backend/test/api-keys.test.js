@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, randomUUID } from 'crypto';
+import {
+  createApiKey, hasScope, isApiKey, listApiKeys, revokeApiKey, toApiKeyResource, verifyApiKey
+} from '../lib/api-keys.js';
+import { needsPostgres, quietly, withScratchDatabase } from './helpers/postgres.js';
+
+const KEY_PATTERN = /^thk_[A-Za-z0-9_-]{43}$/;
+const sha256 = (key) => createHash('sha256').update(key).digest('hex');
+
+test('admin keys reach every scope, other keys only their own', () => {
+  assert.equal(hasScope(['admin'], 'query'), true);
+  assert.equal(hasScope(['admin'], 'conversations'), true);
+  assert.equal(hasScope(['query'], 'query'), true);
+  assert.equal(hasScope(['query'], 'conversations'), false);
+  assert.equal(hasScope(['query', 'conversations'], 'admin'), false);
+});
+
+test('API keys are told apart from session JWTs by their prefix', () => {
+  assert.equal(isApiKey(`thk_${'a'.repeat(43)}`), true);
+  assert.equal(isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.sig'), false);
+  assert.equal(isApiKey(undefined), false);
+});
+
+test('key resources report their status and never the hash', () => {
+  const row = { key_id: randomUUID(), name: 'cron', key_prefix: 'thk_abcdefgh', scopes: ['query'], key_hash: 'x' };
+  assert.equal(toApiKeyResource(row).status, 'active');
+  assert.equal(toApiKeyResource({ ...row, expires_at: new Date(Date.now() - 1000) }).status, 'expired');
+  assert.equal(toApiKeyResource({ ...row, revoked_at: new Date(), expires_at: new Date(Date.now() - 1000) }).status, 'revoked');
+  assert.ok(!Object.values(toApiKeyResource(row)).includes('x'));
+});
+
+test('bad key input is refused before touching the database', async () => {
+  const userId = randomUUID();
+  for (const input of [
+    { name: '', scopes: ['query'] },
+    { name: 'x'.repeat(101), scopes: ['query'] },
+    { name: 'cron', scopes: [] },
+    { name: 'cron', scopes: ['root'] },
+    { name: 'cron', scopes: ['query'], expiresAt: '2020-01-01T00:00:00Z' },
+    { name: 'cron', scopes: ['query'], expiresAt: 'soon' }
+  ]) {
+    await assert.rejects(createApiKey(userId, input, { pool: null }), { code: 'INVALID_INPUT' });
+  }
+  assert.equal(await verifyApiKey('thk_short', { pool: null }), null);
+});
+
+test('keys are created for a user without a user row, stored hashed and verified', needsPostgres, async () => {
+  await withScratchDatabase(async (pool) => {
+    const userId = randomUUID();
+    const { apiKey, key } = await quietly(() =>
+      createApiKey(userId, { name: ' nightly job ', scopes: ['query', 'query'] }, { pool })
+    );
+    assert.match(key, KEY_PATTERN);
+    assert.equal(apiKey.key_prefix, key.slice(0, 12));
+    assert.equal(apiKey.name, 'nightly job');
+    assert.deepEqual(apiKey.scopes, ['query']);
+
+    const { rows: [stored] } = await pool.query('SELECT key_hash FROM "user"."api_keys" WHERE key_id = $1', [apiKey.key_id]);
+    assert.equal(stored.key_hash, sha256(key));
+    const { rows: users } = await pool.query('SELECT 1 FROM "user"."user" WHERE user_id = $1', [userId]);
+    assert.equal(users.length, 1);
+
+    assert.deepEqual(await verifyApiKey(key, { pool }), { userId, keyId: apiKey.key_id, scopes: ['query'] });
+    assert.equal(await verifyApiKey(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`, { pool }), null);
+    const { rows: [used] } = await pool.query('SELECT last_used_at FROM "user"."api_keys" WHERE key_id = $1', [apiKey.key_id]);
+    assert.ok(used.last_used_at);
+  });
+});
+
+test('revoked and expired keys stop working, and at most 25 keys are active', needsPostgres, async () => {
+  await withScratchDatabase(async (pool) => {
+    const userId = randomUUID();
+    const create = (name) => quietly(() => createApiKey(userId, { name, scopes: ['conversations'] }, { pool }));
+
+    const created = [];
+    for (let i = 0; i < 25; i++) created.push(await create(`key ${i}`));
+    await assert.rejects(create('one too many'), { code: 'INVALID_INPUT' });
+
+    const [revoked, expired] = created;
+    const row = await quietly(() => revokeApiKey(userId, revoked.apiKey.key_id, { pool }));
+    assert.equal(toApiKeyResource(row).status, 'revoked');
+    assert.equal(await verifyApiKey(revoked.key, { pool }), null);
+    assert.equal(await quietly(() => revokeApiKey(randomUUID(), expired.apiKey.key_id, { pool })), null);
+
+    await pool.query(`UPDATE "user"."api_keys" SET expires_at = NOW() - INTERVAL '1 minute' WHERE key_id = $1`,
+      [expired.apiKey.key_id]);
+    assert.equal(await verifyApiKey(expired.key, { pool }), null);
+
+    // The revoked and the expired key no longer count against the cap
+    await create('replacement 1');
+    await create('replacement 2');
+    await assert.rejects(create('one too many'), { code: 'INVALID_INPUT' });
+
+    const statuses = (await listApiKeys(userId, { pool })).map(k => toApiKeyResource(k).status);
+    assert.equal(statuses.length, 27);
+    assert.equal(statuses.filter(s => s === 'active').length, 25);
+  });
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { InMemoryConversationStore } from '../conversations/conversation-store.js';
+
+const USER = randomUUID();
+const OTHER_USER = randomUUID();
+
+async function conversationWithTurns(store, turns, { title = null } = {}) {
+  const conversation = await store.createConversation(USER, { title });
+  for (const [question, answer] of turns) {
+    await store.appendTurn(USER, conversation.conversation_id, question, answer);
+  }
+  return conversation.conversation_id;
+}
+
+test('appendTurn stores the question and answer as a parent/child pair', async () => {
+  const store = new InMemoryConversationStore();
+  const conversation = await store.createConversation(USER);
+  const { userMessage, assistantMessage } = await store.appendTurn(
+    USER, conversation.conversation_id, 'What is the ETH price?', 'About $3,000.', { intent: 'price_query' }
+  );
+
+  assert.equal(userMessage.role, 'user');
+  assert.equal(assistantMessage.role, 'assistant');
+  assert.equal(assistantMessage.metadata.parentId, userMessage.message_id);
+  assert.equal(assistantMessage.metadata.intent, 'price_query');
+  assert.deepEqual(await store.getMessage(USER, conversation.conversation_id, userMessage.message_id), userMessage);
+});
+
+test('appending to another user\'s conversation is refused', async () => {
+  const store = new InMemoryConversationStore();
+  const conversation = await store.createConversation(USER);
+  await assert.rejects(
+    store.appendMessage(OTHER_USER, conversation.conversation_id, 'user', 'hi'),
+    { code: 'CONVERSATION_NOT_FOUND' }
+  );
+  assert.equal(await store.getConversation(OTHER_USER, conversation.conversation_id), null);
+  await assert.rejects(store.appendMessage(USER, conversation.conversation_id, 'robot', 'hi'), { code: 'INVALID_INPUT' });
+});
+
+test('getContext returns the active branch in order, limited to the newest messages', async () => {
+  const store = new InMemoryConversationStore();
+  const conversationId = await conversationWithTurns(store, [
+    ['q1', 'a1'],
+    ['q2', 'a2'],
+    ['q3', 'a3']
+  ]);
+
+  const context = await store.getContext(USER, conversationId);
+  assert.deepEqual(context.messages.map(m => m.content), ['q1', 'a1', 'q2', 'a2', 'q3', 'a3']);
+  assert.equal(context.messageCount, 6);
+
+  const recent = await store.getContext(USER, conversationId, { limit: 2 });
+  assert.deepEqual(recent.messages.map(m => m.content), ['q3', 'a3']);
+  assert.equal(await store.getContext(OTHER_USER, conversationId), null);
+});
+
+test('messages page newest first, each page in chronological order', async () => {
+  const store = new InMemoryConversationStore();
+  const conversationId = await conversationWithTurns(store, [['q1', 'a1'], ['q2', 'a2'], ['q3', 'a3']]);
+
+  const first = await store.getMessagesPage(USER, conversationId, { limit: 4 });
+  assert.deepEqual(first.messages.map(m => m.content), ['q2', 'a2', 'q3', 'a3']);
+  assert.ok(first.nextCursor);
+
+  const second = await store.getMessagesPage(USER, conversationId, { limit: 4, cursor: first.nextCursor });
+  assert.deepEqual(second.messages.map(m => m.content), ['q1', 'a1']);
+  assert.equal(second.nextCursor, null);
+});
+
+test('conversations page by most recent activity without repeats', async () => {
+  const store = new InMemoryConversationStore();
+  const ids = [];
+  for (let i = 0; i < 5; i++) ids.push(await conversationWithTurns(store, [[`q${i}`, `a${i}`]]));
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = await store.listConversationsPage(USER, { limit: 2, cursor });
+    seen.push(...page.conversations.map(c => c.conversation_id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, [...ids].reverse());
+});
+
+test('answering an earlier question again starts a new branch and leaves the old one intact', async () => {
+  const store = new InMemoryConversationStore();
+  const conversation = await store.createConversation(USER);
+  const conversationId = conversation.conversation_id;
+  const first = await store.appendTurn(USER, conversationId, 'q1', 'a1');
+  await store.appendTurn(USER, conversationId, 'q2', 'a2');
+  const originalBranch = first.userMessage.metadata.branchId;
+
+  // Edit q2: the new question hangs off a1, not off the current leaf a2
+  const edited = await store.appendTurn(USER, conversationId, 'q2 (edited)', 'a2 (edited)', {}, {
+    parentId: first.assistantMessage.message_id
+  });
+  const newBranch = edited.userMessage.metadata.branchId;
+  assert.notEqual(newBranch, originalBranch);
+
+  const active = await store.getContext(USER, conversationId);
+  assert.deepEqual(active.messages.map(m => m.content), ['q1', 'a1', 'q2 (edited)', 'a2 (edited)']);
+
+  await store.activateBranch(USER, conversationId, originalBranch);
+  const restored = await store.getContext(USER, conversationId);
+  assert.deepEqual(restored.messages.map(m => m.content), ['q1', 'a1', 'q2', 'a2']);
+
+  await assert.rejects(store.activateBranch(USER, conversationId, randomUUID()), { code: 'BRANCH_NOT_FOUND' });
+});
+
+test('search finds the caller\'s messages and titles, filtered by role', async () => {
+  const store = new InMemoryConversationStore();
+  const conversationId = await conversationWithTurns(store, [
+    ['Best Morpho vaults for USDC?', 'Morpho Blue USDC vaults pay about 6%.'],
+    ['And on Aave?', 'Aave pays 4%.']
+  ], { title: 'Morpho yields' });
+  await conversationWithTurns(store, [['Unrelated question', 'Unrelated answer']]);
+  const stranger = await store.createConversation(OTHER_USER, { title: 'Morpho too' });
+  await store.appendTurn(OTHER_USER, stranger.conversation_id, 'Morpho?', 'Morpho.');
+
+  const { results } = await store.searchMessages(USER, 'morpho');
+  assert.ok(results.length >= 3);
+  assert.ok(results.every(r => r.conversation_id === conversationId));
+  assert.ok(results.some(r => r.match_type === 'title'));
+  assert.ok(results.find(r => r.match_type === 'message').snippet.includes('Morpho'));
+
+  const answersOnly = await store.searchMessages(USER, 'morpho', { role: 'assistant' });
+  assert.deepEqual(answersOnly.results.map(r => r.role), ['assistant']);
+
+  const paged = await store.searchMessages(USER, 'morpho', { limit: 1 });
+  assert.equal(paged.results.length, 1);
+  const rest = await store.searchMessages(USER, 'morpho', { limit: 10, cursor: paged.nextCursor });
+  assert.equal(rest.results.length, results.length - 1);
+
+  await assert.rejects(store.searchMessages(USER, ''), { code: 'INVALID_INPUT' });
+});
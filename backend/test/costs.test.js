@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { CostMeter, llmCostReport, priceFor, recordLlmUsage } from '../lib/costs.js';
+import { MockProvider } from '../lib/llm-mock.js';
+import { textStream } from '../lib/llm.js';
+import { ensureUserExists } from '../lib/query-logger.js';
+import { needsPostgres, quietly, withScratchDatabase } from './helpers/postgres.js';
+
+const PRICES = {
+  'gpt-4.1': { input: 2, cached_input: 0.5, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 }
+};
+const messages = [{ role: 'user', content: 'What is the ETH price?' }];
+
+test('dated snapshots use their family\'s price', () => {
+  assert.equal(priceFor('gpt-4.1-2025-04-14', PRICES), PRICES['gpt-4.1']);
+  assert.equal(priceFor('gpt-4.1-mini-2025-04-14', PRICES), PRICES['gpt-4.1-mini']);
+  assert.equal(priceFor('gpt-4.10', PRICES), null);
+  assert.equal(priceFor('llama3.1', PRICES), null);
+});
+
+test('streamed completions are metered once the stream has been read', async () => {
+  const meter = new CostMeter({ prices: PRICES });
+  const llm = meter.wrap(new MockProvider({ models: { planner: 'gpt-4.1', answer: 'gpt-4.1' } }));
+
+  await llm.chat({ stage: 'planner', messages, json: true });
+  const stream = await llm.chat({ stage: 'answer', messages, stream: true });
+  assert.equal(meter.calls.length, 1);
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  assert.ok(text);
+  assert.ok(stream.usage.completion_tokens > 0);
+
+  const totals = meter.totals();
+  assert.equal(totals.calls, 2);
+  assert.deepEqual(Object.keys(totals.by_stage), ['planner', 'answer']);
+  assert.equal(totals.by_stage.answer.completion_tokens, stream.usage.completion_tokens);
+  assert.equal(totals.estimated, false);
+  const expected = (totals.prompt_tokens * 2 + totals.completion_tokens * 8) / 1e6;
+  assert.ok(Math.abs(totals.cost_usd - expected) < 1e-6);
+});
+
+test('missing usage is estimated and unknown models are left unpriced', async () => {
+  const meter = new CostMeter({ prices: PRICES });
+  const llm = meter.wrap({
+    name: 'local',
+    modelFor: () => 'llama3.1',
+    chat: async () => textStream('llama3.1', async function* () { yield 'ETH is about $3,000.'; })
+  });
+  for await (const chunk of await llm.chat({ stage: 'answer', messages, stream: true })) assert.ok(chunk);
+
+  const totals = meter.totals();
+  assert.equal(totals.estimated, true);
+  assert.ok(totals.completion_tokens > 0);
+  assert.equal(totals.cost_usd, 0);
+  assert.deepEqual(totals.unpriced_models, ['llama3.1']);
+});
+
+test('cached prompt tokens use the cached input price', () => {
+  const meter = new CostMeter({ prices: PRICES });
+  meter.add({ stage: 'planner', messages }, 'gpt-4.1-2025-04-14', {
+    prompt_tokens: 1000, completion_tokens: 100, prompt_tokens_details: { cached_tokens: 800 }
+  }, '');
+  assert.equal(meter.totals().cost_usd, (200 * 2 + 800 * 0.5 + 100 * 8) / 1e6);
+});
+
+test('usage of a brand-new user is recorded and reported', needsPostgres, async () => {
+  await withScratchDatabase(async (pool) => {
+    const userId = randomUUID();
+    const meter = new CostMeter({ prices: PRICES });
+    const llm = meter.wrap(new MockProvider({ models: { general: 'gpt-4.1-mini' } }));
+    await llm.chat({ stage: 'general', messages });
+
+    // What /api/query does for a first-time caller: the user row, then (say) a general-knowledge answer
+    await quietly(() => ensureUserExists(userId, {}, { pool }));
+    await recordLlmUsage({
+      requestId: 'first-question', userId, intent: null, source: 'general_knowledge', statusCode: 200, totals: meter.totals()
+    }, { pool });
+
+    const { rows: [usage] } = await pool.query('SELECT * FROM "user"."llm_usage" WHERE request_id = $1', ['first-question']);
+    assert.equal(usage.user_id, userId);
+    assert.equal(usage.llm_calls, 1);
+
+    const report = await llmCostReport({}, { pool });
+    assert.deepEqual(report.topUsers.map(u => u.user_id), [userId]);
+    assert.equal(report.topUsers[0].cost_usd, meter.totals().cost_usd);
+    assert.deepEqual(report.byQuestionType.map(r => r.question_type), ['general_knowledge']);
+  });
+});
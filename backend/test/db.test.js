@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { llmSqlRole, runReadOnlyQuery } from '../lib/db.js';
+
+// Records every statement; pg's escapeIdentifier is enough of a client for runReadOnlyQuery
+function fakeClient() {
+  const statements = [];
+  return {
+    statements,
+    escapeIdentifier: (name) => `"${name.replace(/"/g, '""')}"`,
+    query: async (text) => {
+      statements.push(text);
+      return { rows: [] };
+    }
+  };
+}
+
+test('model SQL runs as llm_readonly unless told otherwise', async () => {
+  assert.equal(llmSqlRole({}), 'llm_readonly');
+  assert.equal(llmSqlRole({ LLM_SQL_ROLE: 'reporting_ro' }), 'reporting_ro');
+  assert.equal(llmSqlRole({ LLM_SQL_ROLE: 'none' }), null);
+
+  const saved = process.env.LLM_SQL_ROLE;
+  delete process.env.LLM_SQL_ROLE;
+  try {
+    const client = fakeClient();
+    await runReadOnlyQuery(client, 'SELECT 1');
+    assert.deepEqual(client.statements.filter(s => /ROLE|BEGIN|COMMIT/.test(s)), [
+      'BEGIN READ ONLY',
+      'SET LOCAL ROLE "llm_readonly"',
+      'COMMIT'
+    ]);
+  } finally {
+    if (saved !== undefined) process.env.LLM_SQL_ROLE = saved;
+  }
+});
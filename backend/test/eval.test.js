@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { checkExpectations, checkRules, compareRows, formatReport, loadGoldenSet, RULES } from '../lib/eval.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+test('the committed golden set is valid', async () => {
+  const items = await loadGoldenSet(path.resolve(__dirname, '../eval/golden.json'));
+  assert.ok(items.length > 0);
+});
+
+test('timestamp filters count only as lower bounds on a timestamp column', async () => {
+  const ts = async (where) =>
+    (await checkRules(`SELECT symbol FROM update.token_price_daily t WHERE ${where} LIMIT 10`)).timestamp_filter;
+
+  assert.equal(await ts(`price_timestamp >= NOW() - INTERVAL '7 days'`), true);
+  assert.equal(await ts(`t.price_timestamp > '2026-01-01'`), true);
+  assert.equal(await ts(`price_timestamp BETWEEN '2026-01-01' AND '2026-02-01'`), true);
+  assert.equal(await ts(`NOW() - INTERVAL '1 day' <= price_timestamp`), true);
+  assert.equal(await ts(`symbol = 'ETH' AND price_timestamp < NOW()`), false);
+  assert.equal(await ts(`price_usd > 100`), false);
+
+  const nested = await checkRules(
+    `WITH recent AS (SELECT * FROM update.token_price_daily WHERE day >= CURRENT_DATE - 7)
+     SELECT symbol FROM recent LIMIT 5`
+  );
+  assert.equal(nested.timestamp_filter, true);
+});
+
+test('DISTINCT ON is found in any SELECT, plain DISTINCT is not', async () => {
+  const distinctOn = async (sql) => (await checkRules(sql)).distinct_on;
+
+  assert.equal(await distinctOn('SELECT DISTINCT ON (symbol) symbol, price_usd FROM update.token_price_daily ORDER BY symbol, price_timestamp DESC'), true);
+  assert.equal(await distinctOn('SELECT DISTINCT symbol FROM update.token_price_daily'), false);
+  assert.equal(await distinctOn('SELECT symbol FROM update.token_price_daily'), false);
+  assert.equal(await distinctOn(
+    'SELECT symbol FROM (SELECT DISTINCT ON (symbol) symbol FROM update.token_price_daily ORDER BY symbol) latest'
+  ), true);
+  assert.equal(await distinctOn(
+    'SELECT symbol FROM clean.cl_pool_hist UNION ALL SELECT DISTINCT ON (symbol) symbol FROM update.token_price_daily'
+  ), true);
+});
+
+test('only an outermost LIMIT counts, and its value is reported', async () => {
+  const rules = await checkRules('SELECT symbol FROM update.token_price_daily LIMIT 25');
+  assert.equal(rules.limit, true);
+  assert.equal(rules.limitValue, 25);
+
+  const zero = await checkRules('SELECT symbol FROM update.token_price_daily LIMIT 0');
+  assert.equal(zero.limitValue, 0);
+
+  const inner = await checkRules('SELECT * FROM (SELECT symbol FROM update.token_price_daily LIMIT 5) s');
+  assert.equal(inner.limit, false);
+  assert.equal(inner.limitValue, null);
+});
+
+test('tables are listed once, lower-cased and sorted; unparsable SQL gives null', async () => {
+  const rules = await checkRules(
+    `SELECT p.symbol FROM UPDATE.Token_Price_Daily p
+     JOIN clean.lending_market_history l ON l.symbol = p.symbol
+     JOIN update.token_price_daily q ON q.symbol = p.symbol`
+  );
+  assert.deepEqual(rules.tables, ['clean.lending_market_history', 'update.token_price_daily']);
+  assert.equal(await checkRules('SELEKT nonsense'), null);
+  assert.equal(await checkRules(''), null);
+});
+
+test('compareRows matches rows as sets on the expected columns, whatever their types', () => {
+  const expected = [
+    { symbol: 'ETH', price_usd: '3012.550000', day: new Date('2026-10-18T00:00:00Z') },
+    { symbol: 'WETH', price_usd: '3011.1', day: new Date('2026-10-18T00:00:00Z') }
+  ];
+  const planned = [
+    { symbol: 'weth', price_usd: 3011.1, day: '2026-10-18T00:00:00.000Z', extra: 1 },
+    { symbol: 'eth', price_usd: 3012.55, day: new Date('2026-10-18T00:00:00Z'), extra: 2 }
+  ];
+  assert.deepEqual(compareRows(planned, expected), []);
+
+  const reasons = compareRows([planned[0], { ...planned[1], price_usd: 2999 }], expected);
+  assert.equal(reasons.length, 2);
+  assert.match(reasons[0], /^1 of 2 expected row\(s\) missing/);
+  assert.match(reasons[1], /^1 unexpected row\(s\)/);
+
+  assert.deepEqual(compareRows([{ symbol: 'ETH' }], expected), ['result lacks expected column(s) price_usd, day']);
+  assert.match(compareRows([], expected)[0], /^2 of 2 expected row\(s\) missing/);
+  assert.deepEqual(compareRows([], []), []);
+});
+
+test('checkExpectations reports each failed expectation', () => {
+  const rows = [
+    { symbol: 'ETH', price_usd: '3012.55' },
+    { symbol: 'WETH', price_usd: '3011.10' },
+    { symbol: 'ETH', price_usd: '2999.00' }
+  ];
+  const tables = ['update.token_price_daily'];
+
+  assert.deepEqual(checkExpectations(rows, {
+    tables, columns: ['symbol', 'price_usd'], minRows: 1, maxRows: 3,
+    includes: [{ symbol: 'eth' }, { symbol: 'WETH', price_usd: 3011.1 }],
+    excludes: [{ symbol: 'WBTC' }],
+    ranges: { price_usd: { min: 2000, max: 4000 } }
+  }, tables), []);
+
+  assert.deepEqual(checkExpectations(rows, {
+    tables: ['clean.token_price_daily_enriched'],
+    columns: ['price_timestamp'],
+    minRows: 4,
+    maxRows: 2,
+    includes: [{ symbol: 'WBTC' }],
+    excludes: [{ symbol: 'ETH' }],
+    ranges: { price_usd: { min: 3000, max: 3012 } },
+    unique: ['symbol']
+  }, tables), [
+    'does not read clean.token_price_daily_enriched',
+    'no column price_timestamp',
+    '3 row(s), expected at least 4',
+    '3 row(s), expected at most 2',
+    'no row with symbol=WBTC',
+    '2 row(s) with symbol=ETH',
+    'price_usd 2999 below 3000 (1 row(s))',
+    'price_usd 3012.55 above 3012 (1 row(s))',
+    '1 duplicate row(s) by symbol'
+  ]);
+
+  assert.deepEqual(checkExpectations([], { columns: ['symbol'], minRows: 0 }), []);
+});
+
+test('formatReport lays out one stable line per question, totals and details', () => {
+  const rules = (overrides = {}) => ({ ...Object.fromEntries(RULES.map(r => [r, 'ok'])), ...overrides });
+  const results = [
+    {
+      id: 'eth-price-latest', question: 'What is the ETH price?', status: 200, source: 'database_query',
+      executed: true, error: null, retries: 0, plannedSql: 'SELECT symbol\n  FROM update.token_price_daily LIMIT 1',
+      result: 'pass', reasons: [], rules: rules(), limitValue: 1
+    },
+    {
+      id: 'pools', question: 'Top pools?', status: 200, source: 'general_knowledge',
+      executed: false, error: 'Planner gave up', retries: 2, plannedSql: null,
+      result: 'fail', reasons: ['not executed'], rules: rules({ distinct_on: 'n/a', limit: 'missing' }), limitValue: null
+    }
+  ];
+  const report = formatReport(results, { provider: 'mock', models: { planner: 'gpt-4.1', retry: 'gpt-4.1-mini' } });
+  assert.equal(report, formatReport(results, { provider: 'mock', models: { planner: 'gpt-4.1', retry: 'gpt-4.1-mini' } }));
+
+  const lines = report.split('\n');
+  assert.equal(lines[0], 'Planner eval: 2 question(s), provider mock, planner gpt-4.1, retry gpt-4.1-mini');
+  assert.match(lines[3], /^eth-price-latest\s+ok\s+pass\s+0\s+ok\s+ok\s+1$/);
+  assert.match(lines[4], /^pools\s+FAIL\s+FAIL\s+2\s+ok\s+n\/a\s+missing$/);
+  assert.ok(lines.includes('  executed              1/2'));
+  assert.ok(lines.includes('  result match          1/2'));
+  assert.ok(lines.includes('  retries                 2  (1 question(s) retried)'));
+  assert.ok(lines.includes('  distinct_on           1/1'));
+  assert.ok(lines.includes('  limit                 1/2'));
+  assert.ok(lines.includes('  sql: SELECT symbol FROM update.token_price_daily LIMIT 1'));
+  assert.ok(lines.includes('  not executed (general_knowledge): Planner gave up'));
+  assert.ok(lines.includes('  sql: -'));
+  assert.ok(report.endsWith('\n'));
+});
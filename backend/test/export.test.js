@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toResultCsv } from '../conversations/export.js';
+
+const csvFor = (rows) => toResultCsv({ metadata: { result: { columns: ['value'], rows: rows.map(value => ({ value })) } } })
+  .trimEnd().split('\r\n').slice(1);
+
+test('signed NUMERIC and BIGINT strings are exported as numbers', () => {
+  assert.deepEqual(csvFor(['-12.5', '+3', '-9007199254740993', '-1.2e-7', '42']),
+    ['-12.5', '+3', '-9007199254740993', '-1.2e-7', '42']);
+  assert.deepEqual(csvFor([-4, 0.5]), ['-4', '0.5']);
+});
+
+test('text that would run as a formula gets a leading quote', () => {
+  assert.deepEqual(csvFor(['=cmd|\' /C calc\'!A0', '+foo', '-foo', '@SUM(A1)', '-1-1', '\tx']),
+    ['\'=cmd|\' /C calc\'!A0', '\'+foo', '\'-foo', '\'@SUM(A1)', '\'-1-1', '\'\tx']);
+  assert.deepEqual(csvFor(['-1,000', 'a "b"']), ['"\'-1,000"', '"a ""b"""']);
+});
+
+test('messages without stored rows have no CSV', () => {
+  assert.equal(toResultCsv({ metadata: {} }), null);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { guardSql } from '../lib/guard.js';
+
+const TABLES = new Set(['update.token_price_daily']);
+const COLUMNS = new Map([['update.token_price_daily', new Set(['symbol', 'price_usd', 'price_timestamp'])]]);
+const guard = (sql) => guardSql(sql, TABLES, COLUMNS, 500);
+
+const rejectsWith = (sql, code) =>
+  assert.rejects(guard(sql), (err) => err.guard?.code === code, `expected ${code} for: ${sql}`);
+
+test('accepts a plain SELECT and clamps its LIMIT', async () => {
+  const sql = await guard('SELECT symbol, price_usd FROM update.token_price_daily LIMIT 10000');
+  assert.match(sql, /LIMIT 500/);
+});
+
+test('rejects SELECT ... INTO', async () => {
+  await rejectsWith('SELECT * INTO evil FROM update.token_price_daily', 'SQL_GUARD_NOT_READ_ONLY');
+});
+
+test('rejects SELECT ... INTO inside a CTE', async () => {
+  await rejectsWith(
+    'WITH x AS (SELECT * INTO evil FROM update.token_price_daily) SELECT symbol FROM update.token_price_daily',
+    'SQL_GUARD_NOT_READ_ONLY'
+  );
+});
+
+test('rejects SELECT ... INTO in either arm of a set operation', async () => {
+  await rejectsWith(
+    'SELECT symbol FROM update.token_price_daily UNION SELECT symbol INTO evil FROM update.token_price_daily',
+    'SQL_GUARD_NOT_READ_ONLY'
+  );
+});
+
+test('rejects row locking clauses', async () => {
+  await rejectsWith('SELECT symbol FROM update.token_price_daily FOR UPDATE', 'SQL_GUARD_NOT_READ_ONLY');
+  await rejectsWith('SELECT symbol FROM update.token_price_daily FOR SHARE', 'SQL_GUARD_NOT_READ_ONLY');
+});
+
+test('rejects writes and unknown tables', async () => {
+  await rejectsWith('DELETE FROM update.token_price_daily', 'SQL_GUARD_NOT_SELECT');
+  await rejectsWith('SELECT * FROM secret.keys', 'SQL_GUARD_UNKNOWN_RELATION');
+});
+
+test('rejects every *_to_xml function, which takes its relation or query as a string', async () => {
+  for (const sql of [
+    'SELECT query_to_xml(\'SELECT * FROM "user".messages\', true, false, \'\')',
+    'SELECT table_to_xml(\'"user".messages\', true, false, \'\')',
+    'SELECT table_to_xml_and_xmlschema(\'"user".messages\', true, false, \'\')',
+    'SELECT table_to_xmlschema(\'"user".messages\', true, false, \'\')',
+    'SELECT cursor_to_xml(\'c\', 10, true, false, \'\')',
+    'SELECT schema_to_xml(\'user\', true, false, \'\')',
+    'SELECT schema_to_xml_and_xmlschema(\'user\', true, false, \'\')',
+    'SELECT database_to_xml(true, false, \'\')',
+    'SELECT pg_catalog.database_to_xml_and_xmlschema(true, false, \'\')'
+  ]) {
+    await rejectsWith(sql, 'SQL_GUARD_BLOCKED_FUNCTION');
+  }
+});
+
+test('rejects whole-row references to a table, which carry every column', async () => {
+  await rejectsWith('SELECT t FROM update.token_price_daily t', 'SQL_GUARD_UNSUPPORTED');
+  await rejectsWith('SELECT row_to_json(t) FROM update.token_price_daily t', 'SQL_GUARD_UNSUPPORTED');
+  await rejectsWith('SELECT to_jsonb(t) AS t FROM update.token_price_daily t', 'SQL_GUARD_UNSUPPORTED');
+  await rejectsWith('SELECT token_price_daily FROM update.token_price_daily', 'SQL_GUARD_UNSUPPORTED');
+
+  // Rows built from a CTE only carry the columns its own select list was checked for
+  await guard('WITH p AS (SELECT symbol, price_usd FROM update.token_price_daily) SELECT row_to_json(p) FROM p');
+  await guard('SELECT t.symbol FROM update.token_price_daily t ORDER BY t.price_usd');
+});
+
+test('compares quoted identifiers case-sensitively', async () => {
+  await rejectsWith('SELECT "Symbol" FROM update.token_price_daily', 'SQL_GUARD_UNKNOWN_COLUMN');
+  await rejectsWith('SELECT t."PRICE_USD" FROM update.token_price_daily t', 'SQL_GUARD_UNKNOWN_COLUMN');
+  await rejectsWith('SELECT * FROM update."Token_Price_Daily"', 'SQL_GUARD_UNKNOWN_RELATION');
+  await guard('SELECT "symbol", SYMBOL, Price_USD FROM UPDATE.Token_Price_Daily');
+
+  const mixedCase = new Map([['update.token_price_daily', new Set(['Symbol'])]]);
+  await guardSql('SELECT "Symbol" FROM update.token_price_daily', TABLES, mixedCase, 500);
+  await assert.rejects(guardSql('SELECT symbol FROM update.token_price_daily', TABLES, mixedCase, 500),
+    (err) => err.guard?.code === 'SQL_GUARD_UNKNOWN_COLUMN');
+});
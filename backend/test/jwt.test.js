@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, generateKeyPairSync, sign } from 'crypto';
+
+const SECRET = 'test-jwt-secret-with-at-least-32-characters';
+const SUPABASE_URL = 'https://project.supabase.co';
+process.env.SUPABASE_JWT_SECRET = SECRET;
+process.env.SUPABASE_URL = SUPABASE_URL;
+const { verifySupabaseJwt } = await import('../lib/jwt.js');
+
+const NOW = 1_800_000_000; // seconds; Date.now() is pinned to it in every test
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+let nextSub = 0;
+const claimsFor = (overrides = {}) => ({
+  sub: `00000000-0000-4000-8000-${String(++nextSub).padStart(12, '0')}`,
+  aud: 'authenticated',
+  iss: `${SUPABASE_URL}/auth/v1`,
+  role: 'authenticated',
+  exp: NOW + 3600,
+  ...overrides
+});
+
+function hs256(claims, { secret = SECRET, header = { alg: 'HS256', typ: 'JWT' } } = {}) {
+  const input = `${encode(header)}.${encode(claims)}`;
+  return `${input}.${createHmac('sha256', secret).update(input).digest('base64url')}`;
+}
+
+function rs256(claims, privateKey, kid) {
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`;
+  return `${input}.${sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+const pinClock = (t, seconds = NOW) => {
+  let now = seconds * 1000;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => { now += ms; } };
+};
+
+const rejectsWith = (token, code, message) =>
+  assert.rejects(verifySupabaseJwt(token), (err) => err.code === code && (!message || message.test(err.message)));
+
+test('signing keys that cannot be loaded make RS256 tokens unverifiable, not invalid', async (t) => {
+  pinClock(t);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(globalThis, 'fetch', async () => new Response('down', { status: 503 }));
+  const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  await rejectsWith(rs256(claimsFor(), privateKey, 'k1'), 'AUTH_UNAVAILABLE');
+});
+
+test('HS256 tokens are accepted with the project secret and rejected otherwise', async (t) => {
+  pinClock(t);
+  const claims = claimsFor();
+  assert.deepEqual(await verifySupabaseJwt(hs256(claims)), claims);
+
+  await rejectsWith(hs256(claimsFor(), { secret: 'another-secret' }), 'INVALID_TOKEN', /signature/);
+  const [header, , signature] = hs256(claimsFor()).split('.');
+  await rejectsWith(`${header}.${encode(claimsFor({ role: 'service_role' }))}.${signature}`, 'INVALID_TOKEN', /signature/);
+  await rejectsWith('not-a-token', 'INVALID_TOKEN');
+  await rejectsWith('a.b.c', 'INVALID_TOKEN');
+});
+
+test('alg none and other unsupported algorithms are rejected', async (t) => {
+  pinClock(t);
+  await rejectsWith(`${encode({ alg: 'none', typ: 'JWT' })}.${encode(claimsFor())}.`, 'INVALID_TOKEN', /algorithm/);
+  await rejectsWith(hs256(claimsFor(), { header: { alg: 'HS512', typ: 'JWT' } }), 'INVALID_TOKEN', /algorithm/);
+  await rejectsWith(hs256(claimsFor(), { header: { typ: 'JWT' } }), 'INVALID_TOKEN', /algorithm/);
+});
+
+test('exp and nbf are enforced with 30 seconds of clock skew', async (t) => {
+  pinClock(t);
+  await verifySupabaseJwt(hs256(claimsFor({ exp: NOW - 29 })));
+  await rejectsWith(hs256(claimsFor({ exp: NOW - 30 })), 'INVALID_TOKEN', /expired/);
+  await rejectsWith(hs256(claimsFor({ exp: undefined })), 'INVALID_TOKEN', /expired/);
+
+  await verifySupabaseJwt(hs256(claimsFor({ nbf: NOW + 30 })));
+  await rejectsWith(hs256(claimsFor({ nbf: NOW + 31 })), 'INVALID_TOKEN', /not valid yet/);
+});
+
+test('audience, issuer and subject must match', async (t) => {
+  pinClock(t);
+  await verifySupabaseJwt(hs256(claimsFor({ aud: ['other', 'authenticated'] })));
+  await rejectsWith(hs256(claimsFor({ aud: 'anon' })), 'INVALID_TOKEN', /audience/);
+  await rejectsWith(hs256(claimsFor({ iss: 'https://other.supabase.co/auth/v1' })), 'INVALID_TOKEN', /another project/);
+  await rejectsWith(hs256(claimsFor({ sub: undefined })), 'INVALID_TOKEN', /subject/);
+  await rejectsWith(hs256(claimsFor({ sub: '' })), 'INVALID_TOKEN', /subject/);
+});
+
+test('cached claims never outlive the token\'s exp', async (t) => {
+  const clock = pinClock(t);
+  const token = hs256(claimsFor({ exp: NOW + 5 }));
+  await verifySupabaseJwt(token);
+
+  // Still inside the cache TTL, but past exp and the skew: the token has to be checked again, and fails
+  clock.advance(36_000);
+  await rejectsWith(token, 'INVALID_TOKEN', /expired/);
+});
+
+test('an unknown kid refetches the signing keys, at most every 30 seconds', async (t) => {
+  const clock = pinClock(t);
+  t.mock.method(console, 'log', () => {});
+  const first = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const rotated = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  let published = [{ ...first.publicKey.export({ format: 'jwk' }), kid: 'k1', alg: 'RS256' }];
+  const fetch = t.mock.method(globalThis, 'fetch', async (url) => {
+    assert.equal(String(url), `${SUPABASE_URL}/auth/v1/.well-known/jwks.json`);
+    return Response.json({ keys: published });
+  });
+
+  const claims = claimsFor();
+  assert.deepEqual(await verifySupabaseJwt(rs256(claims, first.privateKey, 'k1')), claims);
+  assert.equal(fetch.mock.callCount(), 1);
+
+  // A forged kid does not trigger a fetch per request
+  await rejectsWith(rs256(claimsFor(), rotated.privateKey, 'k2'), 'INVALID_TOKEN', /unknown key/);
+  await rejectsWith(rs256(claimsFor(), first.privateKey, 'k1').replace(/\.[^.]+$/, '.AAAA'), 'INVALID_TOKEN', /signature/);
+  assert.equal(fetch.mock.callCount(), 1);
+
+  // After a rotation the new kid is picked up once the keys are 30 seconds old
+  published = [...published, { ...rotated.publicKey.export({ format: 'jwk' }), kid: 'k2', alg: 'RS256' }];
+  clock.advance(31_000);
+  await verifySupabaseJwt(rs256(claimsFor(), rotated.privateKey, 'k2'));
+  assert.equal(fetch.mock.callCount(), 2);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMigrations, migrationStatus, migrateUp, migrateDown } from '../lib/migrations.js';
+import { needsPostgres, quietly, withScratchDatabase } from './helpers/postgres.js';
+
+test('every migration has an up and a down file, numbered without gaps', async () => {
+  const migrations = await loadMigrations();
+  assert.ok(migrations.length > 0);
+  migrations.forEach((migration, i) => {
+    assert.equal(migration.version, i + 1);
+    assert.ok(migration.down, `${migration.version} ${migration.name} has no .down.sql`);
+  });
+});
+
+test('bad version and step arguments are refused before touching the database', async () => {
+  for (const to of [Number.NaN, 2.5, -1, '3']) {
+    await assert.rejects(migrateUp(null, { to }), { code: 'MIGRATION_ERROR' });
+  }
+  for (const steps of [0, Number.NaN, 1.5]) {
+    await assert.rejects(migrateDown(null, { steps }), { code: 'MIGRATION_ERROR' });
+  }
+});
+
+test('up, status and down against a real Postgres', needsPostgres, async () => {
+  await withScratchDatabase(async (pool) => {
+    const migrations = await loadMigrations();
+    const latest = migrations.at(-1).version;
+    const tableExists = async (table) =>
+      (await pool.query('SELECT to_regclass($1) IS NOT NULL AS exists', [table])).rows[0].exists;
+
+    const partial = await quietly(() => migrateUp(pool, { to: 2 }));
+    assert.deepEqual(partial.map(m => m.version), [1, 2]);
+    let status = await migrationStatus(pool);
+    assert.deepEqual(status.filter(m => m.applied).map(m => m.version), [1, 2]);
+    assert.ok(await tableExists('"user".messages'));
+
+    const rest = await quietly(() => migrateUp(pool));
+    assert.equal(rest.at(-1).version, latest);
+    assert.deepEqual(await quietly(() => migrateUp(pool)), []);
+    status = await migrationStatus(pool);
+    assert.ok(status.every(m => m.applied && !m.modified && !m.missing));
+
+    // An edited up file shows up as modified
+    const edited = migrations.map(m => (m.version === 1 ? { ...m, checksum: 'edited' } : m));
+    assert.deepEqual((await migrationStatus(pool, { migrations: edited })).filter(m => m.modified).map(m => m.version), [1]);
+
+    // Every down file reverts its up file, and the schema can be rebuilt afterwards
+    const reverted = await quietly(() => migrateDown(pool, { steps: latest }));
+    assert.deepEqual(reverted.map(m => m.version), migrations.map(m => m.version).reverse());
+    assert.equal(await tableExists('"user".messages'), false);
+    assert.ok((await migrationStatus(pool)).every(m => !m.applied));
+
+    await quietly(() => migrateUp(pool));
+    assert.ok((await migrationStatus(pool)).every(m => m.applied));
+  }, { migrate: false });
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { answerQuery } from '../api/query.js';
+import { InMemoryConversationStore } from '../conversations/conversation-store.js';
+import { captureRes, loadFixture } from '../lib/fixtures.js';
+import { buildFilteredSchemaDoc, buildPlannerMessages } from '../lib/instructions.js';
+import { MockProvider } from '../lib/llm-mock.js';
+import { countMessageTokens } from '../lib/tokens.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const RESERVE = 2000;
+
+test('the planner prompt with its fitted history stays within the token budget', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const userId = randomUUID();
+  const question = 'What is the price of WETH?';
+
+  // A conversation with far more history than the budget below leaves room for
+  const store = new InMemoryConversationStore();
+  const { conversation_id: conversationId } = await store.createConversation(userId);
+  for (let i = 0; i < 5; i++) {
+    await store.appendTurn(userId, conversationId, `What was the ETH price on day ${i}?`,
+      `On day ${i} ETH traded between $2,900 and $3,100 across the tracked venues. `.repeat(4));
+  }
+
+  const llm = new MockProvider();
+  const plannerPrompts = [];
+  const services = {
+    authenticate: async () => ({ status: 'authenticated', userId, plan: 'pro' }),
+    checkQuota: async () => ({ allowed: true, scope: 'user', plan: 'pro', limit: null, used: null, remaining: null, resetAt: null }),
+    ensureUserExists: async () => {},
+    store,
+    getAllowList: async () => {
+      const { allowList } = await loadFixture(path.join(FIXTURES, 'price-eth.json'));
+      return {
+        tables: new Set(Object.keys(allowList)),
+        colsByTable: new Map(Object.entries(allowList).map(([table, cols]) => [table, new Set(cols)]))
+      };
+    },
+    llm: {
+      name: llm.name,
+      modelFor: (stage) => llm.modelFor(stage),
+      chat: async (request) => {
+        if (request.stage === 'planner') plannerPrompts.push(request.messages);
+        return llm.chat(request);
+      }
+    },
+    connect: async () => ({ release() {} }),
+    runSql: async () => ({ rows: [{ symbol: 'WETH', price_usd: '3011.10' }], rowCount: 1 }),
+    logQuery: async () => conversationId,
+    afterTurnSaved: async () => null
+  };
+
+  // Room for the fixed prompt plus 150 tokens: enough for some history, not for all of it
+  const model = llm.modelFor('planner');
+  const fixed = countMessageTokens(await buildPlannerMessages(question, await buildFilteredSchemaDoc(question)), model);
+  process.env.CONTEXT_TOKEN_LIMIT = String(fixed + RESERVE + 150);
+  process.env.CONTEXT_OUTPUT_RESERVE = String(RESERVE);
+
+  const req = { method: 'POST', url: '/api/query', headers: { host: 'localhost' }, body: { question, conversationId, minimal: true } };
+  const res = captureRes();
+  try {
+    await answerQuery(req, res, { userId: null, startedAt: Date.now() }, services);
+  } finally {
+    delete process.env.CONTEXT_TOKEN_LIMIT;
+    delete process.env.CONTEXT_OUTPUT_RESERVE;
+  }
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(plannerPrompts.length, 1);
+  const [, plannerUser] = plannerPrompts[0];
+  assert.match(plannerUser.content, /^Conversation so far/);
+  assert.ok(countMessageTokens(plannerPrompts[0], model) <= fixed + 150,
+    `planner prompt has ${countMessageTokens(plannerPrompts[0], model)} tokens, budget ${fixed + 150}`);
+});
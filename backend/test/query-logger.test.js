@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { ensureUserExists } from '../lib/query-logger.js';
+import { needsPostgres, quietly, withScratchDatabase } from './helpers/postgres.js';
+
+test('ensureUserExists creates the user row once and refreshes it afterwards', needsPostgres, async () => {
+  await withScratchDatabase(async (pool) => {
+    const userId = randomUUID();
+    const errors = [];
+    const error = console.error;
+    console.error = (...args) => errors.push(args.join(' '));
+    try {
+      await quietly(() => ensureUserExists(userId, { plan: 'free' }, { pool }));
+      const { rows: [created] } = await pool.query('SELECT * FROM "user"."user" WHERE user_id = $1', [userId]);
+      assert.deepEqual(created.metadata, { plan: 'free' });
+
+      await quietly(() => ensureUserExists(userId, {}, { pool }));
+      const { rows } = await pool.query('SELECT * FROM "user"."user" WHERE user_id = $1', [userId]);
+      assert.equal(rows.length, 1);
+      assert.ok(rows[0].updated_at >= created.updated_at);
+    } finally {
+      console.error = error;
+    }
+    assert.deepEqual(errors, []);
+  });
+});
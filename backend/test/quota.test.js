@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getClientIp } from '../lib/quota.js';
+
+const request = (headers = {}) => ({ headers, socket: { remoteAddress: '10.0.0.7' } });
+const spoofed = { 'x-forwarded-for': '1.2.3.4', 'x-real-ip': '5.6.7.8' };
+
+test('client-sent forwarding headers do not pick the anonymous quota bucket', () => {
+  assert.equal(getClientIp(request(spoofed), {}), '10.0.0.7');
+  assert.equal(getClientIp(request({ ...spoofed, 'x-vercel-forwarded-for': '9.9.9.9' }), {}), '10.0.0.7');
+  assert.equal(getClientIp({ headers: spoofed }, {}), 'unknown');
+});
+
+test('on Vercel the platform\'s x-vercel-forwarded-for is used', () => {
+  const env = { VERCEL: '1' };
+  assert.equal(getClientIp(request({ ...spoofed, 'x-vercel-forwarded-for': '203.0.113.9' }), env), '203.0.113.9');
+  assert.equal(getClientIp(request(spoofed), env), '10.0.0.7');
+});
+
+test('behind trusted proxies the entry the outermost one appended is used', () => {
+  // The client sent "1.2.3.4"; the first proxy appended the client address, the second the first proxy's
+  const headers = { 'x-forwarded-for': '1.2.3.4, 203.0.113.9, 10.0.0.2' };
+  assert.equal(getClientIp(request(headers), { TRUST_PROXY_HOPS: '2' }), '203.0.113.9');
+  assert.equal(getClientIp(request(headers), { TRUST_PROXY_HOPS: '1' }), '10.0.0.2');
+  assert.equal(getClientIp(request(headers), { TRUST_PROXY_HOPS: '4' }), '10.0.0.7');
+  assert.equal(getClientIp(request(headers), { TRUST_PROXY_HOPS: 'two' }), '10.0.0.7');
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadFixture, replayFixture } from '../lib/fixtures.js';
+import { MockProvider } from '../lib/llm-mock.js';
+import { answerQuery } from '../api/query.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// The pipeline's step logging isn't useful in test output
+const quietly = async (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+test('a recorded JSON answer replays offline unchanged', async () => {
+  const fixture = await loadFixture(path.join(FIXTURES, 'price-eth.json'));
+  const { response, differences, promptChanges, problems } = await quietly(() => replayFixture(fixture, answerQuery));
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(promptChanges, []);
+  assert.deepEqual(differences, []);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.source, 'database_query');
+  assert.equal(response.body.intent, 'price_query');
+  assert.match(response.body.sql, /FROM update\.token_price_daily/);
+  assert.match(response.body.sql, /LIMIT 100/);
+  assert.deepEqual(response.body.rows.map(row => row.symbol), ['ETH', 'WETH']);
+  assert.match(response.body.answer, /\$3,012\.55/);
+});
+
+test('a recorded streamed answer replays offline unchanged', async () => {
+  const fixture = await loadFixture(path.join(FIXTURES, 'price-eth-stream.json'));
+  const { response, differences, problems } = await quietly(() => replayFixture(fixture, answerQuery));
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(differences, []);
+  const answer = response.events.filter(e => e.type === 'answer_chunk').map(e => e.content).join('');
+  assert.match(answer, /\$3,012\.55/);
+  assert.equal(response.events.at(-1).type, 'done');
+});
+
+test('a different answer is reported as a difference', async () => {
+  const fixture = await loadFixture(path.join(FIXTURES, 'price-eth.json'));
+  const llm = new MockProvider({
+    responses: [
+      { stage: 'planner', json: { sql: fixture.sql[0].sql } },
+      { stage: 'answer', content: 'ETH is about $15.' }
+    ]
+  });
+  const { differences } = await quietly(() => replayFixture(fixture, answerQuery, { llm }));
+
+  assert.deepEqual(differences.map(d => d.path), ['body.answer']);
+});
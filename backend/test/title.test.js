@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, randomUUID } from 'crypto';
+import { needsPostgres, quietly, withScratchDatabase } from './helpers/postgres.js';
+
+const SECRET = 'test-jwt-secret-with-at-least-32-characters';
+Object.assign(process.env, {
+  LLM_PROVIDER: 'mock',
+  SUPABASE_JWT_SECRET: SECRET,
+  QUERY_QUOTA_FREE_MONTHLY: '2',
+  DATABASE_SSL: 'false'
+});
+delete process.env.SUPABASE_URL;
+const { default: handler } = await import('../api/conversations/[conversationId]/title.js');
+const { getDbPool } = await import('../lib/db.js');
+const { getConversationStore } = await import('../conversations/conversation-store.js');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+function sessionToken(userId) {
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    sub: userId, aud: 'authenticated', role: 'authenticated', exp: Math.floor(Date.now() / 1000) + 3600
+  })}`;
+  return `${input}.${createHmac('sha256', SECRET).update(input).digest('base64url')}`;
+}
+
+async function regenerateTitle(userId, conversationId) {
+  const req = {
+    method: 'POST',
+    url: `/api/conversations/${conversationId}/title`,
+    headers: { host: 'localhost', authorization: `Bearer ${sessionToken(userId)}` },
+    query: { conversationId }
+  };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+  await quietly(() => handler(req, res));
+  return res;
+}
+
+test('title regeneration draws on the query quota and stops when it is used up', needsPostgres, async () => {
+  await withScratchDatabase(async (pool, url) => {
+    // The frontend's usage tables (created in Supabase, not by backend/migrations)
+    await pool.query(`
+      CREATE TABLE public.user_subscriptions (user_id UUID, plan TEXT, status TEXT, updated_at TIMESTAMPTZ);
+      CREATE TABLE public.user_api_usage (
+        user_id UUID, endpoint TEXT, method TEXT, status_code INT, response_time_ms INT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`);
+    process.env.DATABASE_URL = url;
+    try {
+      const userId = randomUUID();
+      const store = getConversationStore();
+      const conversation = await store.createConversation(userId);
+      await store.appendTurn(userId, conversation.conversation_id, 'What is the ETH price?', 'About $3,000.');
+
+      // X-Quota-Remaining is what was left when the request was checked
+      for (const remaining of ['2', '1']) {
+        const res = await regenerateTitle(userId, conversation.conversation_id);
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.body.title);
+        assert.equal(res.headers['x-quota-remaining'], remaining);
+      }
+
+      const refused = await regenerateTitle(userId, conversation.conversation_id);
+      assert.equal(refused.statusCode, 429);
+      assert.equal(refused.body.monthlyLimit, 2);
+      assert.ok(refused.headers['retry-after']);
+
+      const { rows: usage } = await pool.query('SELECT endpoint, status_code FROM public.user_api_usage WHERE user_id = $1', [userId]);
+      assert.deepEqual(usage.map(u => u.status_code), [200, 200]);
+      assert.equal(usage[0].endpoint, `/api/conversations/${conversation.conversation_id}/title`);
+      const { rows: [{ calls }] } = await pool.query(
+        `SELECT COUNT(*)::int AS calls FROM "user"."llm_usage" WHERE user_id = $1 AND source = 'conversation_title'`, [userId]
+      );
+      assert.equal(calls, 2);
+    } finally {
+      await getDbPool().end();
+    }
+  });
+});
@@ -1,5 +1,8 @@
 -- Migration: Create conversations and messages tables
 -- Run this in your Supabase SQL Editor
+--
+-- These are the frontend's public.conversations / public.messages (src/app/chat).
+-- The backend keeps its own conversation history in the "user" schema, created by backend/migrations.
 
 -- Create conversations table
 CREATE TABLE IF NOT EXISTS conversations (
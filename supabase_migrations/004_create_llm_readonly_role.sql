@@ -0,0 +1,37 @@
+-- Migration: Create least-privilege role for LLM-generated SQL
+-- Run this in your Supabase SQL Editor
+--
+-- The backend runs model-written SQL inside BEGIN READ ONLY and SET LOCAL ROLE llm_readonly
+-- (LLM_SQL_ROLE names another role; the backend fails closed until this has run). Even if a query slips past the SQL guard it can only read
+-- the registry schemas (update, clean) - never write, and never touch the "user" schema.
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'llm_readonly') THEN
+        CREATE ROLE llm_readonly NOLOGIN;
+    END IF;
+END
+$$;
+
+-- Let the service's login role switch into it (SET ROLE requires membership)
+GRANT llm_readonly TO CURRENT_USER;
+
+-- Read-only access to the registry schemas
+GRANT USAGE ON SCHEMA update, clean TO llm_readonly;
+GRANT SELECT ON ALL TABLES IN SCHEMA update, clean TO llm_readonly;
+
+-- Tables created later in these schemas are readable too
+ALTER DEFAULT PRIVILEGES IN SCHEMA update GRANT SELECT ON TABLES TO llm_readonly;
+ALTER DEFAULT PRIVILEGES IN SCHEMA clean GRANT SELECT ON TABLES TO llm_readonly;
+
+-- Nothing else: no per-user data, no public tables
+-- ("user" is created by the backend's own migrations, which may not have run yet)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = 'user') THEN
+        REVOKE ALL ON SCHEMA "user" FROM llm_readonly;
+        REVOKE ALL ON ALL TABLES IN SCHEMA "user" FROM llm_readonly;
+    END IF;
+END
+$$;
+REVOKE ALL ON ALL TABLES IN SCHEMA public FROM llm_readonly;